@@ -4,6 +4,14 @@
  */
 
 class Auth {
+    // Build the auth for the configured storage backend
+    static create(config = {}) {
+        if (config.storageBackend === 'memory') {
+            return new MemoryAuth();
+        }
+        return new Auth();
+    }
+
     constructor() {
         this.user = null;
         this.loading = false;
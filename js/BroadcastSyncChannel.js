@@ -0,0 +1,51 @@
+/**
+ * BroadcastSyncChannel.js
+ * Cross-tab messages over BroadcastChannel, falling back to localStorage storage events
+ */
+
+class BroadcastSyncChannel extends SyncChannel {
+    constructor(name = 'takenote-sync') {
+        super(name);
+        this.storageKey = `${name}-message`;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(name);
+            this.channel.onmessage = (event) => this.dispatch(event.data);
+        } else {
+            // Storage events only fire in the other tabs, which is what we want
+            this.handleStorage = (event) => {
+                if (event.key === this.storageKey && event.newValue) {
+                    try {
+                        this.dispatch(JSON.parse(event.newValue).message);
+                    } catch (error) {
+                        console.warn('Ignoring malformed sync message:', error);
+                    }
+                }
+            };
+            window.addEventListener('storage', this.handleStorage);
+        }
+    }
+
+    publish(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        try {
+            // The timestamp makes repeated messages still count as a change
+            window.localStorage.setItem(this.storageKey, JSON.stringify({ message, sentAt: Date.now() }));
+        } catch (error) {
+            console.warn('Failed to notify other tabs:', error);
+        }
+    }
+
+    close() {
+        super.close();
+        if (this.channel) {
+            this.channel.close();
+        } else {
+            window.removeEventListener('storage', this.handleStorage);
+        }
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * CommandPalette.js
+ * Ctrl/Cmd+K palette: fuzzy-find notes to switch to and run app commands
+ */
+
+class CommandPalette {
+    static MAX_RESULTS = 50;
+    static MAX_RECENT = 20;
+
+    constructor(storage = window.localStorage, recentKey = 'takenote-recent-commands') {
+        this.elements = {
+            modal: document.getElementById('command-palette'),
+            input: document.getElementById('command-palette-input'),
+            list: document.getElementById('command-palette-list')
+        };
+        this.storage = storage;
+        this.recentKey = recentKey;
+        this.recent = this.loadRecent();
+        this.commands = [];
+        this.items = [];
+        this.selectedIndex = 0;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.isOpen() ? this.hide() : this.show();
+            }
+        });
+
+        this.elements.input?.addEventListener('input', () => {
+            this.selectedIndex = 0;
+            this.render();
+        });
+
+        this.elements.input?.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.moveSelection(1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveSelection(-1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runItem(this.items[this.selectedIndex]);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.hide();
+            }
+        });
+
+        this.elements.modal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) {
+                this.hide();
+            }
+        });
+    }
+
+    // Commands are { id, title, shortcut, icon, run, isAvailable }
+    registerCommands(commands) {
+        this.commands = commands;
+    }
+
+    show() {
+        if (!this.elements.modal) return;
+
+        // Remember where the caret was so commands like Bold act on the editor selection
+        const selection = window.getSelection();
+        this.savedRange = selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+
+        this.elements.input.value = '';
+        this.selectedIndex = 0;
+        this.render();
+        this.elements.modal.classList.add('active');
+        this.elements.input.focus();
+    }
+
+    hide() {
+        this.elements.modal?.classList.remove('active');
+    }
+
+    isOpen() {
+        return !!this.elements.modal && this.elements.modal.classList.contains('active');
+    }
+
+    // Notes and available commands matching the query, best first
+    getItems(query) {
+        const notes = this.getNotes ? this.getNotes() : [];
+        const candidates = [
+            ...this.commands
+                .filter(command => !command.isAvailable || command.isAvailable())
+                .map(command => ({ key: `command:${command.id}`, type: 'command', label: command.title, command })),
+            ...notes.map(note => ({ key: `note:${note.id}`, type: 'note', label: note.title || 'Untitled Note', note }))
+        ];
+
+        const recentRank = (item) => {
+            const index = this.recent.indexOf(item.key);
+            return index === -1 ? Infinity : index;
+        };
+
+        if (!query) {
+            // Recent items first, then commands, then notes in their usual order
+            return candidates
+                .map((item, index) => ({ ...item, matches: [], order: index }))
+                .sort((a, b) => recentRank(a) - recentRank(b) || a.order - b.order)
+                .slice(0, CommandPalette.MAX_RESULTS);
+        }
+
+        return candidates
+            .map(item => ({ ...item, ...CommandPalette.fuzzyMatch(query, item.label) }))
+            .filter(item => item.score !== null)
+            .map(item => ({
+                ...item,
+                // Recently used items get a boost that fades with age
+                score: item.score + (recentRank(item) === Infinity ? 0 : 10 / (recentRank(item) + 1))
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CommandPalette.MAX_RESULTS);
+    }
+
+    // Match the query's characters in order anywhere in `text`. Runs of consecutive
+    // characters and matches at word starts score higher. Returns { score, matches }
+    // with the matched character indices, or { score: null } if there's no match.
+    static fuzzyMatch(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = text.toLowerCase();
+        const matches = [];
+        let score = 0;
+        let position = 0;
+        let previous = -2;
+
+        for (const char of needle) {
+            const index = haystack.indexOf(char, position);
+            if (index === -1) {
+                return { score: null, matches: [] };
+            }
+
+            score += 1;
+            if (index === previous + 1) score += 3; // Consecutive
+            if (index === 0 || /[\s\-_/.]/.test(haystack[index - 1])) score += 2; // Word start
+
+            matches.push(index);
+            previous = index;
+            position = index + 1;
+        }
+
+        // Prefer shorter labels where the match is a bigger share
+        return { score: score - haystack.length * 0.01, matches };
+    }
+
+    render() {
+        this.items = this.getItems(this.elements.input.value.trim());
+        this.elements.list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'command-palette-empty';
+            empty.textContent = 'No matching notes or commands';
+            this.elements.list.appendChild(empty);
+            return;
+        }
+
+        this.items.forEach((item, index) => {
+            const element = document.createElement('li');
+            element.className = `command-palette-item ${index === this.selectedIndex ? 'selected' : ''}`;
+            element.setAttribute('role', 'option');
+
+            const icon = document.createElement('i');
+            icon.className = `fas ${item.type === 'note' ? 'fa-file-alt' : (item.command.icon || 'fa-terminal')} command-palette-icon`;
+
+            const label = document.createElement('span');
+            label.className = 'command-palette-label';
+            const matched = new Set(item.matches);
+            Array.from(item.label).forEach((char, charIndex) => {
+                if (matched.has(charIndex)) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = char;
+                    label.appendChild(mark);
+                } else {
+                    label.appendChild(document.createTextNode(char));
+                }
+            });
+
+            element.append(icon, label);
+
+            if (item.type === 'command' && item.command.shortcut) {
+                const shortcut = document.createElement('kbd');
+                shortcut.className = 'command-palette-shortcut';
+                shortcut.textContent = CommandPalette.formatShortcut(item.command.shortcut);
+                element.appendChild(shortcut);
+            } else if (item.type === 'note') {
+                const hint = document.createElement('span');
+                hint.className = 'command-palette-hint';
+                hint.textContent = 'Note';
+                element.appendChild(hint);
+            }
+
+            element.addEventListener('mousemove', () => {
+                if (this.selectedIndex !== index) {
+                    this.selectedIndex = index;
+                    this.updateSelection();
+                }
+            });
+            element.addEventListener('click', () => this.runItem(item));
+
+            this.elements.list.appendChild(element);
+        });
+    }
+
+    moveSelection(delta) {
+        if (this.items.length === 0) return;
+        this.selectedIndex = (this.selectedIndex + delta + this.items.length) % this.items.length;
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        this.elements.list.querySelectorAll('.command-palette-item').forEach((element, index) => {
+            element.classList.toggle('selected', index === this.selectedIndex);
+            if (index === this.selectedIndex) {
+                element.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    runItem(item) {
+        if (!item) return;
+
+        this.hide();
+        this.addRecent(item.key);
+
+        if (item.type === 'note') {
+            if (this.onNoteSelect) this.onNoteSelect(item.note.id);
+            return;
+        }
+
+        // Put the caret back so formatting commands apply to what was selected
+        const editable = this.savedRange?.startContainer.parentElement?.closest('[contenteditable="true"]');
+        if (editable) {
+            editable.focus();
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(this.savedRange);
+        }
+
+        item.command.run();
+    }
+
+    // "Mod" is Cmd on a Mac and Ctrl elsewhere
+    static formatShortcut(shortcut) {
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+        return shortcut.replace('Mod', isMac ? '⌘' : 'Ctrl');
+    }
+
+    loadRecent() {
+        try {
+            const saved = this.storage ? this.storage.getItem(this.recentKey) : null;
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    addRecent(key) {
+        this.recent = [key, ...this.recent.filter(existing => existing !== key)].slice(0, CommandPalette.MAX_RECENT);
+
+        try {
+            if (this.storage) {
+                this.storage.setItem(this.recentKey, JSON.stringify(this.recent));
+            }
+        } catch (error) {
+            console.warn('Failed to save recent commands:', error);
+        }
+    }
+
+    // Event callbacks (set by external code)
+    getNotes = null;
+    onNoteSelect = null;
+}
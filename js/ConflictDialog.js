@@ -0,0 +1,103 @@
+/**
+ * ConflictDialog.js
+ * Lets the user settle an edit conflict: keep mine, keep theirs, or merge
+ */
+
+class ConflictDialog {
+    constructor() {
+        this.elements = {
+            modal: document.getElementById('conflict-modal'),
+            message: document.getElementById('conflict-message'),
+            mine: document.getElementById('conflict-mine'),
+            theirs: document.getElementById('conflict-theirs'),
+            merged: document.getElementById('conflict-merged'),
+            keepMineBtn: document.getElementById('conflict-keep-mine'),
+            keepTheirsBtn: document.getElementById('conflict-keep-theirs'),
+            useMergedBtn: document.getElementById('conflict-use-merged')
+        };
+        this.pending = Promise.resolve();
+        this.resolveCurrent = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.elements.keepMineBtn?.addEventListener('click', () => {
+            this.finish({ resolution: 'mine' });
+        });
+
+        this.elements.keepTheirsBtn?.addEventListener('click', () => {
+            this.finish({ resolution: 'theirs' });
+        });
+
+        this.elements.useMergedBtn?.addEventListener('click', () => {
+            this.finish({ resolution: 'merge', content: this.getMergedContent() });
+        });
+    }
+
+    // Ask the user how to settle a conflict; conflicts are shown one at a time
+    resolve(conflict) {
+        const result = this.pending.then(() => this.open(conflict));
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    open(conflict) {
+        const { mine, theirs } = conflict;
+
+        return new Promise((resolve) => {
+            this.resolveCurrent = resolve;
+
+            if (theirs) {
+                this.elements.message.textContent = `"${mine.title}" was changed on another device while you were editing it. Choose which version to keep, or edit the merged version below. Highlighted paragraphs are only in one version and may have been deleted in the other, so remove any you don't want.`;
+                this.elements.theirs.innerHTML = HtmlSanitizer.sanitize(theirs.content);
+                this.renderMerged(TextDiff.mergeBlocks(mine.content, theirs.content));
+                this.elements.keepTheirsBtn.textContent = 'Keep theirs';
+            } else {
+                this.elements.message.textContent = `"${mine.title}" was deleted on another device while you were editing it. Keep your version to restore it, or discard it.`;
+                this.elements.theirs.innerHTML = '<p class="conflict-empty">Deleted</p>';
+                this.elements.merged.innerHTML = HtmlSanitizer.sanitize(mine.content);
+                this.elements.keepTheirsBtn.textContent = 'Discard mine';
+            }
+
+            this.elements.mine.innerHTML = HtmlSanitizer.sanitize(mine.content);
+            this.elements.modal?.classList.add('active');
+        });
+    }
+
+    // Show the merged blocks, highlighting the ones only one side has
+    renderMerged(blocks) {
+        this.elements.merged.innerHTML = '';
+
+        blocks.forEach(block => {
+            Array.from(HtmlSanitizer.parse(block.html).childNodes).forEach(node => {
+                if (block.side !== 'both' && node.nodeType === Node.ELEMENT_NODE) {
+                    node.classList.add('conflict-block', `conflict-block-${block.side}`);
+                    node.title = block.side === 'mine'
+                        ? 'Only in your version'
+                        : 'Only in the other device\'s version';
+                }
+                this.elements.merged.appendChild(node);
+            });
+        });
+    }
+
+    // The edited merge without the highlighting
+    getMergedContent() {
+        const merged = this.elements.merged.cloneNode(true);
+        merged.querySelectorAll('.conflict-block').forEach(element => {
+            element.classList.remove('conflict-block', 'conflict-block-mine', 'conflict-block-theirs');
+            element.removeAttribute('title');
+        });
+        return HtmlSanitizer.sanitize(merged.innerHTML);
+    }
+
+    finish(choice) {
+        if (!this.resolveCurrent) return;
+
+        this.elements.modal?.classList.remove('active');
+        const resolve = this.resolveCurrent;
+        this.resolveCurrent = null;
+        resolve(choice);
+    }
+}
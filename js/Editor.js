@@ -10,6 +10,8 @@ class Editor {
         this.redoStack = [];
         this.maxUndoLevels = 50;
         this.lastSavedState = '';
+        this.plainPasteAt = 0; // When Ctrl+Shift+V was last pressed
+        this.storedMarks = null; // { marks, node, offset } toggled at a caret, for the next typing
         
         this.initializeEditor();
         this.bindEvents();
@@ -36,10 +38,57 @@ class Editor {
             this.updateToolbarState();
         });
 
+        // Text typed after Bold or Italic was toggled at the caret gets those marks
+        this.editor.addEventListener('beforeinput', (e) => {
+            if (e.inputType === 'insertText' && e.data && this.storedMarks && !e.isComposing) {
+                e.preventDefault();
+                const tr = this.transaction();
+                tr.insertText(e.data, this.storedMarks.marks);
+                this.storedMarks = null;
+                this.dispatch(tr);
+            }
+        });
+
         // Paste event
         this.editor.addEventListener('paste', (e) => {
             this.handlePaste(e);
         });
+
+        // Files dropped into the note are inserted where they land
+        this.editor.addEventListener('dragover', (e) => {
+            if (this.isFileDrag(e)) {
+                e.preventDefault();
+                e.stopPropagation();
+                e.dataTransfer.dropEffect = 'copy';
+                this.editor.classList.add('file-drop-target');
+            }
+        });
+
+        this.editor.addEventListener('dragleave', (e) => {
+            if (!this.editor.contains(e.relatedTarget)) {
+                this.editor.classList.remove('file-drop-target');
+            }
+        });
+
+        this.editor.addEventListener('drop', (e) => {
+            this.editor.classList.remove('file-drop-target');
+            if (!this.isFileDrag(e)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.placeCaretAtPoint(e.clientX, e.clientY);
+            if (this.onFilesDrop) {
+                this.onFilesDrop(Array.from(e.dataTransfer.files));
+            }
+        });
+
+        // Clicking a [[link]] opens its note
+        this.editor.addEventListener('click', () => {
+            const link = this.getLinkAtCaret();
+            if (link && this.onLinkClick) {
+                this.onLinkClick(link.title);
+            }
+        });
     }
 
     handleInput() {
@@ -48,6 +97,11 @@ class Editor {
             this.onContentChange(this.getContent());
         }
         
+        this.highlightLinks();
+        if (this.onLinkQuery) {
+            this.onLinkQuery(this.getLinkQuery());
+        }
+        
         // Save state for undo functionality (debounced)
         clearTimeout(this.saveStateTimeout);
         this.saveStateTimeout = setTimeout(() => {
@@ -80,97 +134,239 @@ class Editor {
                     e.preventDefault();
                     this.redo();
                     break;
+                case 'v':
+                    // The paste event that follows inserts plain text
+                    if (e.shiftKey) {
+                        this.plainPasteAt = Date.now();
+                    }
+                    break;
             }
         }
     }
 
+    // Paste formatted HTML as the editor's own formatting, Markdown as formatted text, and
+    // anything else (or everything, with Ctrl+Shift+V) as plain text
     handlePaste(e) {
         e.preventDefault();
         
-        // Get plain text from clipboard
-        const paste = (e.clipboardData || window.clipboardData).getData('text');
+        const clipboard = e.clipboardData || window.clipboardData;
+        const text = (clipboard.getData('text/plain') || clipboard.getData('text') || '').replace(/\r\n?/g, '\n');
+        const html = clipboard.getData('text/html') || '';
+        const plain = Date.now() - this.plainPasteAt < 1000;
+        this.plainPasteAt = 0;
+        
+        // Code blocks take text as it is
+        if (this.isCaretInCode()) {
+            this.insertTextInCode(text);
+            return;
+        }
+        if (plain) {
+            this.insertHTML(this.textToHtml(text));
+            return;
+        }
+        
+        if (html) {
+            const pasted = Editor.pastedHtmlToNote(html);
+            // Code editors copy unformatted text as styled <div>s; read those as text
+            if (pasted.querySelector(Editor.FORMATTING_TAGS) || !text) {
+                this.insertHTML(pasted.innerHTML);
+                return;
+            }
+        }
         
-        // Insert as plain text, preserving line breaks
-        const lines = paste.split('\n');
-        const htmlLines = lines.map(line => 
+        if (Editor.looksLikeMarkdown(text)) {
+            this.insertHTML(MarkdownParser.parse(text).html);
+        } else {
+            this.insertHTML(this.textToHtml(text));
+        }
+    }
+
+    // Code blocks are kept as HTML by the document model, so text goes straight into the DOM
+    insertTextInCode(text) {
+        const selection = window.getSelection();
+        const range = selection.getRangeAt(0);
+        const node = document.createTextNode(text);
+        range.deleteContents();
+        range.insertNode(node);
+        range.setStartAfter(node);
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+        this.handleInput();
+    }
+
+    isCaretInCode() {
+        const selection = window.getSelection();
+        const node = selection.rangeCount ? selection.getRangeAt(0).startContainer : null;
+        const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        return !!element?.closest('pre, code') && this.editor.contains(element);
+    }
+
+    // Elements that make pasted HTML worth keeping over its plain text
+    static FORMATTING_TAGS = 'b, strong, i, em, u, s, strike, del, h1, h2, h3, h4, h5, h6, ul, ol, a, img, table, blockquote, pre, code, hr, input';
+
+    // Plain text as paragraphs, blank lines kept as empty paragraphs
+    textToHtml(text) {
+        return text.split('\n').map(line =>
             line.trim() ? `<p>${this.escapeHtml(line)}</p>` : '<p><br></p>'
         ).join('');
+    }
+
+    // Clipboard HTML as a sanitized container. Bold, italic, underline and strikethrough
+    // set with inline styles (as word processors and web pages do) become tags first,
+    // since the sanitizer drops the styles.
+    static pastedHtmlToNote(html) {
+        const page = new DOMParser().parseFromString(html, 'text/html');
+        
+        page.body.querySelectorAll('[style]').forEach(element => {
+            const style = element.style;
+            const weight = style.fontWeight;
+            const decoration = `${style.textDecorationLine || ''} ${style.textDecoration || ''}`;
+            
+            // Google Docs wraps the whole selection in <b style="font-weight: normal">
+            if (/^(b|strong)$/.test(element.localName) && (weight === 'normal' || (weight && Number(weight) < 600))) {
+                element.replaceWith(...element.childNodes);
+                return;
+            }
+            
+            const tags = [];
+            if (weight === 'bold' || weight === 'bolder' || Number(weight) >= 600) tags.push('b');
+            if (style.fontStyle === 'italic') tags.push('i');
+            if (decoration.includes('underline')) tags.push('u');
+            if (decoration.includes('line-through')) tags.push('s');
+            
+            tags.filter(tag => !element.closest(tag)).forEach(tag => {
+                const wrapper = page.createElement(tag);
+                wrapper.append(...element.childNodes);
+                element.appendChild(wrapper);
+            });
+        });
         
-        this.insertHTML(htmlLines);
+        return HtmlSanitizer.parse(page.body.innerHTML);
+    }
+
+    // Whether pasted text uses Markdown: headings, lists, quotes, fences, tables, links
+    // or bold text
+    static looksLikeMarkdown(text) {
+        const block = /^(#{1,6}\s|\s*([-*+]|\d+[.)])\s+\S|>\s|```|~~~|\|.*\|\s*$)/m;
+        const inline = /\*\*[^*\n]+\*\*|__[^_\n]+__|\[[^\]\n]+\]\([^)\s]+\)|`[^`\n]+`/;
+        return block.test(text) || inline.test(text);
     }
 
     // Content manipulation methods
+
+    // The content as HTML written out by the document model, so the same content always
+    // gives the same markup whatever the browser made of it while editing
     getContent() {
-        return this.editor.innerHTML;
+        return EditorDocument.toHtml(this.readDocument());
     }
 
     setContent(html) {
-        this.editor.innerHTML = html || '<p><br></p>';
+        this.storedMarks = null;
+        this.editor.replaceChildren(EditorDocument.render(EditorDocument.fromHtml(html)));
         this.saveState();
+        this.highlightLinks();
     }
 
+    // Insert HTML at the caret (replacing any selection). It's sanitized on the way into
+    // the model, since it may come from the clipboard or a dropped file.
     insertHTML(html) {
-        if (document.queryCommandSupported('insertHTML')) {
-            document.execCommand('insertHTML', false, html);
-        } else {
-            // Fallback for browsers that don't support insertHTML
-            const selection = window.getSelection();
-            if (selection.rangeCount) {
-                const range = selection.getRangeAt(0);
-                range.deleteContents();
-                
-                const fragment = range.createContextualFragment(html);
-                range.insertNode(fragment);
-                
-                // Move cursor to end
-                range.collapse(false);
-                selection.removeAllRanges();
-                selection.addRange(range);
-            }
+        const tr = this.transaction();
+        tr.replaceSelection(EditorDocument.fromHtml(html).blocks);
+        this.dispatch(tr);
+    }
+
+    // Document model
+
+    readDocument() {
+        return EditorDocument.fromDom(this.editor);
+    }
+
+    // A transaction on the current content and selection (the end of the note if the
+    // selection is elsewhere)
+    transaction() {
+        const doc = this.readDocument();
+        return new EditorTransaction(doc, doc.selectionFrom(window.getSelection()) || doc.endSelection());
+    }
+
+    // Render a transaction's document and selection, as one undo step
+    dispatch(tr) {
+        clearTimeout(this.saveStateTimeout);
+        this.saveState(); // Typing since the last step is a step of its own
+        
+        this.editor.replaceChildren(EditorDocument.render(tr.doc));
+        this.editor.focus();
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(this.readDocument().toRange(tr.selection));
+        
+        this.saveState();
+        this.highlightLinks();
+        if (this.onContentChange) {
+            this.onContentChange(this.getContent());
         }
+        this.updateToolbarState();
     }
 
     // Formatting methods
     toggleBold() {
-        document.execCommand('bold', false, null);
-        this.updateToolbarState();
+        this.toggleMark('bold');
     }
 
     toggleItalic() {
-        document.execCommand('italic', false, null);
-        this.updateToolbarState();
+        this.toggleMark('italic');
     }
 
-    setHeading(tag) {
-        if (tag === 'div') {
-            document.execCommand('formatBlock', false, 'div');
+    // With a selection, the mark is added to or removed from it; at a caret it applies
+    // to the next text typed there
+    toggleMark(mark) {
+        const tr = this.transaction();
+        if (!EditorDocument.isCollapsed(tr.selection)) {
+            tr.toggleMark(mark);
+            this.dispatch(tr);
+            return;
+        }
+        
+        const { from } = tr.selection;
+        const marks = this.storedMarks
+            ? { ...this.storedMarks.marks }
+            : EditorDocument.marksAt(tr.doc.blocks[from.block], from.offset);
+        if (marks[mark]) {
+            delete marks[mark];
         } else {
-            document.execCommand('formatBlock', false, tag);
+            marks[mark] = true;
         }
+        const caret = window.getSelection();
+        this.storedMarks = { marks: marks, node: caret.anchorNode, offset: caret.anchorOffset };
         this.updateToolbarState();
     }
 
+    // 'div' for normal text, or 'h1' to 'h6'
+    setHeading(tag) {
+        const level = tag.match(/^h([1-6])$/);
+        const tr = this.transaction();
+        tr.setBlockType(level ? 'heading' : 'paragraph', level ? Number(level[1]) : null);
+        this.dispatch(tr);
+    }
+
     setTextAlign(alignment) {
-        const commands = {
-            'left': 'justifyLeft',
-            'center': 'justifyCenter',
-            'right': 'justifyRight'
-        };
+        if (!['left', 'center', 'right', 'justify'].includes(alignment)) return;
         
-        if (commands[alignment]) {
-            document.execCommand(commands[alignment], false, null);
-        }
-        this.updateToolbarState();
+        const tr = this.transaction();
+        tr.setAlign(alignment);
+        this.dispatch(tr);
     }
 
     insertBulletList() {
-        document.execCommand('insertUnorderedList', false, null);
-        this.updateToolbarState();
+        const tr = this.transaction();
+        tr.toggleList('bullet');
+        this.dispatch(tr);
     }
 
     insertNumberList() {
-        document.execCommand('insertOrderedList', false, null);
-        this.updateToolbarState();
+        const tr = this.transaction();
+        tr.toggleList('ordered');
+        this.dispatch(tr);
     }
 
     // Undo/Redo functionality
@@ -201,8 +397,8 @@ class Editor {
             const previousState = this.undoStack.pop();
             
             this.redoStack.push(currentState);
+            this.lastSavedState = previousState; // So setContent doesn't record a new step
             this.setContent(previousState);
-            this.lastSavedState = previousState;
             
             // Update toolbar and trigger content change
             this.updateToolbarState();
@@ -217,8 +413,8 @@ class Editor {
             const nextState = this.redoStack.pop();
             
             this.undoStack.push(this.getContent());
-            this.setContent(nextState);
             this.lastSavedState = nextState;
+            this.setContent(nextState);
             
             // Update toolbar and trigger content change
             this.updateToolbarState();
@@ -229,57 +425,63 @@ class Editor {
     }
 
     // Toolbar state management
+
+    // Read from a model of just the blocks the selection covers. Marks toggled at the
+    // caret count until the caret moves.
     updateToolbarState() {
+        const domSelection = window.getSelection();
+        if (!domSelection.rangeCount || !this.editor.contains(domSelection.anchorNode)) return;
+        
+        if (this.storedMarks && (!domSelection.isCollapsed ||
+            domSelection.anchorNode !== this.storedMarks.node || domSelection.anchorOffset !== this.storedMarks.offset)) {
+            this.storedMarks = null;
+        }
         if (!this.onToolbarStateChange) return;
         
+        // Only the blocks the selection is in, so moving the caret doesn't read the whole note
+        const doc = EditorDocument.fromDom(this.editor, this.selectedTopLevelNodes(domSelection.getRangeAt(0)));
+        const selection = doc.selectionFrom(domSelection);
+        if (!selection) return;
+        
+        const { from } = EditorTransaction.ordered(selection);
+        const block = doc.blocks[from.block];
+        const markActive = (mark) => this.storedMarks
+            ? !!this.storedMarks.marks[mark]
+            : EditorTransaction.isMarkActive(doc, selection, mark);
+        
         const state = {
-            bold: document.queryCommandState('bold'),
-            italic: document.queryCommandState('italic'),
-            heading: this.getCurrentHeading(),
-            alignment: this.getCurrentAlignment(),
-            bulletList: document.queryCommandState('insertUnorderedList'),
-            numberList: document.queryCommandState('insertOrderedList')
+            bold: markActive('bold'),
+            italic: markActive('italic'),
+            heading: block && block.type === 'heading' ? `h${block.level}` : 'div',
+            alignment: (block && block.align) || 'left',
+            bulletList: !!block && block.type === 'listItem' && block.listType === 'bullet',
+            numberList: !!block && block.type === 'listItem' && block.listType === 'ordered'
         };
         
         this.onToolbarStateChange(state);
     }
 
-    getCurrentHeading() {
-        const selection = window.getSelection();
-        if (selection.rangeCount > 0) {
-            let node = selection.getRangeAt(0).startContainer;
-            
-            // Find the parent block element
-            while (node && node !== this.editor) {
-                if (node.nodeType === Node.ELEMENT_NODE) {
-                    const tagName = node.tagName.toLowerCase();
-                    if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tagName)) {
-                        return tagName;
-                    }
-                }
-                node = node.parentNode;
+    // The editor's top-level nodes from the one holding the start of `range` to the one
+    // holding its end, plus any loose text around them that reads as the same paragraph
+    selectedTopLevelNodes(range) {
+        const children = Array.from(this.editor.childNodes);
+        const topLevel = (node, offset) => {
+            if (node === this.editor) {
+                return children[Math.min(offset, children.length - 1)];
             }
-        }
-        return 'div'; // Default to normal text
-    }
-
-    getCurrentAlignment() {
-        const selection = window.getSelection();
-        if (selection.rangeCount > 0) {
-            let node = selection.getRangeAt(0).startContainer;
-            
-            // Find the parent block element
-            while (node && node !== this.editor) {
-                if (node.nodeType === Node.ELEMENT_NODE && node.style) {
-                    const textAlign = window.getComputedStyle(node).textAlign;
-                    if (textAlign === 'center') return 'center';
-                    if (textAlign === 'right') return 'right';
-                    if (textAlign === 'left') return 'left';
-                }
+            while (node.parentNode !== this.editor) {
                 node = node.parentNode;
             }
-        }
-        return 'left'; // Default alignment
+            return node;
+        };
+        
+        let start = children.indexOf(topLevel(range.startContainer, range.startOffset));
+        let end = children.indexOf(topLevel(range.endContainer, range.endOffset));
+        if (start === -1 || end === -1) return [];
+        
+        while (start > 0 && !EditorDocument.isBlockNode(children[start]) && !EditorDocument.isBlockNode(children[start - 1])) start--;
+        while (end < children.length - 1 && !EditorDocument.isBlockNode(children[end]) && !EditorDocument.isBlockNode(children[end + 1])) end++;
+        return children.slice(start, end + 1);
     }
 
     // Utility methods
@@ -303,12 +505,164 @@ class Editor {
         }
     }
 
+    // Move the caret to the text at a screen position, e.g. where something was dropped
+    placeCaretAtPoint(x, y) {
+        let range = null;
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            if (position) {
+                range = document.createRange();
+                range.setStart(position.offsetNode, position.offset);
+            }
+        } else if (document.caretRangeFromPoint) {
+            range = document.caretRangeFromPoint(x, y);
+        }
+
+        this.editor.focus();
+        if (range && this.editor.contains(range.startContainer)) {
+            range.collapse(true);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+    }
+
+    isFileDrag(e) {
+        return !!e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    }
+
     clear() {
         this.setContent('<p><br></p>');
         this.focus();
     }
 
+    // Highlight every match of `pattern` (a global RegExp) in the editor text and scroll to
+    // the first. Uses the CSS highlight API when available so the content isn't touched;
+    // otherwise the first match is selected.
+    highlightMatches(pattern) {
+        this.clearHighlights();
+        if (!pattern) return;
+
+        const ranges = [];
+        const walker = document.createTreeWalker(this.editor, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            for (const match of node.textContent.matchAll(pattern)) {
+                const range = document.createRange();
+                range.setStart(node, match.index);
+                range.setEnd(node, match.index + match[0].length);
+                ranges.push(range);
+            }
+        }
+        if (ranges.length === 0) return;
+
+        if (window.CSS && CSS.highlights && typeof Highlight !== 'undefined') {
+            CSS.highlights.set('search-match', new Highlight(...ranges));
+            // Highlights go away once the user starts editing
+            this.editor.addEventListener('input', () => this.clearHighlights(), { once: true });
+        } else {
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(ranges[0]);
+        }
+
+        const target = ranges[0].startContainer.parentElement;
+        if (target && target.scrollIntoView) {
+            target.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+    }
+
+    clearHighlights() {
+        if (window.CSS && CSS.highlights) {
+            CSS.highlights.delete('search-match');
+        }
+    }
+
+    // [[Links]] in a text node: [{ node, start, end, title }]
+    static findLinks(node) {
+        return Array.from(node.textContent.matchAll(/\[\[([^\[\]\n]+?)\]\]/g), match => ({
+            node: node,
+            start: match.index,
+            end: match.index + match[0].length,
+            title: match[1].trim()
+        }));
+    }
+
+    // Style [[links]] with the CSS highlight API, marking ones whose note doesn't exist
+    // yet. Browsers without it show links as plain text.
+    highlightLinks() {
+        if (!(window.CSS && CSS.highlights && typeof Highlight !== 'undefined')) return;
+
+        const existing = new Highlight();
+        const missing = new Highlight();
+        const walker = document.createTreeWalker(this.editor, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            Editor.findLinks(walker.currentNode).forEach(link => {
+                const range = document.createRange();
+                range.setStart(link.node, link.start);
+                range.setEnd(link.node, link.end);
+                (this.linkExists && !this.linkExists(link.title) ? missing : existing).add(range);
+            });
+        }
+
+        CSS.highlights.set('wiki-link', existing);
+        CSS.highlights.set('wiki-link-missing', missing);
+    }
+
+    // The [[link]] the caret is inside, or null
+    getLinkAtCaret() {
+        const selection = window.getSelection();
+        if (!selection.isCollapsed || !selection.anchorNode || selection.anchorNode.nodeType !== Node.TEXT_NODE) {
+            return null;
+        }
+
+        const offset = selection.anchorOffset;
+        return Editor.findLinks(selection.anchorNode).find(link => offset > link.start && offset < link.end) || null;
+    }
+
+    // The link being typed: text after an unclosed "[[" right before the caret, with the
+    // range it covers. Null when the caret isn't in one.
+    getLinkQuery() {
+        const selection = window.getSelection();
+        const node = selection.anchorNode;
+        if (!selection.isCollapsed || !node || node.nodeType !== Node.TEXT_NODE || !this.editor.contains(node)) {
+            return null;
+        }
+
+        const match = node.textContent.slice(0, selection.anchorOffset).match(/\[\[([^\[\]\n]*)$/);
+        if (!match) return null;
+
+        const range = document.createRange();
+        range.setStart(node, match.index);
+        range.setEnd(node, selection.anchorOffset);
+        return { query: match[1], range: range };
+    }
+
+    // Replace the link being typed with a complete [[title]]
+    completeLink(title) {
+        const current = this.getLinkQuery();
+        if (!current) return;
+
+        // Take in a closing "]]" that's already there
+        const { range } = current;
+        if (range.endContainer.textContent.slice(range.endOffset, range.endOffset + 2) === ']]') {
+            range.setEnd(range.endContainer, range.endOffset + 2);
+        }
+
+        const doc = this.readDocument();
+        const tr = new EditorTransaction(doc, {
+            from: doc.positionAt(range.startContainer, range.startOffset),
+            to: doc.positionAt(range.endContainer, range.endOffset)
+        });
+        tr.insertText(`[[${title}]]`);
+        this.dispatch(tr);
+    }
+
     // Event callbacks (to be set by external code)
     onContentChange = null;
     onToolbarStateChange = null;
+    onLinkClick = null;
+    onLinkQuery = null;
+    onFilesDrop = null;
+    linkExists = null;
 }
\ No newline at end of file
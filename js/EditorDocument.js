@@ -0,0 +1,641 @@
+/**
+ * EditorDocument.js
+ * The editor's document model: note HTML as a list of blocks holding runs of text with
+ * marks. It's read from the editor's DOM, rendered back to it as consistent HTML, and
+ * maps DOM selections to { block, offset } positions that EditorTransaction works with.
+ */
+
+class EditorDocument {
+    // Marks in the order they nest when rendered, outermost first
+    static MARKS = ['link', 'bold', 'italic', 'underline', 'strike', 'highlight', 'subscript', 'superscript', 'code'];
+
+    static MARK_TAGS = {
+        link: 'a', bold: 'b', italic: 'i', underline: 'u', strike: 's',
+        highlight: 'mark', subscript: 'sub', superscript: 'sup', code: 'code'
+    };
+
+    static TAG_MARKS = {
+        b: 'bold', strong: 'bold', i: 'italic', em: 'italic', u: 'underline',
+        s: 'strike', strike: 'strike', del: 'strike', mark: 'highlight',
+        sub: 'subscript', sup: 'superscript', code: 'code'
+    };
+
+    static BLOCK_TAGS = new Set([
+        'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li',
+        'blockquote', 'pre', 'table', 'hr'
+    ]);
+
+    // Blocks kept as HTML: their content can be typed into but not formatted
+    static OPAQUE_TAGS = new Set(['pre', 'table']);
+
+    static ALIGNMENTS = new Set(['center', 'right', 'justify']);
+
+    // Blocks are { type, align, quote, content } where type is 'paragraph', 'heading'
+    // (with level), 'listItem' (with listType 'bullet' or 'ordered', depth, checked and
+    // an optional start), 'rule' or 'html' (with html, and no content). Content is a list
+    // of { text, marks } runs and { atom: 'image' | 'break' | 'checkbox', attrs, marks }.
+    // Marks are true, apart from link, which is { href, title }.
+    constructor(blocks = []) {
+        this.blocks = blocks;
+        this.root = null;
+        this.map = null; // Set for documents read from the DOM
+    }
+
+    clone() {
+        return new EditorDocument(JSON.parse(JSON.stringify(this.blocks)));
+    }
+
+    static isTextBlock(block) {
+        return !!block && ['paragraph', 'heading', 'listItem'].includes(block.type);
+    }
+
+    static blockLength(block) {
+        if (!EditorDocument.isTextBlock(block)) return 0;
+        return block.content.reduce((length, item) => length + EditorDocument.itemLength(item), 0);
+    }
+
+    static itemLength(item) {
+        return item.atom ? 1 : item.text.length;
+    }
+
+    static sameMarks(a, b) {
+        const keysA = Object.keys(a || {});
+        const keysB = Object.keys(b || {});
+        return keysA.length === keysB.length && keysA.every(key => EditorDocument.sameMarkValue(a[key], b[key]));
+    }
+
+    static sameMarkValue(a, b) {
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            return a.href === b.href && a.title === b.title;
+        }
+        return a === b;
+    }
+
+    // The part of `content` between two offsets, splitting runs of text as needed
+    static sliceContent(content, from, to = Infinity) {
+        const slice = [];
+        let position = 0;
+
+        content.forEach(item => {
+            const length = EditorDocument.itemLength(item);
+            const start = Math.max(from - position, 0);
+            const end = Math.min(to - position, length);
+            if (end > start) {
+                slice.push(item.atom
+                    ? { ...item, marks: { ...item.marks } }
+                    : { text: item.text.slice(start, end), marks: { ...item.marks } });
+            }
+            position += length;
+        });
+
+        return slice;
+    }
+
+    // Merge neighbouring runs with the same marks and drop empty ones
+    static normalizeContent(content) {
+        const result = [];
+        content.forEach(item => {
+            if (!item.atom && !item.text) return;
+            const previous = result[result.length - 1];
+            if (previous && !previous.atom && !item.atom && EditorDocument.sameMarks(previous.marks, item.marks)) {
+                previous.text += item.text;
+            } else {
+                result.push({ ...item, marks: { ...item.marks } });
+            }
+        });
+        return result;
+    }
+
+    // Marks that typing at `offset` would get: those of the text before it, or after it
+    // at the start of a block
+    static marksAt(block, offset) {
+        if (!EditorDocument.isTextBlock(block)) return {};
+
+        let position = 0;
+        let marks = null;
+        for (const item of block.content) {
+            if (!item.atom && (position < offset || marks === null)) {
+                marks = item.marks;
+            }
+            position += EditorDocument.itemLength(item);
+            if (position >= offset && marks !== null) break;
+        }
+        return { ...(marks || {}) };
+    }
+
+    static comparePositions(a, b) {
+        return a.block !== b.block ? a.block - b.block : a.offset - b.offset;
+    }
+
+    static isCollapsed(selection) {
+        return EditorDocument.comparePositions(selection.from, selection.to) === 0;
+    }
+
+    // Parsing
+
+    static fromHtml(html) {
+        return EditorDocument.fromDom(HtmlSanitizer.parse(html));
+    }
+
+    // Read the children of `root` (or just the given ones) into a document that remembers
+    // which DOM nodes each block and run came from
+    static fromDom(root, children = null) {
+        const doc = new EditorDocument();
+        doc.root = root;
+        doc.map = { blocks: [], nodes: new Map(), elements: new Map() };
+        EditorDocument.parseBlocks(root, { align: null, quote: false, depth: -1 }, doc, children);
+        return doc;
+    }
+
+    // Start a block; returns its map entry, which collects the block's content
+    static addBlock(doc, block, element = null) {
+        const entry = {
+            block: block,
+            index: doc.blocks.length,
+            element: element,
+            segments: [],
+            length: 0,
+            contentStart: element ? { node: element, offset: 0 } : null,
+            skipSpace: false
+        };
+        doc.blocks.push(block);
+        doc.map.blocks.push(entry);
+        if (element) {
+            doc.map.elements.set(element, entry.index);
+        }
+        return entry;
+    }
+
+    static parseBlocks(parent, context, doc, children = null) {
+        let loose = null; // Paragraph for inline content that sits directly in `parent`
+
+        Array.from(children || parent.childNodes).forEach(node => {
+            if (EditorDocument.isBlockNode(node)) {
+                EditorDocument.finishBlock(loose);
+                loose = null;
+                EditorDocument.parseBlock(node, context, doc);
+                return;
+            }
+
+            // Whitespace between blocks is only formatting
+            if (!loose && node.nodeType === Node.TEXT_NODE && !node.data.trim()) {
+                return;
+            }
+            if (!loose) {
+                loose = EditorDocument.addBlock(doc, { type: 'paragraph', align: context.align, quote: context.quote, content: [] });
+            }
+            EditorDocument.parseInline(node, {}, loose, doc);
+        });
+
+        EditorDocument.finishBlock(loose);
+    }
+
+    static parseBlock(element, context, doc) {
+        const tag = element.localName;
+        const align = EditorDocument.readAlign(element) || context.align;
+
+        if (tag === 'ul' || tag === 'ol') {
+            EditorDocument.parseList(element, { ...context, align: align }, doc);
+        } else if (tag === 'li') {
+            EditorDocument.parseListItem(element, { ...context, listType: 'bullet', depth: context.depth + 1 }, doc);
+        } else if (tag === 'blockquote') {
+            EditorDocument.parseBlocks(element, { ...context, align: align, quote: true }, doc);
+        } else if (tag === 'hr') {
+            EditorDocument.addBlock(doc, { type: 'rule', align: null, quote: context.quote, content: [] }, element);
+        } else if (EditorDocument.OPAQUE_TAGS.has(tag)) {
+            EditorDocument.addBlock(doc, { type: 'html', html: element.outerHTML, align: null, quote: context.quote, content: [] }, element);
+        } else if (Array.from(element.childNodes).some(child => EditorDocument.isBlockNode(child))) {
+            // A wrapper, like the <div>s aligned Markdown blocks come in
+            EditorDocument.parseBlocks(element, { ...context, align: align }, doc);
+        } else {
+            const heading = tag.match(/^h([1-6])$/);
+            const block = heading
+                ? { type: 'heading', level: Number(heading[1]), align: align, quote: context.quote, content: [] }
+                : { type: 'paragraph', align: align, quote: context.quote, content: [] };
+            const entry = EditorDocument.addBlock(doc, block, element);
+            Array.from(element.childNodes).forEach(child => EditorDocument.parseInline(child, {}, entry, doc));
+            EditorDocument.finishBlock(entry);
+        }
+    }
+
+    static parseList(list, context, doc) {
+        const listType = list.localName === 'ol' ? 'ordered' : 'bullet';
+        const start = listType === 'ordered' ? parseInt(list.getAttribute('start') || '1', 10) : 1;
+        let first = true;
+
+        Array.from(list.childNodes).forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && node.localName === 'li') {
+                EditorDocument.parseListItem(node, {
+                    ...context,
+                    listType: listType,
+                    depth: context.depth + 1,
+                    start: first && start !== 1 ? start : null
+                }, doc);
+                first = false;
+            } else if (EditorDocument.isBlockNode(node)) {
+                EditorDocument.parseBlock(node, context, doc);
+            }
+        });
+    }
+
+    // An item's own text and the text of paragraphs inside it become the item's content;
+    // nested lists follow as deeper items
+    static parseListItem(item, context, doc) {
+        const block = {
+            type: 'listItem',
+            listType: context.listType,
+            depth: Math.max(context.depth, 0),
+            checked: null,
+            align: EditorDocument.readAlign(item) || context.align,
+            quote: context.quote,
+            content: []
+        };
+        if (context.start) {
+            block.start = context.start;
+        }
+
+        const entry = EditorDocument.addBlock(doc, block, item);
+        const nested = [];
+
+        Array.from(item.childNodes).forEach(node => {
+            if (!EditorDocument.isBlockNode(node)) {
+                EditorDocument.parseInline(node, {}, entry, doc);
+            } else if (/^(p|div|h[1-6])$/.test(node.localName) && !Array.from(node.childNodes).some(child => EditorDocument.isBlockNode(child))) {
+                if (block.content.length > 0) {
+                    block.content.push({ atom: 'break', attrs: {}, marks: {} });
+                    entry.length++;
+                }
+                Array.from(node.childNodes).forEach(child => EditorDocument.parseInline(child, {}, entry, doc));
+            } else {
+                nested.push(node);
+            }
+        });
+
+        EditorDocument.finishBlock(entry);
+        nested.forEach(node => EditorDocument.parseBlock(node, { ...context, start: null }, doc));
+    }
+
+    static parseInline(node, marks, entry, doc) {
+        const block = entry.block;
+
+        if (node.nodeType === Node.TEXT_NODE) {
+            let skip = 0;
+            if (entry.skipSpace && node.data.length > 0) {
+                skip = node.data.startsWith(' ') ? 1 : 0;
+                entry.skipSpace = false;
+            }
+            const text = node.data.slice(skip);
+            EditorDocument.addSegment(entry, doc, { node: node, start: entry.length, length: text.length, skip: skip, atom: false });
+            if (text) {
+                block.content.push({ text: text, marks: { ...marks } });
+            }
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return;
+        }
+
+        const tag = node.localName;
+        if (tag === 'input') {
+            if ((node.getAttribute('type') || '').toLowerCase() !== 'checkbox') return;
+
+            // A checkbox starting a list item makes it a task
+            if (block.type === 'listItem' && block.checked === null && block.content.length === 0) {
+                block.checked = !!node.checked;
+                entry.skipSpace = true;
+                entry.contentStart = { node: node.parentNode, offset: EditorDocument.childIndex(node) + 1 };
+                return;
+            }
+            EditorDocument.addAtom(entry, doc, node, { atom: 'checkbox', attrs: { checked: !!node.checked }, marks: { ...marks } });
+        } else if (tag === 'br') {
+            EditorDocument.addAtom(entry, doc, node, { atom: 'break', attrs: {}, marks: {} });
+        } else if (tag === 'img') {
+            const attrs = {};
+            ['src', 'alt', 'title', 'width', 'height'].forEach(name => {
+                if (node.hasAttribute(name)) attrs[name] = node.getAttribute(name);
+            });
+            EditorDocument.addAtom(entry, doc, node, { atom: 'image', attrs: attrs, marks: { ...marks } });
+        } else {
+            const inner = { ...marks };
+            if (tag === 'a' && node.getAttribute('href')) {
+                inner.link = { href: node.getAttribute('href'), title: node.getAttribute('title') };
+            } else if (EditorDocument.TAG_MARKS[tag]) {
+                inner[EditorDocument.TAG_MARKS[tag]] = true;
+            }
+            Array.from(node.childNodes).forEach(child => EditorDocument.parseInline(child, inner, entry, doc));
+        }
+    }
+
+    static addSegment(entry, doc, segment) {
+        entry.segments.push(segment);
+        entry.length += segment.length;
+        doc.map.nodes.set(segment.node, { block: entry.index, segment: segment });
+    }
+
+    static addAtom(entry, doc, node, item) {
+        entry.block.content.push(item);
+        EditorDocument.addSegment(entry, doc, { node: node, start: entry.length, length: 1, skip: 0, atom: true });
+    }
+
+    // Tidy a block's runs. A <br> at the end of a block doesn't show, so it isn't content.
+    static finishBlock(entry) {
+        if (!entry) return;
+
+        const content = entry.block.content;
+        const last = content[content.length - 1];
+        if (last && last.atom === 'break') {
+            content.pop();
+            const segment = entry.segments.pop();
+            entry.length -= segment.length;
+        }
+        entry.block.content = EditorDocument.normalizeContent(content);
+    }
+
+    static isBlockNode(node) {
+        return node.nodeType === Node.ELEMENT_NODE && EditorDocument.BLOCK_TAGS.has(node.localName);
+    }
+
+    static readAlign(element) {
+        const value = ((element.style && element.style.textAlign) || element.getAttribute('align') || '').toLowerCase();
+        return EditorDocument.ALIGNMENTS.has(value) ? value : null;
+    }
+
+    static childIndex(node) {
+        return Array.prototype.indexOf.call(node.parentNode.childNodes, node);
+    }
+
+    // Rendering
+
+    // The document as DOM nodes of `page`. The same document always renders the same way.
+    static render(doc, page = document) {
+        const fragment = page.createDocumentFragment();
+        if (doc.blocks.length === 0) {
+            fragment.appendChild(EditorDocument.renderBlock({ type: 'paragraph', align: null, content: [] }, page));
+        } else {
+            EditorDocument.renderBlocks(doc.blocks, page, fragment);
+        }
+        return fragment;
+    }
+
+    static toHtml(doc) {
+        if (!EditorDocument.inertPage) {
+            EditorDocument.inertPage = document.implementation.createHTMLDocument('');
+        }
+        const container = EditorDocument.inertPage.createElement('div');
+        container.appendChild(EditorDocument.render(doc, EditorDocument.inertPage));
+        return container.innerHTML;
+    }
+
+    static renderBlocks(blocks, page, parent) {
+        let index = 0;
+        while (index < blocks.length) {
+            const block = blocks[index];
+            let end = index + 1;
+
+            if (block.quote) {
+                while (end < blocks.length && blocks[end].quote) end++;
+                const quote = page.createElement('blockquote');
+                EditorDocument.renderBlocks(blocks.slice(index, end).map(inner => ({ ...inner, quote: false })), page, quote);
+                parent.appendChild(quote);
+            } else if (block.type === 'listItem') {
+                while (end < blocks.length && blocks[end].type === 'listItem' && !blocks[end].quote) end++;
+                EditorDocument.renderList(blocks.slice(index, end), page, parent);
+            } else {
+                parent.appendChild(EditorDocument.renderBlock(block, page));
+            }
+
+            index = end;
+        }
+    }
+
+    static renderBlock(block, page) {
+        if (block.type === 'rule') {
+            return page.createElement('hr');
+        }
+        if (block.type === 'html') {
+            const fragment = page.createDocumentFragment();
+            Array.from(HtmlSanitizer.parse(block.html).childNodes).forEach(node => {
+                fragment.appendChild(page.importNode(node, true));
+            });
+            return fragment;
+        }
+
+        const element = page.createElement(block.type === 'heading' ? `h${block.level}` : 'p');
+        EditorDocument.renderContent(block, element, page);
+        return element;
+    }
+
+    // Consecutive items as nested lists. A change of list type at the top level starts
+    // a new list.
+    static renderList(items, page, parent) {
+        let stack = []; // Open lists, outermost first: { list, listType }
+
+        items.forEach(item => {
+            const depth = Math.min(item.depth, stack.length);
+            stack = stack.slice(0, depth + 1);
+
+            if (stack.length === depth + 1 && stack[depth].listType !== item.listType) {
+                stack = stack.slice(0, depth);
+            }
+
+            if (stack.length === depth) {
+                const list = page.createElement(item.listType === 'ordered' ? 'ol' : 'ul');
+                if (item.listType === 'ordered' && item.start) {
+                    list.setAttribute('start', String(item.start));
+                }
+
+                if (depth === 0) {
+                    parent.appendChild(list);
+                } else {
+                    const outer = stack[depth - 1].list;
+                    let owner = outer.lastElementChild;
+                    if (!owner) {
+                        owner = page.createElement('li');
+                        outer.appendChild(owner);
+                    }
+                    owner.appendChild(list);
+                }
+                stack.push({ list: list, listType: item.listType });
+            }
+
+            const element = page.createElement('li');
+            if (item.checked !== null && item.checked !== undefined) {
+                stack[depth].list.className = 'task-list';
+                element.className = 'task-list-item';
+                const checkbox = page.createElement('input');
+                checkbox.setAttribute('type', 'checkbox');
+                if (item.checked) {
+                    checkbox.setAttribute('checked', '');
+                }
+                element.appendChild(checkbox);
+                if (item.content.length > 0) {
+                    element.appendChild(page.createTextNode(' '));
+                }
+            }
+            EditorDocument.renderContent(item, element, page);
+            stack[depth].list.appendChild(element);
+        });
+    }
+
+    // A text block's alignment and runs, with marks nested in MARKS order. Empty blocks
+    // and blocks ending in a line break get a <br> so the last line shows.
+    static renderContent(block, element, page) {
+        if (block.align) {
+            element.setAttribute('style', `text-align: ${block.align};`);
+        }
+
+        let open = []; // { mark, value, element }, outermost first
+        block.content.forEach(item => {
+            const chain = EditorDocument.MARKS
+                .filter(mark => item.marks && item.marks[mark])
+                .map(mark => ({ mark: mark, value: item.marks[mark] }));
+
+            let kept = 0;
+            while (kept < open.length && kept < chain.length &&
+                open[kept].mark === chain[kept].mark && EditorDocument.sameMarkValue(open[kept].value, chain[kept].value)) {
+                kept++;
+            }
+            open = open.slice(0, kept);
+
+            chain.slice(kept).forEach(link => {
+                const wrapper = page.createElement(EditorDocument.MARK_TAGS[link.mark]);
+                if (link.mark === 'link') {
+                    wrapper.setAttribute('href', link.value.href);
+                    if (link.value.title) {
+                        wrapper.setAttribute('title', link.value.title);
+                    }
+                }
+                (open.length > 0 ? open[open.length - 1].element : element).appendChild(wrapper);
+                open.push({ ...link, element: wrapper });
+            });
+
+            const target = open.length > 0 ? open[open.length - 1].element : element;
+            target.appendChild(EditorDocument.renderItem(item, page));
+        });
+
+        const last = block.content[block.content.length - 1];
+        if (!last || last.atom === 'break') {
+            element.appendChild(page.createElement('br'));
+        }
+    }
+
+    static renderItem(item, page) {
+        if (!item.atom) {
+            return page.createTextNode(item.text);
+        }
+        if (item.atom === 'break') {
+            return page.createElement('br');
+        }
+
+        const element = page.createElement(item.atom === 'image' ? 'img' : 'input');
+        if (item.atom === 'checkbox') {
+            element.setAttribute('type', 'checkbox');
+            if (item.attrs.checked) {
+                element.setAttribute('checked', '');
+            }
+        } else {
+            Object.entries(item.attrs).forEach(([name, value]) => element.setAttribute(name, value));
+        }
+        return element;
+    }
+
+    // Positions
+
+    // { from, to } for a DOM selection inside the root, or null
+    selectionFrom(domSelection) {
+        if (!domSelection || domSelection.rangeCount === 0) return null;
+
+        const range = domSelection.getRangeAt(0);
+        if (!this.root.contains(range.startContainer) || !this.root.contains(range.endContainer)) {
+            return null;
+        }
+        return {
+            from: this.positionAt(range.startContainer, range.startOffset),
+            to: this.positionAt(range.endContainer, range.endOffset)
+        };
+    }
+
+    // The model position of a DOM point inside the root
+    positionAt(node, offset) {
+        const hit = this.map.nodes.get(node);
+        if (hit) {
+            const { segment } = hit;
+            const inside = segment.atom ? 0 : Math.max(0, Math.min(offset - segment.skip, segment.length));
+            return { block: hit.block, offset: segment.start + inside };
+        }
+
+        for (let element = node; element && element !== this.root; element = element.parentNode) {
+            if (this.map.elements.has(element)) {
+                const index = this.map.elements.get(element);
+                return { block: index, offset: this.offsetInBlock(index, node, offset) };
+            }
+        }
+
+        // Between blocks: the start of the first block after the point
+        const point = this.root.ownerDocument.createRange();
+        point.setStart(node, offset);
+        const index = this.map.blocks.findIndex(entry => {
+            const first = entry.element || (entry.segments[0] && entry.segments[0].node);
+            return first && point.comparePoint(first, 0) >= 0;
+        });
+        if (index === -1) {
+            const last = this.blocks.length - 1;
+            return { block: Math.max(last, 0), offset: EditorDocument.blockLength(this.blocks[last]) };
+        }
+        return { block: index, offset: 0 };
+    }
+
+    // Offset of a point inside a block's element: where the first run after it starts
+    offsetInBlock(index, node, offset) {
+        const entry = this.map.blocks[index];
+        if (!EditorDocument.isTextBlock(entry.block)) return 0;
+
+        const point = this.root.ownerDocument.createRange();
+        point.setStart(node, offset);
+        const next = entry.segments.find(segment => point.comparePoint(segment.node, 0) >= 0);
+        return next ? next.start : entry.length;
+    }
+
+    // The DOM point for a model position; runs of text win over the gaps around atoms
+    domPoint(position) {
+        const entry = this.map.blocks[position.block];
+        if (!entry) {
+            return { node: this.root, offset: this.root.childNodes.length };
+        }
+        if (!EditorDocument.isTextBlock(entry.block)) {
+            const element = entry.element;
+            return { node: element.parentNode, offset: EditorDocument.childIndex(element) };
+        }
+
+        const text = entry.segments.find(segment => !segment.atom &&
+            position.offset >= segment.start && position.offset <= segment.start + segment.length);
+        if (text) {
+            return { node: text.node, offset: text.skip + position.offset - text.start };
+        }
+
+        const atom = entry.segments.find(segment => segment.atom &&
+            (position.offset === segment.start || position.offset === segment.start + 1));
+        if (atom) {
+            const index = EditorDocument.childIndex(atom.node);
+            return { node: atom.node.parentNode, offset: position.offset === atom.start ? index : index + 1 };
+        }
+
+        return entry.contentStart || { node: this.root, offset: 0 };
+    }
+
+    toRange(selection) {
+        const range = this.root.ownerDocument.createRange();
+        const start = this.domPoint(selection.from);
+        const end = this.domPoint(selection.to);
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+        return range;
+    }
+
+    // A collapsed selection at the end of the document
+    endSelection() {
+        const block = Math.max(this.blocks.length - 1, 0);
+        const position = { block: block, offset: EditorDocument.blockLength(this.blocks[block]) };
+        return { from: position, to: { ...position } };
+    }
+}
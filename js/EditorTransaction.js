@@ -0,0 +1,271 @@
+/**
+ * EditorTransaction.js
+ * Editing operations on an EditorDocument. A transaction works on a copy of the
+ * document and a { from, to } selection; the Editor renders the result in one go.
+ */
+
+class EditorTransaction {
+    constructor(doc, selection) {
+        this.doc = doc.clone();
+        this.selection = EditorTransaction.ordered(selection);
+    }
+
+    static ordered(selection) {
+        const { from, to } = selection;
+        return EditorDocument.comparePositions(from, to) <= 0
+            ? { from: { ...from }, to: { ...to } }
+            : { from: { ...to }, to: { ...from } };
+    }
+
+    // Whether every character of text in the selection has `mark`. A collapsed
+    // selection looks at the text the caret is in.
+    static isMarkActive(doc, selection, mark) {
+        const { from, to } = EditorTransaction.ordered(selection);
+        if (EditorDocument.isCollapsed({ from, to })) {
+            return !!EditorDocument.marksAt(doc.blocks[from.block], from.offset)[mark];
+        }
+
+        let found = false;
+        for (let index = from.block; index <= to.block; index++) {
+            const block = doc.blocks[index];
+            if (!EditorDocument.isTextBlock(block)) continue;
+
+            const start = index === from.block ? from.offset : 0;
+            const end = index === to.block ? to.offset : Infinity;
+            for (const item of EditorDocument.sliceContent(block.content, start, end)) {
+                if (item.atom) continue;
+                if (!item.marks[mark]) return false;
+                found = true;
+            }
+        }
+        return found;
+    }
+
+    // Indexes of the text blocks the selection touches
+    textBlocks() {
+        const indexes = [];
+        for (let index = this.selection.from.block; index <= this.selection.to.block; index++) {
+            if (EditorDocument.isTextBlock(this.doc.blocks[index])) {
+                indexes.push(index);
+            }
+        }
+        return indexes;
+    }
+
+    // Add `mark` to the selected text, or remove it if all of the text has it already.
+    // `value` is { href, title } for links.
+    toggleMark(mark, value = true) {
+        const active = EditorTransaction.isMarkActive(this.doc, this.selection, mark);
+        const { from, to } = this.selection;
+
+        this.textBlocks().forEach(index => {
+            const block = this.doc.blocks[index];
+            const start = index === from.block ? from.offset : 0;
+            const end = index === to.block ? to.offset : Infinity;
+
+            const middle = EditorDocument.sliceContent(block.content, start, end).map(item => {
+                if (item.atom) return item;
+                const marks = { ...item.marks };
+                if (active) {
+                    delete marks[mark];
+                } else {
+                    marks[mark] = value;
+                }
+                return { ...item, marks: marks };
+            });
+
+            block.content = EditorDocument.normalizeContent([
+                ...EditorDocument.sliceContent(block.content, 0, start),
+                ...middle,
+                ...EditorDocument.sliceContent(block.content, end)
+            ]);
+        });
+        return this;
+    }
+
+    // Make the selected blocks paragraphs (type 'paragraph') or headings (with `level`).
+    // List items leave their list.
+    setBlockType(type, level = null) {
+        this.textBlocks().forEach(index => {
+            const { align, quote, content } = this.doc.blocks[index];
+            this.doc.blocks[index] = type === 'heading'
+                ? { type: 'heading', level: level, align: align, quote: quote, content: content }
+                : { type: 'paragraph', align: align, quote: quote, content: content };
+        });
+        return this;
+    }
+
+    // 'left', 'center', 'right' or 'justify'
+    setAlign(align) {
+        this.textBlocks().forEach(index => {
+            this.doc.blocks[index].align = align === 'left' ? null : align;
+        });
+        return this;
+    }
+
+    // Turn the selected blocks into items of a 'bullet' or 'ordered' list, or back into
+    // paragraphs if they all are already
+    toggleList(listType) {
+        const indexes = this.textBlocks();
+        const inList = indexes.length > 0 && indexes.every(index =>
+            this.doc.blocks[index].type === 'listItem' && this.doc.blocks[index].listType === listType
+        );
+
+        indexes.forEach(index => {
+            const block = this.doc.blocks[index];
+            if (inList) {
+                this.doc.blocks[index] = { type: 'paragraph', align: block.align, quote: block.quote, content: block.content };
+            } else {
+                this.doc.blocks[index] = {
+                    type: 'listItem',
+                    listType: listType,
+                    depth: block.type === 'listItem' ? block.depth : 0,
+                    checked: block.type === 'listItem' ? block.checked : null,
+                    align: block.align,
+                    quote: block.quote,
+                    content: block.content
+                };
+            }
+        });
+        return this;
+    }
+
+    // Remove the selected content, joining the blocks at either end
+    deleteSelection() {
+        const { from, to } = this.selection;
+        if (EditorDocument.isCollapsed(this.selection)) return this;
+
+        const blocks = this.doc.blocks;
+        const first = blocks[from.block];
+        const last = blocks[to.block];
+
+        if (from.block === to.block) {
+            if (EditorDocument.isTextBlock(first)) {
+                first.content = EditorDocument.normalizeContent([
+                    ...EditorDocument.sliceContent(first.content, 0, from.offset),
+                    ...EditorDocument.sliceContent(first.content, to.offset)
+                ]);
+            }
+        } else if (EditorDocument.isTextBlock(first) && EditorDocument.isTextBlock(last)) {
+            first.content = EditorDocument.normalizeContent([
+                ...EditorDocument.sliceContent(first.content, 0, from.offset),
+                ...EditorDocument.sliceContent(last.content, to.offset)
+            ]);
+            blocks.splice(from.block + 1, to.block - from.block);
+        } else {
+            // A table or rule at the start goes; one at the end is only reached, not selected
+            if (EditorDocument.isTextBlock(last)) {
+                last.content = EditorDocument.sliceContent(last.content, to.offset);
+            }
+            blocks.splice(from.block + 1, to.block - from.block - 1);
+            if (EditorDocument.isTextBlock(first)) {
+                first.content = EditorDocument.sliceContent(first.content, 0, from.offset);
+            } else {
+                blocks.splice(from.block, 1);
+                this.collapse({ block: from.block, offset: 0 });
+                return this;
+            }
+        }
+
+        this.collapse(from);
+        return this;
+    }
+
+    // Insert text with the given marks (by default, those of the text at the caret)
+    insertText(text, marks = null) {
+        this.deleteSelection();
+        const { from } = this.selection;
+        const block = this.doc.blocks[from.block];
+        if (!EditorDocument.isTextBlock(block)) return this;
+
+        block.content = EditorDocument.normalizeContent([
+            ...EditorDocument.sliceContent(block.content, 0, from.offset),
+            { text: text, marks: marks || EditorDocument.marksAt(block, from.offset) },
+            ...EditorDocument.sliceContent(block.content, from.offset)
+        ]);
+        this.collapse({ block: from.block, offset: from.offset + text.length });
+        return this;
+    }
+
+    // Replace the selection with blocks from another document. Plain paragraphs at either
+    // end join the text around the caret, so pasting a phrase stays in the paragraph it's
+    // pasted into; headings, list items and other blocks go in whole, replacing the
+    // caret's block if it's empty.
+    replaceSelection(blocks) {
+        this.deleteSelection();
+        if (blocks.length === 0) return this;
+
+        const { from } = this.selection;
+        const current = this.doc.blocks[from.block];
+        const inserted = JSON.parse(JSON.stringify(blocks));
+
+        if (!EditorDocument.isTextBlock(current)) {
+            // Tables and rules can't hold the content; it goes after them
+            const index = current ? from.block + 1 : this.doc.blocks.length;
+            this.doc.blocks.splice(index, 0, ...inserted);
+            const last = index + inserted.length - 1;
+            this.collapse({ block: last, offset: EditorDocument.blockLength(this.doc.blocks[last]) });
+            return this;
+        }
+
+        // Pasted lists nest at the depth of the list item they're pasted into
+        if (current.type === 'listItem') {
+            inserted.forEach(block => {
+                if (block.type === 'listItem') block.depth += current.depth;
+            });
+        }
+
+        const head = { ...current, content: EditorDocument.sliceContent(current.content, 0, from.offset) };
+        const tail = { ...current, content: EditorDocument.sliceContent(current.content, from.offset) };
+        delete tail.start;
+
+        if (EditorTransaction.isPlainParagraph(inserted[0])) {
+            head.content.push(...inserted.shift().content);
+        }
+
+        if (inserted.length === 0) {
+            const caret = { block: from.block, offset: EditorDocument.blockLength(head) };
+            head.content = EditorDocument.normalizeContent([...head.content, ...tail.content]);
+            this.doc.blocks.splice(from.block, 1, head);
+            this.collapse(caret);
+            return this;
+        }
+
+        const last = inserted[inserted.length - 1];
+        const mergeLast = EditorTransaction.isPlainParagraph(last);
+        if (mergeLast) {
+            inserted.pop();
+            tail.content = [...last.content, ...tail.content];
+        }
+
+        head.content = EditorDocument.normalizeContent(head.content);
+        tail.content = EditorDocument.normalizeContent(tail.content);
+
+        // Drop what's left of the caret's block when it's empty, apart from a line to
+        // carry on typing on after a table or rule
+        const keepHead = EditorDocument.blockLength(head) > 0;
+        const keepTail = mergeLast || EditorDocument.blockLength(tail) > 0 || !EditorDocument.isTextBlock(last);
+        const replacement = [...(keepHead ? [head] : []), ...inserted, ...(keepTail ? [tail] : [])];
+        this.doc.blocks.splice(from.block, 1, ...replacement);
+
+        const end = from.block + replacement.length - 1;
+        if (mergeLast) {
+            this.collapse({ block: end, offset: EditorDocument.blockLength(last) });
+        } else if (keepTail) {
+            this.collapse({ block: end, offset: 0 });
+        } else {
+            this.collapse({ block: end, offset: EditorDocument.blockLength(this.doc.blocks[end]) });
+        }
+        return this;
+    }
+
+    // A paragraph that can join the text around the caret without losing anything
+    static isPlainParagraph(block) {
+        return !!block && block.type === 'paragraph' && !block.quote;
+    }
+
+    collapse(position) {
+        this.selection = { from: { ...position }, to: { ...position } };
+        return this;
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * HistoryPanel.js
+ * Lists a note's saved revisions, shows word-level diffs and restores old versions
+ */
+
+class HistoryPanel {
+    constructor() {
+        this.elements = {
+            modal: document.getElementById('history-modal'),
+            closeBtn: document.getElementById('history-modal-close'),
+            list: document.getElementById('history-list'),
+            compareSelect: document.getElementById('history-compare-select'),
+            diff: document.getElementById('history-diff'),
+            restoreBtn: document.getElementById('history-restore-btn')
+        };
+        this.note = null;
+        this.revisions = [];
+        this.selectedId = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.elements.closeBtn?.addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.elements.modal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) {
+                this.hide();
+            }
+        });
+
+        this.elements.compareSelect?.addEventListener('change', () => {
+            this.renderDiff();
+        });
+
+        this.elements.restoreBtn?.addEventListener('click', () => {
+            if (this.selectedId && this.onRestore) {
+                this.onRestore(this.selectedId);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.hide();
+            }
+        });
+    }
+
+    show(note, revisions) {
+        this.note = note;
+        this.revisions = revisions;
+        this.selectedId = null;
+
+        this.renderList();
+        if (revisions.length > 0) {
+            this.select(revisions[0].id);
+        } else {
+            this.elements.compareSelect.innerHTML = '';
+            this.elements.diff.innerHTML = '<p class="history-empty">No saved versions yet. Versions are saved automatically every few minutes while you edit.</p>';
+            this.elements.restoreBtn.disabled = true;
+        }
+
+        this.elements.modal?.classList.add('active');
+    }
+
+    hide() {
+        this.elements.modal?.classList.remove('active');
+    }
+
+    isOpen() {
+        return !!this.elements.modal && this.elements.modal.classList.contains('active');
+    }
+
+    renderList() {
+        this.elements.list.innerHTML = '';
+
+        this.revisions.forEach((revision, index) => {
+            // Revisions are newest first, so the previous one is next in the list
+            const previous = this.revisions[index + 1];
+            const delta = previous ? revision.words - previous.words : revision.words;
+
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.dataset.revisionId = revision.id;
+
+            const time = document.createElement('span');
+            time.className = 'history-time';
+            time.textContent = new Date(revision.createdAt).toLocaleString();
+
+            const details = document.createElement('span');
+            details.className = 'history-details';
+            details.textContent = revision.title;
+
+            const words = document.createElement('span');
+            words.className = `history-delta ${delta > 0 ? 'positive' : delta < 0 ? 'negative' : ''}`;
+            words.textContent = `${delta > 0 ? '+' : ''}${delta} ${Math.abs(delta) === 1 ? 'word' : 'words'}`;
+
+            item.append(time, details, words);
+            item.addEventListener('click', () => this.select(revision.id));
+
+            this.elements.list.appendChild(item);
+        });
+    }
+
+    select(revisionId) {
+        this.selectedId = revisionId;
+
+        this.elements.list.querySelectorAll('.history-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.revisionId === revisionId);
+        });
+
+        // Compare against the current note by default, or any other revision
+        this.elements.compareSelect.innerHTML = '';
+        this.elements.compareSelect.appendChild(new Option('Current note', 'current'));
+        this.revisions
+            .filter(revision => revision.id !== revisionId)
+            .forEach(revision => {
+                const label = new Date(revision.createdAt).toLocaleString();
+                this.elements.compareSelect.appendChild(new Option(label, revision.id));
+            });
+
+        this.elements.restoreBtn.disabled = false;
+        this.renderDiff();
+    }
+
+    renderDiff() {
+        const selected = this.revisions.find(revision => revision.id === this.selectedId);
+        if (!selected) return;
+
+        const compareId = this.elements.compareSelect.value;
+        const target = compareId === 'current'
+            ? this.note
+            : this.revisions.find(revision => revision.id === compareId);
+
+        // Show changes going from the older version to the newer one
+        const [older, newer] = new Date(selected.createdAt) <= new Date(target.updatedAt || target.createdAt)
+            ? [selected, target]
+            : [target, selected];
+
+        const changes = TextDiff.diffWords(older.content, newer.content);
+
+        this.elements.diff.innerHTML = '';
+        changes.forEach(change => {
+            const span = document.createElement(change.type === 'insert' ? 'ins' : change.type === 'delete' ? 'del' : 'span');
+            span.textContent = change.value;
+            this.elements.diff.appendChild(span);
+        });
+
+        if (!changes.some(change => change.type !== 'equal')) {
+            const note = document.createElement('p');
+            note.className = 'history-empty';
+            note.textContent = 'No differences.';
+            this.elements.diff.prepend(note);
+        }
+    }
+
+    // Event callback (set by external code)
+    onRestore = null;
+}
@@ -0,0 +1,189 @@
+/**
+ * HtmlSanitizer.js
+ * Whitelist-based cleaning of note HTML, so content from storage, sync, imports and the
+ * clipboard can't run script
+ */
+
+class HtmlSanitizer {
+    // Allowed elements and the attributes each may keep, besides GLOBAL_ATTRIBUTES
+    static TAGS = {
+        p: [], div: [], span: [], br: [], hr: [],
+        b: [], strong: [], i: [], em: [], u: [], s: [], strike: [], del: [], mark: [],
+        sub: [], sup: [], code: [], pre: [], blockquote: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        ul: [], ol: ['start'], li: [],
+        a: ['href', 'title'],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+        th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+        input: ['type', 'checked']
+    };
+
+    static GLOBAL_ATTRIBUTES = ['class', 'style', 'align'];
+
+    // Elements removed along with everything inside them. Other unknown elements are
+    // unwrapped, keeping their text.
+    static DROPPED_TAGS = new Set([
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'template', 'noscript', 'noembed', 'noframes', 'textarea', 'select', 'button',
+        'svg', 'math', 'title', 'head', 'link', 'meta', 'base', 'audio', 'video',
+        'canvas', 'param', 'source', 'track', 'xmp', 'plaintext'
+    ]);
+
+    // Other block elements become <div>s so their text doesn't run together
+    static BLOCK_TAGS = new Set([
+        'article', 'section', 'header', 'footer', 'main', 'nav', 'aside', 'address',
+        'center', 'figure', 'figcaption', 'details', 'summary', 'dl', 'dt', 'dd', 'form'
+    ]);
+
+    // Classes the app gives to note content (plus code block languages); anything else
+    // could borrow the app's styles
+    static CLASSES = new Set(['task-list', 'task-list-item']);
+    static LANGUAGE_CLASS = /^language-[\w+#.-]+$/;
+
+    static ALIGNMENTS = new Set(['left', 'center', 'right', 'justify']);
+
+    // URL schemes allowed per attribute; URLs without a scheme (relative links, #anchors)
+    // are always allowed
+    static URL_SCHEMES = {
+        href: ['http', 'https', 'mailto', 'tel'],
+        src: ['http', 'https', 'data']
+    };
+
+    static DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|bmp|avif);base64,[a-z0-9+/=\s]*$/i;
+
+    static BATCH_NODES = 500; // Top-level nodes cleaned between breaks in sanitizeInBatches()
+
+    static sanitize(html) {
+        return HtmlSanitizer.parse(html).innerHTML;
+    }
+
+    // Same result as sanitize(), cleaning BATCH_NODES top-level nodes at a time and letting
+    // the page handle events in between, so long documents don't freeze it
+    static async sanitizeInBatches(html) {
+        const page = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html || ''}`, 'text/html');
+        const container = page.createElement('div');
+        const nodes = Array.from(page.body.childNodes);
+
+        for (let start = 0; start < nodes.length; start += HtmlSanitizer.BATCH_NODES) {
+            const batch = page.createElement('div');
+            batch.append(...nodes.slice(start, start + HtmlSanitizer.BATCH_NODES));
+            HtmlSanitizer.copyChildren(batch, container);
+
+            if (start + HtmlSanitizer.BATCH_NODES < nodes.length) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return container.innerHTML;
+    }
+
+    // Sanitized HTML as a <div> in an inert document, for reading or editing before it's
+    // shown. Images don't load and handlers don't run in that document, unlike a <div>
+    // made with document.createElement.
+    static parse(html) {
+        const page = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html || ''}`, 'text/html');
+        const container = page.createElement('div');
+        HtmlSanitizer.copyChildren(page.body, container);
+        return container;
+    }
+
+    // Copy the allowed parts of `source`'s children into `target`
+    static copyChildren(source, target) {
+        const page = target.ownerDocument;
+
+        Array.from(source.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                target.appendChild(page.createTextNode(node.data));
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return; // Comments, processing instructions
+            }
+
+            const tag = HtmlSanitizer.BLOCK_TAGS.has(node.localName) ? 'div' : node.localName;
+            if (node.namespaceURI !== 'http://www.w3.org/1999/xhtml' || HtmlSanitizer.DROPPED_TAGS.has(tag)) {
+                return;
+            }
+            if (!Object.prototype.hasOwnProperty.call(HtmlSanitizer.TAGS, tag)) {
+                HtmlSanitizer.copyChildren(node, target);
+                return;
+            }
+            if (tag === 'input' && (node.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+                return;
+            }
+
+            const element = page.createElement(tag);
+            HtmlSanitizer.copyAttributes(node, element);
+            HtmlSanitizer.copyChildren(node, element);
+            target.appendChild(element);
+        });
+    }
+
+    static copyAttributes(source, target) {
+        const allowed = HtmlSanitizer.TAGS[target.localName];
+
+        Array.from(source.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (!allowed.includes(name) && !HtmlSanitizer.GLOBAL_ATTRIBUTES.includes(name)) {
+                return;
+            }
+
+            const value = HtmlSanitizer.cleanAttribute(name, attribute.value);
+            if (value !== null) {
+                target.setAttribute(name, value);
+            }
+        });
+    }
+
+    // The value to keep for an attribute, or null to drop it
+    static cleanAttribute(name, value) {
+        switch (name) {
+            case 'href':
+            case 'src':
+                return HtmlSanitizer.isSafeUrl(name, value) ? value.trim() : null;
+            case 'class': {
+                const classes = value.split(/\s+/).filter(token =>
+                    HtmlSanitizer.CLASSES.has(token) || HtmlSanitizer.LANGUAGE_CLASS.test(token)
+                );
+                return classes.length > 0 ? classes.join(' ') : null;
+            }
+            case 'style': {
+                // Only alignment, which the editor's toolbar sets
+                const match = value.match(/(?:^|;)\s*text-align\s*:\s*([a-z]+)\s*(?:;|$)/i);
+                return match && HtmlSanitizer.ALIGNMENTS.has(match[1].toLowerCase())
+                    ? `text-align: ${match[1].toLowerCase()};`
+                    : null;
+            }
+            case 'align':
+                return HtmlSanitizer.ALIGNMENTS.has(value.trim().toLowerCase()) ? value.trim().toLowerCase() : null;
+            case 'type':
+                return 'checkbox';
+            case 'checked':
+                return '';
+            case 'start':
+            case 'colspan':
+            case 'rowspan':
+            case 'width':
+            case 'height':
+                return /^\d{1,4}$/.test(value.trim()) ? value.trim() : null;
+            default:
+                return value;
+        }
+    }
+
+    static isSafeUrl(name, value) {
+        // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+        const compact = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+        const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) {
+            return true;
+        }
+
+        const allowed = HtmlSanitizer.URL_SCHEMES[name] || [];
+        if (!allowed.includes(scheme[1].toLowerCase())) {
+            return false;
+        }
+        return scheme[1].toLowerCase() !== 'data' || HtmlSanitizer.DATA_IMAGE.test(value.trim());
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * ImportDialog.js
+ * Previews notes read from other apps' exports, shows import progress and reports
+ * files that couldn't be imported
+ */
+
+class ImportDialog {
+    constructor() {
+        this.elements = {
+            modal: document.getElementById('import-modal'),
+            message: document.getElementById('import-message'),
+            selectAll: document.getElementById('import-select-all'),
+            selectAllLabel: document.getElementById('import-select-all-label'),
+            list: document.getElementById('import-list'),
+            errors: document.getElementById('import-errors'),
+            errorsTitle: document.getElementById('import-errors-title'),
+            errorsList: document.getElementById('import-errors-list'),
+            progress: document.getElementById('import-progress'),
+            progressBar: document.getElementById('import-progress-bar'),
+            progressText: document.getElementById('import-progress-text'),
+            cancelBtn: document.getElementById('import-cancel'),
+            importBtn: document.getElementById('import-confirm')
+        };
+        this.notes = [];
+        this.resolveCurrent = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.elements.selectAll?.addEventListener('change', () => {
+            this.getCheckboxes().forEach(checkbox => {
+                checkbox.checked = this.elements.selectAll.checked;
+            });
+            this.updateImportButton();
+        });
+
+        this.elements.list?.addEventListener('change', () => {
+            const checkboxes = this.getCheckboxes();
+            this.elements.selectAll.checked = checkboxes.every(checkbox => checkbox.checked);
+            this.updateImportButton();
+        });
+
+        this.elements.cancelBtn?.addEventListener('click', () => {
+            this.finish([]);
+            this.hide();
+        });
+
+        this.elements.importBtn?.addEventListener('click', () => {
+            const selected = this.getCheckboxes()
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => this.notes[Number(checkbox.value)]);
+            this.finish(selected);
+        });
+    }
+
+    // Show what NoteImporter.parse found. Resolves with the notes to import (empty if
+    // the user cancels).
+    choose(preview) {
+        return new Promise((resolve) => {
+            this.resolveCurrent = resolve;
+            this.notes = preview.notes;
+
+            const count = preview.notes.length;
+            this.elements.message.textContent = count === 0
+                ? 'No notes could be read from these files.'
+                : `Found ${count} ${count === 1 ? 'note' : 'notes'}. Choose which ones to import.`;
+
+            this.elements.list.innerHTML = '';
+            preview.notes.forEach((note, index) => {
+                this.elements.list.appendChild(this.renderNote(note, index));
+            });
+
+            this.elements.list.style.display = count > 0 ? '' : 'none';
+            this.elements.selectAllLabel.style.display = count > 0 ? '' : 'none';
+            this.elements.selectAll.checked = true;
+            this.renderErrors(preview.errors, 'Some files couldn\'t be read');
+
+            this.elements.cancelBtn.textContent = 'Cancel';
+            this.elements.importBtn.style.display = '';
+            this.setBusy(false);
+            this.elements.progress.style.display = 'none';
+            this.elements.progressText.textContent = '';
+            this.updateImportButton();
+
+            this.elements.modal?.classList.add('active');
+        });
+    }
+
+    renderNote(note, index) {
+        const item = document.createElement('li');
+        item.className = 'migration-item';
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = String(index);
+        checkbox.checked = true;
+
+        const details = document.createElement('span');
+        details.className = 'import-details';
+
+        const title = document.createElement('span');
+        title.className = 'migration-title';
+        title.textContent = note.title || TextDiff.toPlainText(note.content).trim().split('\n')[0] || 'Untitled Note';
+
+        const meta = document.createElement('span');
+        meta.className = 'import-meta';
+        const tasks = (note.content.match(/type="checkbox"/g) || []).length;
+        meta.textContent = [
+            note.source,
+            tasks > 0 ? `${tasks} ${tasks === 1 ? 'task' : 'tasks'}` : '',
+            ...note.tags.map(tag => `#${tag}`)
+        ].filter(Boolean).join(' · ');
+
+        details.append(title, meta);
+
+        const date = document.createElement('span');
+        date.className = 'migration-date';
+        const when = note.updatedAt || note.createdAt;
+        date.textContent = when ? new Date(when).toLocaleDateString() : '';
+
+        label.append(checkbox, details, date);
+        item.appendChild(label);
+        return item;
+    }
+
+    renderErrors(errors, title) {
+        this.elements.errors.style.display = errors.length > 0 ? '' : 'none';
+        this.elements.errorsTitle.textContent = `${title} (${errors.length})`;
+        this.elements.errorsList.innerHTML = '';
+
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            const file = document.createElement('span');
+            file.className = 'import-error-file';
+            file.textContent = error.file;
+            item.append(file, ` ${error.message}`);
+            this.elements.errorsList.appendChild(item);
+        });
+    }
+
+    setProgress(done, total, text = `Importing ${done} of ${total}...`) {
+        this.setBusy(true);
+        this.elements.progress.style.display = 'block';
+        this.elements.progressBar.style.width = `${total ? Math.round(done / total * 100) : 100}%`;
+        this.elements.progressText.textContent = text;
+    }
+
+    // Open straight into progress, for files that don't need a preview
+    showProgress(total) {
+        this.elements.message.textContent = `Importing ${total} ${total === 1 ? 'file' : 'files'}...`;
+        this.elements.list.innerHTML = '';
+        this.elements.list.style.display = 'none';
+        this.elements.selectAllLabel.style.display = 'none';
+        this.renderErrors([], '');
+        this.elements.importBtn.style.display = 'none';
+        this.elements.cancelBtn.textContent = 'Close';
+        this.setProgress(0, total);
+        this.elements.modal?.classList.add('active');
+    }
+
+    // After importing, list what was imported and everything that went wrong, and leave
+    // just a Close button
+    showReport(message, errors, imported = []) {
+        this.elements.message.textContent = message;
+        this.elements.list.innerHTML = '';
+        imported.forEach(name => {
+            const item = document.createElement('li');
+            item.className = 'migration-item import-result';
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-check';
+            const label = document.createElement('span');
+            label.className = 'migration-title';
+            label.textContent = name;
+            item.append(icon, label);
+            this.elements.list.appendChild(item);
+        });
+        this.elements.list.style.display = imported.length > 0 ? '' : 'none';
+        this.elements.selectAllLabel.style.display = 'none';
+        this.elements.progress.style.display = 'none';
+        this.elements.progressText.textContent = '';
+        this.renderErrors(errors, 'Problems');
+
+        this.setBusy(false);
+        this.elements.importBtn.style.display = 'none';
+        this.elements.cancelBtn.textContent = 'Close';
+        this.elements.modal?.classList.add('active');
+    }
+
+    hide() {
+        this.elements.modal?.classList.remove('active');
+    }
+
+    getCheckboxes() {
+        return Array.from(this.elements.list.querySelectorAll('input[type="checkbox"]'));
+    }
+
+    updateImportButton() {
+        this.elements.importBtn.disabled = !this.getCheckboxes().some(checkbox => checkbox.checked);
+    }
+
+    setBusy(busy) {
+        this.elements.importBtn.disabled = busy;
+        this.elements.cancelBtn.disabled = busy;
+        this.elements.selectAll.disabled = busy;
+        this.getCheckboxes().forEach(checkbox => {
+            checkbox.disabled = busy;
+        });
+    }
+
+    finish(selected) {
+        if (!this.resolveCurrent) return;
+
+        const resolve = this.resolveCurrent;
+        this.resolveCurrent = null;
+        resolve(selected);
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * IndexedDBStorageAdapter.js
+ * Note storage backed by IndexedDB, with one record per note
+ */
+
+class IndexedDBStorageAdapter extends StorageAdapter {
+    static VERSION = 3;
+
+    constructor(dbName = 'takenote', legacyKeys = { notes: 'takenote-notes', activeId: 'takenote-active-id' }) {
+        super();
+        this.dbName = dbName;
+        this.legacyKeys = legacyKeys;
+        this.dbPromise = null;
+        this.activeId = null;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    // Open the database once, migrating legacy localStorage notes on first use
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = this.openDatabase()
+                .then(async (db) => {
+                    await this.migrateFromLocalStorage(db);
+                    await this.loadActiveId(db);
+                    return db;
+                })
+                .catch(error => {
+                    this.dbPromise = null;
+                    throw error;
+                });
+        }
+        return this.dbPromise;
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, IndexedDBStorageAdapter.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('notes')) {
+                    const notes = db.createObjectStore('notes', { keyPath: 'id' });
+                    notes.createIndex('updatedAt', 'updatedAt');
+                    notes.createIndex('title', 'title');
+                }
+
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+
+                if (!db.objectStoreNames.contains('revisions')) {
+                    const revisions = db.createObjectStore('revisions', { keyPath: 'id' });
+                    revisions.createIndex('noteId', 'noteId');
+                }
+
+                if (!db.objectStoreNames.contains('folders')) {
+                    db.createObjectStore('folders', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(this.wrapError(request.error));
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+    }
+
+    // Move notes from the old single `takenote-notes` blob into per-note records
+    migrateFromLocalStorage(db) {
+        let savedNotes;
+        let savedActiveId;
+
+        try {
+            savedNotes = localStorage.getItem(this.legacyKeys.notes);
+            savedActiveId = localStorage.getItem(this.legacyKeys.activeId);
+        } catch (error) {
+            return Promise.resolve();
+        }
+
+        if (savedNotes === null) {
+            return Promise.resolve();
+        }
+
+        let notes = [];
+        try {
+            notes = JSON.parse(savedNotes) || [];
+        } catch (error) {
+            console.warn('Discarding unreadable notes from localStorage:', error);
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['notes', 'meta'], 'readwrite');
+            const store = tx.objectStore('notes');
+
+            notes.filter(note => note && note.id).forEach(note => store.put(note));
+            if (savedActiveId) {
+                tx.objectStore('meta').put({ key: 'activeId', value: savedActiveId });
+            }
+
+            tx.oncomplete = () => {
+                localStorage.removeItem(this.legacyKeys.notes);
+                localStorage.removeItem(this.legacyKeys.activeId);
+                resolve();
+            };
+            tx.onerror = () => reject(this.wrapError(tx.error));
+            tx.onabort = () => reject(this.wrapError(tx.error));
+        });
+    }
+
+    loadActiveId(db) {
+        return new Promise((resolve, reject) => {
+            const request = db.transaction('meta').objectStore('meta').get('activeId');
+            request.onsuccess = () => {
+                this.activeId = request.result ? request.result.value : null;
+                resolve();
+            };
+            request.onerror = () => reject(this.wrapError(request.error));
+        });
+    }
+
+    // Run `fn(store, setResult)` in a transaction and resolve with the result once it commits
+    async withStore(storeName, mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(this.wrapError(tx.error));
+            tx.onabort = () => reject(this.wrapError(tx.error));
+
+            fn(tx.objectStore(storeName), (value) => {
+                result = value;
+            });
+        });
+    }
+
+    wrapError(error) {
+        return StorageAdapter.isQuotaError(error) ? new StorageQuotaError() : error;
+    }
+
+    async list() {
+        return this.withStore('notes', 'readonly', (store, setResult) => {
+            const notes = [];
+            const request = store.index('updatedAt').openCursor(null, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    notes.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    setResult(notes);
+                }
+            };
+        });
+    }
+
+    async read(id) {
+        return this.withStore('notes', 'readonly', (store, setResult) => {
+            const request = store.get(id);
+            request.onsuccess = () => setResult(request.result || null);
+        });
+    }
+
+    async create(note) {
+        return this.withStore('notes', 'readwrite', (store, setResult) => {
+            store.add(note);
+            setResult(note);
+        });
+    }
+
+    async update(id, updates) {
+        return this.withStore('notes', 'readwrite', (store, setResult) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (!request.result) {
+                    setResult(null);
+                    return;
+                }
+
+                const note = {
+                    ...request.result,
+                    ...updates,
+                    updatedAt: new Date().toISOString()
+                };
+                store.put(note);
+                setResult(note);
+            };
+        });
+    }
+
+    async delete(id) {
+        return this.withStore('notes', 'readwrite', (store, setResult) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (!request.result) {
+                    setResult(false);
+                    return;
+                }
+
+                store.delete(id);
+                setResult(true);
+            };
+        });
+    }
+
+    async put(note) {
+        return this.withStore('notes', 'readwrite', (store, setResult) => {
+            store.put(note);
+            setResult(note);
+        });
+    }
+
+    async putAll(notes) {
+        return this.withStore('notes', 'readwrite', (store) => {
+            notes.forEach(note => store.put(note));
+        });
+    }
+
+    async listRevisions(noteId) {
+        const revisions = await this.withStore('revisions', 'readonly', (store, setResult) => {
+            const request = store.index('noteId').getAll(noteId);
+            request.onsuccess = () => setResult(request.result);
+        });
+        return revisions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async addRevision(revision) {
+        return this.withStore('revisions', 'readwrite', (store, setResult) => {
+            store.put(revision);
+            setResult(revision);
+        });
+    }
+
+    async deleteRevision(id) {
+        return this.withStore('revisions', 'readwrite', (store) => {
+            store.delete(id);
+        });
+    }
+
+    async listFolders() {
+        return this.withStore('folders', 'readonly', (store, setResult) => {
+            const request = store.getAll();
+            request.onsuccess = () => setResult(request.result);
+        });
+    }
+
+    async putFolder(folder) {
+        return this.withStore('folders', 'readwrite', (store, setResult) => {
+            store.put(folder);
+            setResult(folder);
+        });
+    }
+
+    async deleteFolder(id) {
+        return this.withStore('folders', 'readwrite', (store) => {
+            store.delete(id);
+        });
+    }
+
+    getActiveId() {
+        return this.activeId;
+    }
+
+    setActiveId(id) {
+        this.activeId = id || null;
+        this.withStore('meta', 'readwrite', (store) => {
+            store.put({ key: 'activeId', value: this.activeId });
+        }).catch(error => {
+            console.warn('Failed to save active note:', error);
+        });
+    }
+}
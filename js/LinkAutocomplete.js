@@ -0,0 +1,131 @@
+/**
+ * LinkAutocomplete.js
+ * Suggests note titles while a [[link]] is being typed in the editor
+ */
+
+class LinkAutocomplete {
+    static MAX_SUGGESTIONS = 8;
+
+    constructor(editor) {
+        this.editor = editor;
+        this.element = document.getElementById('link-suggestions');
+        this.suggestions = [];
+        this.selectedIndex = 0;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        // Capture so the editor's own key handling doesn't see keys meant for the list
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen()) return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                e.stopPropagation();
+                const delta = e.key === 'ArrowDown' ? 1 : -1;
+                this.selectedIndex = (this.selectedIndex + delta + this.suggestions.length) % this.suggestions.length;
+                this.render();
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.choose(this.selectedIndex);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.hide();
+            }
+        }, true);
+
+        document.addEventListener('selectionchange', () => {
+            if (this.isOpen() && !this.editor.getLinkQuery()) {
+                this.hide();
+            }
+        });
+
+        this.editor.editor.addEventListener('blur', () => this.hide());
+    }
+
+    // Show titles matching what's typed after "[[" (from Editor.getLinkQuery), or hide
+    update(linkQuery) {
+        if (!linkQuery) {
+            this.hide();
+            return;
+        }
+
+        const query = linkQuery.query.trim().toLowerCase();
+        const titles = this.getTitles ? this.getTitles() : [];
+
+        // Titles starting with the query first, then ones containing it
+        this.suggestions = titles
+            .filter(title => title.toLowerCase().includes(query))
+            .sort((a, b) =>
+                (b.toLowerCase().startsWith(query) - a.toLowerCase().startsWith(query)) || a.localeCompare(b)
+            )
+            .slice(0, LinkAutocomplete.MAX_SUGGESTIONS)
+            .map(title => ({ title: title, isNew: false }));
+
+        if (query && !titles.some(title => title.toLowerCase() === query)) {
+            this.suggestions.push({ title: linkQuery.query.trim(), isNew: true });
+        }
+
+        if (this.suggestions.length === 0) {
+            this.hide();
+            return;
+        }
+
+        this.selectedIndex = 0;
+        this.render();
+
+        const rect = linkQuery.range.getBoundingClientRect();
+        this.element.style.left = `${rect.left}px`;
+        this.element.style.top = `${rect.bottom + 4}px`;
+        this.element.classList.add('active');
+    }
+
+    render() {
+        this.element.innerHTML = '';
+
+        this.suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('li');
+            item.className = `link-suggestion ${index === this.selectedIndex ? 'selected' : ''}`;
+            item.setAttribute('role', 'option');
+
+            const icon = document.createElement('i');
+            icon.className = `fas ${suggestion.isNew ? 'fa-plus' : 'fa-file-alt'}`;
+
+            const label = document.createElement('span');
+            label.textContent = suggestion.isNew ? `New note "${suggestion.title}"` : suggestion.title;
+
+            item.append(icon, label);
+
+            // mousedown rather than click so the editor keeps focus and its caret
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.choose(index);
+            });
+
+            this.element.appendChild(item);
+        });
+    }
+
+    choose(index) {
+        const suggestion = this.suggestions[index];
+        this.hide();
+        if (suggestion) {
+            this.editor.completeLink(suggestion.title);
+        }
+    }
+
+    hide() {
+        this.element?.classList.remove('active');
+        this.suggestions = [];
+    }
+
+    isOpen() {
+        return !!this.element && this.element.classList.contains('active');
+    }
+
+    // Event callbacks (set by external code)
+    getTitles = null;
+}
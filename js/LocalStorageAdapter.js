@@ -0,0 +1,140 @@
+/**
+ * LocalStorageAdapter.js
+ * Note storage backed by the browser's localStorage
+ */
+
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(notesKey = 'takenote-notes', activeIdKey = 'takenote-active-id', revisionsKey = 'takenote-revisions', foldersKey = 'takenote-folders') {
+        super();
+        this.notesKey = notesKey;
+        this.activeIdKey = activeIdKey;
+        this.revisionsKey = revisionsKey;
+        this.foldersKey = foldersKey;
+    }
+
+    readNotes() {
+        const savedNotes = localStorage.getItem(this.notesKey);
+        return savedNotes ? JSON.parse(savedNotes) : [];
+    }
+
+    writeNotes(notes) {
+        this.writeJson(this.notesKey, notes);
+    }
+
+    readRevisions() {
+        const savedRevisions = localStorage.getItem(this.revisionsKey);
+        return savedRevisions ? JSON.parse(savedRevisions) : [];
+    }
+
+    readFolders() {
+        const savedFolders = localStorage.getItem(this.foldersKey);
+        return savedFolders ? JSON.parse(savedFolders) : [];
+    }
+
+    writeJson(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            throw StorageAdapter.isQuotaError(error) ? new StorageQuotaError() : error;
+        }
+    }
+
+    async list() {
+        return this.readNotes();
+    }
+
+    async read(id) {
+        return this.readNotes().find(note => note.id === id) || null;
+    }
+
+    async create(note) {
+        const notes = this.readNotes();
+        notes.unshift(note);
+        this.writeNotes(notes);
+        return note;
+    }
+
+    async update(id, updates) {
+        const notes = this.readNotes();
+        const noteIndex = notes.findIndex(note => note.id === id);
+        if (noteIndex === -1) {
+            return null;
+        }
+
+        notes[noteIndex] = {
+            ...notes[noteIndex],
+            ...updates,
+            updatedAt: new Date().toISOString()
+        };
+        this.writeNotes(notes);
+        return notes[noteIndex];
+    }
+
+    async delete(id) {
+        const notes = this.readNotes();
+        const remaining = notes.filter(note => note.id !== id);
+        if (remaining.length === notes.length) {
+            return false;
+        }
+
+        this.writeNotes(remaining);
+        return true;
+    }
+
+    async put(note) {
+        const notes = this.readNotes();
+        const noteIndex = notes.findIndex(existing => existing.id === note.id);
+        if (noteIndex === -1) {
+            notes.unshift(note);
+        } else {
+            notes[noteIndex] = note;
+        }
+        this.writeNotes(notes);
+        return note;
+    }
+
+    async putAll(notes) {
+        const ids = new Set(notes.map(note => note.id));
+        this.writeNotes([...notes, ...this.readNotes().filter(note => !ids.has(note.id))]);
+    }
+
+    async listRevisions(noteId) {
+        return this.readRevisions()
+            .filter(revision => revision.noteId === noteId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async addRevision(revision) {
+        const revisions = this.readRevisions();
+        revisions.push(revision);
+        this.writeJson(this.revisionsKey, revisions);
+        return revision;
+    }
+
+    async deleteRevision(id) {
+        this.writeJson(this.revisionsKey, this.readRevisions().filter(revision => revision.id !== id));
+    }
+
+    async listFolders() {
+        return this.readFolders();
+    }
+
+    async putFolder(folder) {
+        const folders = this.readFolders().filter(existing => existing.id !== folder.id);
+        folders.push(folder);
+        this.writeJson(this.foldersKey, folders);
+        return folder;
+    }
+
+    async deleteFolder(id) {
+        this.writeJson(this.foldersKey, this.readFolders().filter(folder => folder.id !== id));
+    }
+
+    getActiveId() {
+        return localStorage.getItem(this.activeIdKey) || null;
+    }
+
+    setActiveId(id) {
+        localStorage.setItem(this.activeIdKey, id || '');
+    }
+}
@@ -0,0 +1,787 @@
+/**
+ * MarkdownParser.js
+ * Converts CommonMark (plus GFM tables, task lists and strikethrough) into editor HTML
+ */
+
+class MarkdownParser {
+    static PUNCTUATION = /[\p{P}\p{S}]/u;
+    static BATCH_BLOCKS = 200; // Top-level blocks parsed between breaks in parseInBatches()
+
+    constructor() {
+        this.references = new Map(); // Normalized label -> { url, title }
+        this.inLink = false; // Parsing a link's text, where links and autolinks can't start
+    }
+
+    // Parse a Markdown document: { html, frontMatter }. Raw HTML in the source is
+    // escaped rather than passed through, apart from <div align> wrappers.
+    static parse(markdown) {
+        const { data, body } = MarkdownParser.parseFrontMatter((markdown || '').replace(/^\uFEFF/, ''));
+        const parser = new MarkdownParser();
+
+        const lines = parser.extractReferences(body.split(/\r\n|\r|\n/).map(MarkdownParser.expandTabs));
+        const { blocks } = parser.parseBlocks(lines);
+
+        return { html: parser.renderBlocks(blocks, false), frontMatter: data };
+    }
+
+    // Same result as parse(), letting the page handle events every BATCH_BLOCKS top-level
+    // blocks so long files don't freeze it
+    static async parseInBatches(markdown) {
+        const { data, body } = MarkdownParser.parseFrontMatter((markdown || '').replace(/^\uFEFF/, ''));
+        const parser = new MarkdownParser();
+
+        const lines = parser.extractReferences(body.split(/\r\n|\r|\n/).map(MarkdownParser.expandTabs));
+        const blocks = [];
+        for (const { block } of parser.iterateBlocks(lines)) {
+            blocks.push(block);
+            if (blocks.length % MarkdownParser.BATCH_BLOCKS === 0) {
+                await TextFileReader.yieldToBrowser();
+            }
+        }
+
+        return { html: parser.renderBlocks(blocks, false), frontMatter: data };
+    }
+
+    // A leading "---" YAML block: { data, body }. Handles the simple forms notes use:
+    // `key: value`, `key: [a, b]` and `key:` followed by `- item` lines.
+    static parseFrontMatter(text) {
+        const match = text.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+        if (!match) {
+            return { data: {}, body: text };
+        }
+
+        const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+        const data = {};
+        let listKey = null;
+
+        match[1].split(/\r?\n/).forEach(line => {
+            const item = line.match(/^\s*-\s+(.*)$/);
+            if (item && listKey) {
+                data[listKey].push(unquote(item[1]));
+                return;
+            }
+
+            const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+            if (!pair) return;
+
+            const key = pair[1].toLowerCase();
+            const value = pair[2].replace(/\s+#.*$/, '').trim();
+            listKey = null;
+
+            if (!value) {
+                data[key] = [];
+                listKey = key;
+            } else if (/^\[.*\]$/.test(value)) {
+                data[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+            } else {
+                data[key] = unquote(value);
+            }
+        });
+
+        return { data: data, body: text.slice(match[0].length) };
+    }
+
+    // Block structure
+
+    // Parse lines into [{ type: 'paragraph' | 'block', html }]. `blankBetween` says whether
+    // blank lines separated any of them, which makes a list item loose.
+    parseBlocks(lines) {
+        const blocks = [];
+        let blankBetween = false;
+
+        for (const { block, blankBefore } of this.iterateBlocks(lines)) {
+            blocks.push(block);
+            blankBetween = blankBetween || blankBefore;
+        }
+
+        return { blocks: blocks, blankBetween: blankBetween };
+    }
+
+    // Each block of `lines` in turn, as { block, blankBefore }, where `blankBefore` says
+    // whether blank lines separate it from the block before
+    *iterateBlocks(lines) {
+        let started = false;
+        let pendingBlank = false;
+        let i = 0;
+
+        while (i < lines.length) {
+            if (MarkdownParser.isBlank(lines[i])) {
+                pendingBlank = started;
+                i++;
+                continue;
+            }
+
+            const result = this.parseIndentedCode(lines, i) ||
+                this.parseFence(lines, i) ||
+                this.parseAlignedBlock(lines, i) ||
+                this.parseAtxHeading(lines, i) ||
+                this.parseThematicBreak(lines, i) ||
+                this.parseBlockquote(lines, i) ||
+                this.parseList(lines, i) ||
+                this.parseTable(lines, i) ||
+                this.parseParagraph(lines, i);
+
+            yield { block: result.block, blankBefore: pendingBlank };
+            started = true;
+            pendingBlank = false;
+            i = result.next;
+        }
+    }
+
+    // Tight lists show their paragraphs without <p> wrappers
+    renderBlocks(blocks, tight) {
+        return blocks.map(block => block.type === 'paragraph' && !tight ? `<p>${block.html}</p>` : block.html).join('');
+    }
+
+    parseIndentedCode(lines, i) {
+        if (!/^ {4}/.test(lines[i])) return null;
+
+        const code = [];
+        while (i < lines.length && (/^ {4}/.test(lines[i]) || MarkdownParser.isBlank(lines[i]))) {
+            code.push(lines[i].slice(4));
+            i++;
+        }
+        while (code.length > 0 && MarkdownParser.isBlank(code[code.length - 1])) {
+            code.pop();
+        }
+
+        return { block: { type: 'block', html: `<pre><code>${MarkdownParser.escapeHtml(code.join('\n'))}</code></pre>` }, next: i };
+    }
+
+    parseFence(lines, i) {
+        const match = lines[i].match(/^( {0,3})(`{3,}|~{3,})(.*)$/);
+        if (!match) return null;
+
+        const [, indent, fence, info] = match;
+        if (fence[0] === '`' && info.includes('`')) return null;
+
+        const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+        const stripIndent = new RegExp(`^ {0,${indent.length}}`);
+        const code = [];
+        i++;
+        while (i < lines.length && !closing.test(lines[i])) {
+            code.push(lines[i].replace(stripIndent, ''));
+            i++;
+        }
+        if (i < lines.length) i++; // Closing fence
+
+        const language = MarkdownParser.unescape(info.trim().split(/\s+/)[0] || '');
+        const classAttr = language ? ` class="language-${MarkdownParser.escapeHtml(language)}"` : '';
+        return {
+            block: { type: 'block', html: `<pre><code${classAttr}>${MarkdownParser.escapeHtml(code.join('\n'))}</code></pre>` },
+            next: i
+        };
+    }
+
+    // <div align="center"> ... </div> around Markdown, the only raw HTML that is understood,
+    // since it's how exported notes keep their alignment
+    parseAlignedBlock(lines, i) {
+        const match = lines[i].match(/^ {0,3}<div align="(left|center|right)">[ \t]*$/i);
+        if (!match) return null;
+
+        const inner = [];
+        let depth = 1;
+        let next = i + 1;
+        for (; next < lines.length; next++) {
+            if (/^ {0,3}<div\b[^>]*>[ \t]*$/i.test(lines[next])) depth++;
+            if (/^ {0,3}<\/div>[ \t]*$/i.test(lines[next]) && --depth === 0) break;
+            inner.push(lines[next]);
+        }
+        if (depth > 0) return null;
+
+        const { blocks } = this.parseBlocks(inner);
+        return {
+            block: { type: 'block', html: `<div style="text-align: ${match[1].toLowerCase()}">${this.renderBlocks(blocks, false)}</div>` },
+            next: next + 1
+        };
+    }
+
+    parseAtxHeading(lines, i) {
+        const match = lines[i].match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/);
+        if (!match) return null;
+
+        // Drop an optional closing run of #s
+        const text = (match[2] || '').replace(/(^|[ \t]+)#+$/, '');
+        const level = match[1].length;
+        return { block: { type: 'block', html: `<h${level}>${this.parseInline(text)}</h${level}>` }, next: i + 1 };
+    }
+
+    parseThematicBreak(lines, i) {
+        if (!MarkdownParser.isThematicBreak(lines[i])) return null;
+        return { block: { type: 'block', html: '<hr>' }, next: i + 1 };
+    }
+
+    parseBlockquote(lines, i) {
+        if (!/^ {0,3}>/.test(lines[i])) return null;
+
+        const inner = [];
+        while (i < lines.length) {
+            const line = lines[i];
+            const match = line.match(/^ {0,3}> ?(.*)$/);
+            if (match) {
+                inner.push(match[1]);
+            } else if (
+                // A paragraph inside the quote can carry on without the ">"
+                !MarkdownParser.isBlank(line) &&
+                !MarkdownParser.isBlank(inner[inner.length - 1]) &&
+                !this.interruptsParagraph(line)
+            ) {
+                inner.push(line);
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        const { blocks } = this.parseBlocks(inner);
+        return { block: { type: 'block', html: `<blockquote>${this.renderBlocks(blocks, false)}</blockquote>` }, next: i };
+    }
+
+    parseList(lines, i) {
+        const first = MarkdownParser.matchListItem(lines[i]);
+        if (!first) return null;
+
+        const items = [];
+        let loose = false;
+
+        while (i < lines.length) {
+            const marker = MarkdownParser.matchListItem(lines[i]);
+            if (!MarkdownParser.isSameList(first, marker) || MarkdownParser.isThematicBreak(lines[i])) {
+                break;
+            }
+
+            const itemLines = [marker.content];
+            i++;
+            while (i < lines.length) {
+                const line = lines[i];
+                if (MarkdownParser.isBlank(line)) {
+                    // An item that starts blank ends at the next blank line
+                    if (marker.empty && itemLines.every(MarkdownParser.isBlank)) break;
+                    itemLines.push('');
+                } else if (MarkdownParser.indentWidth(line) >= marker.contentIndent) {
+                    itemLines.push(line.slice(marker.contentIndent));
+                } else if (MarkdownParser.isSameList(first, MarkdownParser.matchListItem(line))) {
+                    break; // The next item
+                } else if (!MarkdownParser.isBlank(itemLines[itemLines.length - 1]) && !this.interruptsParagraph(line)) {
+                    // Lazy continuation of the item's paragraph
+                    itemLines.push(line.trimStart());
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            // Blank lines at the end separate this item from the next
+            let trailingBlank = false;
+            while (itemLines.length > 1 && MarkdownParser.isBlank(itemLines[itemLines.length - 1])) {
+                itemLines.pop();
+                trailingBlank = true;
+            }
+
+            const task = itemLines[0].match(/^\[([ xX])\](?:[ \t]+|$)/);
+            if (task) {
+                itemLines[0] = itemLines[0].slice(task[0].length);
+            }
+
+            const parsed = this.parseBlocks(itemLines);
+            loose = loose || parsed.blankBetween;
+            items.push({ blocks: parsed.blocks, checked: task ? task[1] !== ' ' : null });
+
+            if (trailingBlank && i < lines.length && MarkdownParser.isSameList(first, MarkdownParser.matchListItem(lines[i]))) {
+                loose = true;
+            }
+        }
+
+        const tag = first.ordered ? 'ol' : 'ul';
+        const isTaskList = items.some(item => item.checked !== null);
+        const attributes = (first.ordered && first.start !== 1 ? ` start="${first.start}"` : '') +
+            (isTaskList ? ' class="task-list"' : '');
+
+        const html = items.map(item => {
+            const checkbox = item.checked === null ? '' : `<input type="checkbox"${item.checked ? ' checked' : ''}> `;
+            const content = this.renderBlocks(item.blocks, !loose);
+            return `<li${item.checked !== null ? ' class="task-list-item"' : ''}>${checkbox}${content || (checkbox ? '' : '<br>')}</li>`;
+        }).join('');
+
+        return { block: { type: 'block', html: `<${tag}${attributes}>${html}</${tag}>` }, next: i };
+    }
+
+    // GFM table: a header row, a delimiter row like | :-- | --: |, then body rows
+    parseTable(lines, i) {
+        if (i + 1 >= lines.length || !lines[i].includes('|')) return null;
+        if (!/^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/.test(lines[i + 1])) return null;
+
+        const header = MarkdownParser.splitRow(lines[i]);
+        const alignments = MarkdownParser.splitRow(lines[i + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+        if (header.length !== alignments.length) return null;
+
+        const rows = [];
+        i += 2;
+        while (i < lines.length && !MarkdownParser.isBlank(lines[i]) && !this.interruptsParagraph(lines[i])) {
+            rows.push(MarkdownParser.splitRow(lines[i]));
+            i++;
+        }
+
+        const renderRow = (cells, tag) => '<tr>' + alignments.map((alignment, column) => {
+            const style = alignment ? ` style="text-align: ${alignment}"` : '';
+            return `<${tag}${style}>${this.parseInline(cells[column] || '')}</${tag}>`;
+        }).join('') + '</tr>';
+
+        const body = rows.length > 0 ? `<tbody>${rows.map(row => renderRow(row, 'td')).join('')}</tbody>` : '';
+        return {
+            block: { type: 'block', html: `<table><thead>${renderRow(header, 'th')}</thead>${body}</table>` },
+            next: i
+        };
+    }
+
+    parseParagraph(lines, i) {
+        const collected = [lines[i]];
+        i++;
+
+        while (i < lines.length && !MarkdownParser.isBlank(lines[i])) {
+            // A line of = or - under a paragraph makes it a heading
+            const underline = lines[i].match(/^ {0,3}(=+|-+)[ \t]*$/);
+            if (underline) {
+                const level = underline[1][0] === '=' ? 1 : 2;
+                return {
+                    block: { type: 'block', html: `<h${level}>${this.parseInline(MarkdownParser.joinLines(collected))}</h${level}>` },
+                    next: i + 1
+                };
+            }
+            if (this.interruptsParagraph(lines[i])) break;
+
+            collected.push(lines[i]);
+            i++;
+        }
+
+        return { block: { type: 'paragraph', html: this.parseInline(MarkdownParser.joinLines(collected)) }, next: i };
+    }
+
+    // Whether a line starts a block that can cut a paragraph short
+    interruptsParagraph(line) {
+        if (/^ {0,3}(`{3,}|~{3,}|#{1,6}(?:[ \t]|$)|>)/.test(line) || MarkdownParser.isThematicBreak(line)) {
+            return true;
+        }
+
+        // Only lists that start at 1 and have content
+        const item = MarkdownParser.matchListItem(line);
+        return !!item && !item.empty && (!item.ordered || item.start === 1);
+    }
+
+    // Pull out [label]: url "title" definitions so links anywhere can use them
+    extractReferences(lines) {
+        const kept = [];
+        let fence = null;
+        let inParagraph = false;
+
+        lines.forEach(line => {
+            const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+            if (fence) {
+                if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                    fence = null;
+                }
+                kept.push(line);
+                return;
+            }
+            if (fenceMatch) {
+                fence = fenceMatch[1];
+            }
+
+            const definition = !fence && !inParagraph &&
+                line.match(/^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/);
+            if (definition) {
+                const label = MarkdownParser.normalizeLabel(definition[1]);
+                if (!this.references.has(label)) {
+                    this.references.set(label, {
+                        url: MarkdownParser.unescape(definition[2]),
+                        title: definition[3] ?? definition[4] ?? definition[5] ?? null
+                    });
+                }
+                return;
+            }
+
+            inParagraph = !MarkdownParser.isBlank(line) && !fence && !/^ {0,3}#/.test(line);
+            kept.push(line);
+        });
+
+        return kept;
+    }
+
+    // Inline content
+
+    // Convert one block's inline Markdown to HTML
+    parseInline(text) {
+        const nodes = []; // { html } or emphasis delimiter runs
+        let buffer = '';
+        const flush = () => {
+            if (buffer) {
+                nodes.push({ html: buffer });
+                buffer = '';
+            }
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\\') {
+                const next = text[i + 1];
+                if (next === '\n') {
+                    buffer += '<br>\n';
+                    i += 2;
+                } else if (next && /[!-/:-@[-`{-~]/.test(next)) {
+                    buffer += MarkdownParser.escapeHtml(next);
+                    i += 2;
+                } else {
+                    buffer += '\\';
+                    i++;
+                }
+            } else if (char === '`') {
+                const code = MarkdownParser.matchCodeSpan(text, i);
+                if (code) {
+                    buffer += `<code>${MarkdownParser.escapeHtml(code.content)}</code>`;
+                    i = code.end;
+                } else {
+                    const run = text.slice(i).match(/^`+/)[0];
+                    buffer += run;
+                    i += run.length;
+                }
+            } else if (char === '<') {
+                const autolink = MarkdownParser.matchAt(/<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^<>\s]*)>/y, text, i) ||
+                    MarkdownParser.matchAt(/<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)*)>/y, text, i);
+                if (autolink && !this.inLink) {
+                    const target = autolink[1];
+                    const href = target.includes(':') ? target : `mailto:${target}`;
+                    buffer += `<a href="${MarkdownParser.escapeHtml(MarkdownParser.safeUrl(href))}">${MarkdownParser.escapeHtml(target)}</a>`;
+                    i += autolink[0].length;
+                } else {
+                    buffer += '&lt;';
+                    i++;
+                }
+            } else if (char === '&') {
+                const entity = MarkdownParser.matchAt(/&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/y, text, i);
+                buffer += entity ? entity[0] : '&amp;';
+                i += entity ? entity[0].length : 1;
+            } else if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+                const link = this.matchLink(text, i, char === '!');
+                if (link) {
+                    buffer += link.html;
+                    i = link.end;
+                } else {
+                    buffer += char === '!' ? '![' : '[';
+                    i += char === '!' ? 2 : 1;
+                }
+            } else if (char === '*' || char === '_' || char === '~') {
+                const run = text.slice(i).match(char === '*' ? /^\*+/ : char === '_' ? /^_+/ : /^~+/)[0];
+                flush();
+                nodes.push(MarkdownParser.delimiterRun(text, i, run));
+                i += run.length;
+            } else if (char === '\n') {
+                // Two or more trailing spaces make a hard break
+                const hard = / {2,}$/.test(buffer);
+                buffer = buffer.replace(/ +$/, '') + (hard ? '<br>\n' : '\n');
+                i++;
+                while (text[i] === ' ') i++;
+            } else {
+                const url = (char === 'h' || char === 'w') && !this.inLink && MarkdownParser.matchBareUrl(text, i);
+                if (url) {
+                    const href = url.startsWith('www.') ? `http://${url}` : url;
+                    buffer += `<a href="${MarkdownParser.escapeHtml(MarkdownParser.safeUrl(href))}">${MarkdownParser.escapeHtml(url)}</a>`;
+                    i += url.length;
+                } else {
+                    buffer += MarkdownParser.escapeHtml(char);
+                    i++;
+                }
+            }
+        }
+        flush();
+
+        MarkdownParser.processEmphasis(nodes);
+        return nodes.map(node => node.html !== undefined
+            ? node.html
+            : node.closeTags.map(tag => `</${tag}>`).join('') + node.char.repeat(node.count) + node.openTags.map(tag => `<${tag}>`).join('')
+        ).join('');
+    }
+
+    // [text](url "title"), [text][label], [label][] and [label], or the same after "!" for
+    // images. Returns { html, end } or null when the brackets don't form a link.
+    matchLink(text, start, isImage) {
+        if (this.inLink && !isImage) return null;
+
+        const open = isImage ? start + 1 : start;
+        const close = MarkdownParser.findClosingBracket(text, open);
+        if (close === -1) return null;
+
+        const label = text.slice(open + 1, close);
+        let position = close + 1;
+        let target = null;
+
+        const inline = MarkdownParser.matchAt(
+            /\(\s*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))(?:\s+(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\(((?:[^)\\]|\\.)*)\)))?\s*\)/y,
+            text, position
+        );
+        if (inline) {
+            target = {
+                url: MarkdownParser.unescape(inline[1] ?? inline[2] ?? ''),
+                title: inline[3] ?? inline[4] ?? inline[5] ?? null
+            };
+            position += inline[0].length;
+        } else {
+            const reference = MarkdownParser.matchAt(/\[([^\]]*)\]/y, text, position);
+            const key = MarkdownParser.normalizeLabel(reference && reference[1] ? reference[1] : label);
+            if (this.references.has(key)) {
+                target = this.references.get(key);
+                position += reference ? reference[0].length : 0;
+            }
+        }
+        if (!target) return null;
+
+        const url = MarkdownParser.escapeHtml(MarkdownParser.safeUrl(target.url.replace(/ /g, '%20'), isImage));
+        const title = target.title !== null ? ` title="${MarkdownParser.escapeHtml(MarkdownParser.unescape(target.title))}"` : '';
+        const inLink = this.inLink;
+        this.inLink = inLink || !isImage;
+        const inner = this.parseInline(label);
+        this.inLink = inLink;
+
+        const html = isImage
+            ? `<img src="${url}" alt="${MarkdownParser.stripTags(inner)}"${title}>`
+            : `<a href="${url}"${title}>${inner}</a>`;
+        return { html: html, end: position };
+    }
+
+    // Pair up *, _ and ~ runs into <i>, <b> and <s>, following CommonMark's rules for
+    // which runs can open or close emphasis
+    static processEmphasis(nodes) {
+        for (let c = 0; c < nodes.length; c++) {
+            const closer = nodes[c];
+            if (closer.html !== undefined || !closer.canClose) continue;
+
+            let o = c - 1;
+            while (closer.count > 0 && o >= 0) {
+                const opener = nodes[o];
+                const matches = opener.html === undefined && opener.canOpen && opener.count > 0 &&
+                    opener.char === closer.char &&
+                    (closer.char === '~'
+                        ? opener.count === closer.count
+                        : !((opener.canClose || closer.canOpen) &&
+                            (opener.originalCount + closer.originalCount) % 3 === 0 &&
+                            !(opener.originalCount % 3 === 0 && closer.originalCount % 3 === 0)));
+                if (!matches) {
+                    o--;
+                    continue;
+                }
+
+                const used = closer.char === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+                const tag = closer.char === '~' ? 's' : used === 2 ? 'b' : 'i';
+                opener.count -= used;
+                closer.count -= used;
+                opener.openTags.unshift(tag);
+                closer.closeTags.push(tag);
+
+                // Runs between the pair can no longer match anything
+                for (let between = o + 1; between < c; between++) {
+                    if (nodes[between].html === undefined) {
+                        nodes[between].canOpen = false;
+                        nodes[between].canClose = false;
+                    }
+                }
+            }
+        }
+    }
+
+    // A run of *, _ or ~ with whether it can open and/or close emphasis
+    static delimiterRun(text, index, run) {
+        const before = index > 0 ? text[index - 1] : ' ';
+        const after = text[index + run.length] || ' ';
+        const isSpace = (char) => /\s/.test(char);
+        const isPunctuation = (char) => MarkdownParser.PUNCTUATION.test(char);
+
+        const leftFlanking = !isSpace(after) && (!isPunctuation(after) || isSpace(before) || isPunctuation(before));
+        const rightFlanking = !isSpace(before) && (!isPunctuation(before) || isSpace(after) || isPunctuation(after));
+        const char = run[0];
+
+        let canOpen = leftFlanking;
+        let canClose = rightFlanking;
+        if (char === '_') {
+            canOpen = leftFlanking && (!rightFlanking || isPunctuation(before));
+            canClose = rightFlanking && (!leftFlanking || isPunctuation(after));
+        } else if (char === '~' && run.length > 2) {
+            canOpen = canClose = false;
+        }
+
+        return {
+            char: char,
+            count: run.length,
+            originalCount: run.length,
+            canOpen: canOpen,
+            canClose: canClose,
+            openTags: [],
+            closeTags: []
+        };
+    }
+
+    // Code span starting at a run of backticks: { content, end }, or null if it isn't closed
+    static matchCodeSpan(text, start) {
+        const run = text.slice(start).match(/^`+/)[0];
+        let search = start + run.length;
+
+        while (search < text.length) {
+            const next = text.indexOf('`', search);
+            if (next === -1) return null;
+
+            const closing = text.slice(next).match(/^`+/)[0];
+            if (closing.length === run.length) {
+                let content = text.slice(start + run.length, next).replace(/\n/g, ' ');
+                if (/^ .*[^ ].* $/.test(content)) {
+                    content = content.slice(1, -1);
+                }
+                return { content: content, end: next + closing.length };
+            }
+            search = next + closing.length;
+        }
+        return null;
+    }
+
+    // Index of the "]" matching the "[" at `open`, skipping escapes and code spans, or -1
+    static findClosingBracket(text, open) {
+        let depth = 0;
+        for (let i = open; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '`') {
+                const code = MarkdownParser.matchCodeSpan(text, i);
+                if (code) i = code.end - 1;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']') {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        return -1;
+    }
+
+    // GFM bare links: http(s)://... and www.... after a space or opening punctuation
+    static matchBareUrl(text, index) {
+        if (index > 0 && !/[\s(*_~]/.test(text[index - 1])) return null;
+
+        const match = MarkdownParser.matchAt(/(?:https?:\/\/|www\.)[^\s<]+/y, text, index);
+        if (!match) return null;
+
+        // Trailing punctuation and unmatched ")" belong to the sentence
+        let url = match[0].replace(/[?!.,:*_~'"]+$/, '');
+        while (url.endsWith(')') && (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length) {
+            url = url.slice(0, -1).replace(/[?!.,:*_~'"]+$/, '');
+        }
+        return /^(https?:\/\/|www\.)./.test(url) ? url : null;
+    }
+
+    // Helpers
+
+    static matchAt(pattern, text, index) {
+        pattern.lastIndex = index;
+        return pattern.exec(text);
+    }
+
+    // List marker on a line: { ordered, bulletChar, start, contentIndent, content, empty }
+    static matchListItem(line) {
+        const match = line.match(/^( {0,3})([-+*]|\d{1,9}[.)])(?= |$)( *)(.*)$/);
+        if (!match) return null;
+
+        const [, indent, marker, spaces, rest] = match;
+        const ordered = /\d/.test(marker[0]);
+        let padding = spaces.length;
+        let content = rest;
+        if (!rest) {
+            padding = 1;
+        } else if (padding > 4) {
+            // Content indented this far is a code block inside the item
+            content = ' '.repeat(padding - 1) + rest;
+            padding = 1;
+        }
+
+        return {
+            ordered: ordered,
+            bulletChar: ordered ? marker.slice(-1) : marker,
+            start: ordered ? parseInt(marker, 10) : null,
+            contentIndent: indent.length + marker.length + padding,
+            content: content,
+            empty: !rest
+        };
+    }
+
+    // Whether a list item marker continues the list started by `first`
+    static isSameList(first, marker) {
+        return !!marker && marker.ordered === first.ordered && marker.bulletChar === first.bulletChar;
+    }
+
+    static isThematicBreak(line) {
+        return /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/.test(line);
+    }
+
+    static isBlank(line) {
+        return line === undefined || /^[ \t]*$/.test(line);
+    }
+
+    static indentWidth(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    // Leading tabs become spaces on 4-column tab stops
+    static expandTabs(line) {
+        return line.replace(/^[ \t]+/, (whitespace) => {
+            let width = 0;
+            for (const char of whitespace) {
+                width = char === '\t' ? width + 4 - (width % 4) : width + 1;
+            }
+            return ' '.repeat(width);
+        });
+    }
+
+    static joinLines(lines) {
+        return lines.map(line => line.replace(/^[ \t]+/, '')).join('\n').replace(/[ \t]+$/, '');
+    }
+
+    // Table cells, split on unescaped pipes
+    static splitRow(line) {
+        const trimmed = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+        return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    static normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    static unescape(text) {
+        return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+    }
+
+    // Script URLs become "#"; images may also use inline data: images
+    static safeUrl(url, isImage = false) {
+        const scheme = url.trim().match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+        if (!scheme) return url;
+
+        const name = scheme[1].toLowerCase();
+        if (name === 'javascript' || name === 'vbscript' || name === 'file') return '#';
+        if (name === 'data' && !(isImage && /^data:image\/(png|gif|jpeg|webp);/i.test(url.trim()))) return '#';
+        return url;
+    }
+
+    static stripTags(html) {
+        return html.replace(/<[^>]*>/g, '');
+    }
+
+    static escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
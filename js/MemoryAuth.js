@@ -0,0 +1,54 @@
+/**
+ * MemoryAuth.js
+ * Stand-in for Supabase auth, used with the in-memory storage backend: any email and
+ * password signs in, and the session lasts until the page is reloaded
+ */
+
+class MemoryAuth extends Auth {
+    async initializeAuth() {
+        this.setUser(null);
+    }
+
+    async handleLogin(e) {
+        const formData = new FormData(e.target);
+        const email = formData.get('email') || document.getElementById('login-email').value;
+        const password = formData.get('password') || document.getElementById('login-password').value;
+
+        if (!email || !password) {
+            this.showError('login', 'Please fill in all fields');
+            return;
+        }
+
+        this.signInAs(email);
+    }
+
+    async handleSignup(e) {
+        const formData = new FormData(e.target);
+        const name = formData.get('name') || document.getElementById('signup-name').value;
+        const email = formData.get('email') || document.getElementById('signup-email').value;
+        const password = formData.get('password') || document.getElementById('signup-password').value;
+
+        if (!name || !email || !password) {
+            this.showError('signup', 'Please fill in all fields');
+            return;
+        }
+
+        this.signInAs(email, name);
+    }
+
+    async signOut() {
+        this.setUser(null);
+        this.showToast('Signed out successfully', 'info');
+    }
+
+    signInAs(email, name = '') {
+        const address = email.trim().toLowerCase();
+        this.setUser({
+            id: `memory-user-${address}`,
+            email: address,
+            user_metadata: name ? { full_name: name } : {}
+        });
+        this.hideAuthModal();
+        this.showToast('Successfully signed in!', 'success');
+    }
+}
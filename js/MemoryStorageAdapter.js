@@ -0,0 +1,124 @@
+/**
+ * MemoryStorageAdapter.js
+ * In-memory note storage, used as a stand-in for localStorage and Supabase
+ */
+
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor(notes = []) {
+        super();
+        this.notes = notes.map(note => ({ ...note }));
+        this.revisions = [];
+        this.folders = [];
+        this.listeners = [];
+    }
+
+    async list() {
+        return this.notes.map(note => ({ ...note }));
+    }
+
+    async read(id) {
+        const note = this.notes.find(note => note.id === id);
+        return note ? { ...note } : null;
+    }
+
+    async create(note) {
+        this.notes.unshift({ ...note });
+        this.notify({ type: 'upsert', note: { ...note } });
+        return { ...note };
+    }
+
+    async update(id, updates, options = {}) {
+        const noteIndex = this.notes.findIndex(note => note.id === id);
+        if (noteIndex === -1) {
+            if (options.expectedUpdatedAt) {
+                throw new NoteConflictError(null);
+            }
+            return null;
+        }
+
+        if (options.expectedUpdatedAt && this.notes[noteIndex].updatedAt !== options.expectedUpdatedAt) {
+            throw new NoteConflictError({ ...this.notes[noteIndex] });
+        }
+
+        this.notes[noteIndex] = {
+            ...this.notes[noteIndex],
+            ...updates,
+            updatedAt: new Date().toISOString()
+        };
+        this.notify({ type: 'upsert', note: { ...this.notes[noteIndex] } });
+        return { ...this.notes[noteIndex] };
+    }
+
+    async delete(id) {
+        const noteIndex = this.notes.findIndex(note => note.id === id);
+        if (noteIndex === -1) {
+            return false;
+        }
+
+        this.notes.splice(noteIndex, 1);
+        this.notify({ type: 'delete', noteId: id });
+        return true;
+    }
+
+    async put(note) {
+        const noteIndex = this.notes.findIndex(existing => existing.id === note.id);
+        if (noteIndex === -1) {
+            this.notes.unshift({ ...note });
+        } else {
+            this.notes[noteIndex] = { ...note };
+        }
+        return { ...note };
+    }
+
+    async putAll(notes) {
+        const ids = new Set(notes.map(note => note.id));
+        this.notes = [
+            ...notes.map(note => ({ ...note })),
+            ...this.notes.filter(note => !ids.has(note.id))
+        ];
+    }
+
+    async listRevisions(noteId) {
+        return this.revisions
+            .filter(revision => revision.noteId === noteId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(revision => ({ ...revision }));
+    }
+
+    async addRevision(revision) {
+        this.revisions.push({ ...revision });
+        return { ...revision };
+    }
+
+    async deleteRevision(id) {
+        this.revisions = this.revisions.filter(revision => revision.id !== id);
+    }
+
+    async listFolders() {
+        return this.folders.map(folder => ({ ...folder }));
+    }
+
+    async putFolder(folder) {
+        this.folders = this.folders.filter(existing => existing.id !== folder.id).concat({ ...folder });
+        return { ...folder };
+    }
+
+    async deleteFolder(id) {
+        this.folders = this.folders.filter(folder => folder.id !== id);
+    }
+
+    subscribe(onChange) {
+        this.listeners.push(onChange);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== onChange);
+        };
+    }
+
+    // Report a change to subscribers asynchronously, like a realtime server would
+    notify(change) {
+        const listeners = [...this.listeners];
+        setTimeout(() => {
+            listeners.forEach(listener => listener({ ...change }));
+        }, 0);
+    }
+}
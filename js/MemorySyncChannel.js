@@ -0,0 +1,27 @@
+/**
+ * MemorySyncChannel.js
+ * In-page stand-in for cross-tab messaging: channels with the same name talk to each other
+ */
+
+class MemorySyncChannel extends SyncChannel {
+    static channels = {}; // Open channels by name
+
+    constructor(name = 'takenote-sync') {
+        super(name);
+        MemorySyncChannel.channels[name] = (MemorySyncChannel.channels[name] || []).concat(this);
+    }
+
+    publish(message) {
+        // Deliver asynchronously, like a real channel, and never back to the sender
+        const peers = MemorySyncChannel.channels[this.name].filter(channel => channel !== this);
+        const copy = JSON.parse(JSON.stringify(message));
+        setTimeout(() => {
+            peers.forEach(channel => channel.dispatch(copy));
+        }, 0);
+    }
+
+    close() {
+        super.close();
+        MemorySyncChannel.channels[this.name] = MemorySyncChannel.channels[this.name].filter(channel => channel !== this);
+    }
+}
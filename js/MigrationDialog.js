@@ -0,0 +1,129 @@
+/**
+ * MigrationDialog.js
+ * Asks which local notes to bring into the account after signing in, and shows progress
+ */
+
+class MigrationDialog {
+    constructor() {
+        this.elements = {
+            modal: document.getElementById('migration-modal'),
+            message: document.getElementById('migration-message'),
+            selectAll: document.getElementById('migration-select-all'),
+            list: document.getElementById('migration-list'),
+            progress: document.getElementById('migration-progress'),
+            progressBar: document.getElementById('migration-progress-bar'),
+            progressText: document.getElementById('migration-progress-text'),
+            skipBtn: document.getElementById('migration-skip'),
+            importBtn: document.getElementById('migration-import')
+        };
+        this.resolveCurrent = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.elements.selectAll?.addEventListener('change', () => {
+            this.getCheckboxes().forEach(checkbox => {
+                checkbox.checked = this.elements.selectAll.checked;
+            });
+            this.updateImportButton();
+        });
+
+        this.elements.list?.addEventListener('change', () => {
+            const checkboxes = this.getCheckboxes();
+            this.elements.selectAll.checked = checkboxes.every(checkbox => checkbox.checked);
+            this.updateImportButton();
+        });
+
+        this.elements.skipBtn?.addEventListener('click', () => {
+            this.finish([]);
+            this.hide();
+        });
+
+        this.elements.importBtn?.addEventListener('click', () => {
+            const selectedIds = this.getCheckboxes()
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => checkbox.value);
+            this.finish(selectedIds);
+        });
+    }
+
+    // Resolves with the IDs of the notes to import (empty if the user declines)
+    choose(notes) {
+        return new Promise((resolve) => {
+            this.resolveCurrent = resolve;
+
+            this.elements.message.textContent = notes.length === 1
+                ? 'You have a note on this device that isn\'t in your account yet. Import it?'
+                : `You have ${notes.length} notes on this device that aren't in your account yet. Choose which ones to import.`;
+
+            this.elements.list.innerHTML = '';
+            notes.forEach(note => {
+                const item = document.createElement('li');
+                item.className = 'migration-item';
+
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = note.id;
+                checkbox.checked = true;
+
+                const title = document.createElement('span');
+                title.className = 'migration-title';
+                title.textContent = note.title;
+
+                const date = document.createElement('span');
+                date.className = 'migration-date';
+                date.textContent = new Date(note.updatedAt).toLocaleDateString();
+
+                label.append(checkbox, title, date);
+                item.appendChild(label);
+                this.elements.list.appendChild(item);
+            });
+
+            this.elements.selectAll.checked = true;
+            this.setBusy(false);
+            this.elements.progress.style.display = 'none';
+            this.elements.progressText.textContent = '';
+            this.updateImportButton();
+
+            this.elements.modal?.classList.add('active');
+        });
+    }
+
+    setProgress(done, total) {
+        this.setBusy(true);
+        this.elements.progress.style.display = 'block';
+        this.elements.progressBar.style.width = `${total ? Math.round(done / total * 100) : 100}%`;
+        this.elements.progressText.textContent = `Importing ${done} of ${total}...`;
+    }
+
+    hide() {
+        this.elements.modal?.classList.remove('active');
+    }
+
+    getCheckboxes() {
+        return Array.from(this.elements.list.querySelectorAll('input[type="checkbox"]'));
+    }
+
+    updateImportButton() {
+        this.elements.importBtn.disabled = !this.getCheckboxes().some(checkbox => checkbox.checked);
+    }
+
+    setBusy(busy) {
+        this.elements.importBtn.disabled = busy;
+        this.elements.skipBtn.disabled = busy;
+        this.elements.selectAll.disabled = busy;
+        this.getCheckboxes().forEach(checkbox => {
+            checkbox.disabled = busy;
+        });
+    }
+
+    finish(selectedIds) {
+        if (!this.resolveCurrent) return;
+
+        const resolve = this.resolveCurrent;
+        this.resolveCurrent = null;
+        resolve(selectedIds);
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * NoteExporter.js
+ * Turns notes into Markdown, standalone HTML and a print layout for saving as PDF
+ */
+
+class NoteExporter {
+    static FORMATS = {
+        markdown: { label: 'Markdown', extension: '.md', mimeType: 'text/markdown;charset=utf-8' },
+        html: { label: 'HTML', extension: '.html', mimeType: 'text/html;charset=utf-8' },
+        pdf: { label: 'PDF', extension: '.pdf', mimeType: null },
+        text: { label: 'Plain text', extension: '.txt', mimeType: 'text/plain;charset=utf-8' }
+    };
+
+    // Styles shared by exported HTML and the print layout
+    static DOCUMENT_STYLES = `
+        body { font-family: Georgia, 'Times New Roman', serif; color: #222; line-height: 1.6; max-width: 760px; margin: 40px auto; padding: 0 24px; }
+        h1, h2, h3, h4, h5, h6 { font-family: 'Roboto', Arial, sans-serif; line-height: 1.3; }
+        blockquote { margin: 1em 0; padding: 0 1em; border-left: 4px solid #ddd; color: #555; }
+        pre { background: #f5f5f5; padding: 12px 16px; border-radius: 4px; overflow-x: auto; }
+        code { font-family: Consolas, 'Liberation Mono', monospace; font-size: 0.9em; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #ccc; padding: 6px 12px; }
+        img { max-width: 100%; }
+        ul.task-list { list-style: none; padding-left: 0.5em; }
+        .note-meta { color: #888; font-family: 'Roboto', Arial, sans-serif; font-size: 0.85em; margin-bottom: 2em; }
+        @media print {
+            body { margin: 0; max-width: none; }
+            a { color: inherit; }
+            pre, blockquote, table, img { page-break-inside: avoid; }
+            h1, h2, h3 { page-break-after: avoid; }
+        }
+    `;
+
+    // Markdown
+
+    // Markdown with front matter for the title (when the note has its own) and tags, so
+    // importing the file gives the same note back
+    static toMarkdown(note) {
+        const frontMatter = [];
+        if (note.customTitle) {
+            frontMatter.push(`title: ${NoteExporter.yamlString(note.title)}`);
+        }
+        if (note.tags && note.tags.length > 0) {
+            frontMatter.push(`tags: [${note.tags.map(NoteExporter.yamlString).join(', ')}]`);
+        }
+
+        const body = NoteExporter.htmlToMarkdown(note.content);
+        return (frontMatter.length > 0 ? `---\n${frontMatter.join('\n')}\n---\n\n` : '') + body + '\n';
+    }
+
+    static htmlToMarkdown(html) {
+        const container = HtmlSanitizer.parse(html);
+        return NoteExporter.blocksToMarkdown(container).replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    // Block-level children of an element, separated by blank lines. Inline content that
+    // sits directly in the element (as contenteditable leaves it) forms its own paragraphs.
+    static blocksToMarkdown(element) {
+        const blocks = [];
+        let inline = [];
+        const flushInline = () => {
+            const text = NoteExporter.inlineToMarkdown(inline).trim();
+            if (text) blocks.push(text);
+            inline = [];
+        };
+
+        Array.from(element.childNodes).forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && NoteExporter.isBlock(node)) {
+                flushInline();
+                const block = NoteExporter.blockToMarkdown(node);
+                if (block.trim()) blocks.push(block);
+            } else if (node.nodeName === 'BR') {
+                flushInline();
+            } else {
+                inline.push(node);
+            }
+        });
+        flushInline();
+
+        return blocks.join('\n\n');
+    }
+
+    static blockToMarkdown(element) {
+        const tag = element.tagName.toLowerCase();
+        let markdown;
+
+        if (/^h[1-6]$/.test(tag)) {
+            markdown = `${'#'.repeat(Number(tag[1]))} ${NoteExporter.inlineToMarkdown(element.childNodes).replace(/\n/g, ' ').trim()}`;
+        } else if (tag === 'ul' || tag === 'ol') {
+            markdown = NoteExporter.listToMarkdown(element);
+        } else if (tag === 'blockquote') {
+            markdown = NoteExporter.blocksToMarkdown(element).split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+        } else if (tag === 'pre') {
+            const code = element.textContent.replace(/\n$/, '');
+            const language = (element.querySelector('code')?.className.match(/language-(\S+)/) || [])[1] || '';
+            const fence = '`'.repeat(Math.max(3, ...(code.match(/`+/g) || []).map(run => run.length + 1)));
+            markdown = `${fence}${language}\n${code}\n${fence}`;
+        } else if (tag === 'hr') {
+            markdown = '---';
+        } else if (tag === 'table') {
+            markdown = NoteExporter.tableToMarkdown(element);
+        } else if (tag === 'div' && Array.from(element.children).some(NoteExporter.isBlock)) {
+            markdown = NoteExporter.blocksToMarkdown(element);
+        } else {
+            markdown = NoteExporter.inlineToMarkdown(element.childNodes).trim();
+        }
+
+        // Markdown has no alignment, so aligned blocks are wrapped the way GitHub renders
+        const alignment = NoteExporter.getAlignment(element);
+        if (alignment && alignment !== 'left' && markdown.trim()) {
+            markdown = `<div align="${alignment}">\n\n${markdown}\n\n</div>`;
+        }
+
+        return markdown;
+    }
+
+    // Nested lists and continuation lines are indented to line up with the item's text
+    static listToMarkdown(list, indent = '') {
+        const ordered = list.tagName === 'OL';
+        let number = ordered ? parseInt(list.getAttribute('start') || '1', 10) : 0;
+
+        return Array.from(list.children).filter(item => item.tagName === 'LI').map(item => {
+            const marker = ordered ? `${number++}.` : '-';
+            const childIndent = indent + ' '.repeat(marker.length + 1);
+            const checkbox = item.querySelector(':scope > input[type="checkbox"]');
+            const task = checkbox ? `[${checkbox.checked || checkbox.hasAttribute('checked') ? 'x' : ' '}] ` : '';
+
+            const inline = [];
+            const nested = [];
+            let run = []; // Inline nodes since the last block, converted together
+            const flush = () => {
+                if (run.length > 0) {
+                    inline.push(NoteExporter.inlineToMarkdown(run));
+                    run = [];
+                }
+            };
+            Array.from(item.childNodes).forEach(node => {
+                if (node === checkbox) return;
+                if (node.nodeName === 'UL' || node.nodeName === 'OL') {
+                    flush();
+                    nested.push(NoteExporter.listToMarkdown(node, childIndent));
+                } else if (node.nodeType === Node.ELEMENT_NODE && NoteExporter.isBlock(node)) {
+                    flush();
+                    inline.push(NoteExporter.blockToMarkdown(node));
+                } else {
+                    run.push(node);
+                }
+            });
+            flush();
+
+            const text = inline.join(' ').trim().replace(/\n/g, `\n${childIndent}`);
+            return [`${indent}${marker} ${task}${text}`, ...nested].join('\n');
+        }).join('\n');
+    }
+
+    static tableToMarkdown(table) {
+        const rows = Array.from(table.querySelectorAll('tr'));
+        if (rows.length === 0) return '';
+
+        const cellText = (cell) => NoteExporter.inlineToMarkdown(cell.childNodes).replace(/\n/g, ' ').replace(/\|/g, '\\|').trim();
+        const header = Array.from(rows[0].children);
+        const separator = header.map(cell => {
+            const alignment = NoteExporter.getAlignment(cell);
+            return alignment === 'center' ? ':---:' : alignment === 'right' ? '---:' : alignment === 'left' ? ':---' : '---';
+        });
+
+        return [
+            `| ${header.map(cellText).join(' | ')} |`,
+            `| ${separator.join(' | ')} |`,
+            ...rows.slice(1).map(row => `| ${Array.from(row.children).map(cellText).join(' | ')} |`)
+        ].join('\n');
+    }
+
+    static inlineToMarkdown(nodes) {
+        return Array.from(nodes).map(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return NoteExporter.escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return '';
+            }
+
+            const inner = () => NoteExporter.inlineToMarkdown(node.childNodes);
+            const wrap = (marker) => {
+                // Emphasis markers have to hug the text, so spaces go outside them
+                const text = inner();
+                const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+                return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+            };
+
+            switch (node.tagName.toLowerCase()) {
+                case 'b':
+                case 'strong':
+                    return wrap('**');
+                case 'i':
+                case 'em':
+                    return wrap('*');
+                case 's':
+                case 'strike':
+                case 'del':
+                    return wrap('~~');
+                case 'code': {
+                    const code = node.textContent;
+                    const ticks = '`'.repeat(Math.max(1, ...(code.match(/`+/g) || []).map(run => run.length + 1)));
+                    return ticks.length > 1 || code.startsWith('`') ? `${ticks} ${code} ${ticks}` : `\`${code}\``;
+                }
+                case 'a': {
+                    const href = node.getAttribute('href') || '';
+                    const title = node.getAttribute('title');
+                    return `[${inner()}](${href.replace(/[()\s]/g, encodeURIComponent)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+                }
+                case 'img':
+                    return `![${NoteExporter.escapeMarkdown(node.getAttribute('alt') || '')}](${(node.getAttribute('src') || '').replace(/[()\s]/g, encodeURIComponent)})`;
+                case 'br':
+                    return '\\\n';
+                case 'input':
+                    return '';
+                default:
+                    return inner();
+            }
+        }).join('');
+    }
+
+    // Characters that would otherwise turn into Markdown syntax
+    static escapeMarkdown(text) {
+        return text
+            .replace(/([\\`*_[\]~<|])/g, '\\$1')
+            .replace(/^(\s*)(#{1,6}\s|>|[-+]\s|\d+[.)]\s)/, (match, space, marker) => `${space}\\${marker}`);
+    }
+
+    static yamlString(value) {
+        return /^[\w\s.-]+$/.test(value) && value.trim() === value ? value : JSON.stringify(value);
+    }
+
+    static isBlock(element) {
+        return /^(P|DIV|H[1-6]|UL|OL|LI|BLOCKQUOTE|PRE|HR|TABLE)$/.test(element.tagName);
+    }
+
+    // 'left', 'center', 'right' or null, from the style, align attribute or an alignment class
+    static getAlignment(element) {
+        const alignment = element.style?.textAlign || element.getAttribute('align') ||
+            (element.className.match && (element.className.match(/\btext-(left|center|right)\b/) || [])[1]);
+        return ['left', 'center', 'right'].includes(alignment) ? alignment : null;
+    }
+
+    // HTML
+
+    // A self-contained, styled HTML page for the note
+    static toHtmlDocument(note) {
+        const title = NoteExporter.escapeHtml(note.title);
+        const updated = new Date(note.updatedAt || Date.now()).toLocaleString();
+        const tags = note.tags && note.tags.length > 0
+            ? ` · ${note.tags.map(tag => `#${NoteExporter.escapeHtml(tag)}`).join(' ')}`
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>${NoteExporter.DOCUMENT_STYLES}</style>
+</head>
+<body>
+<h1 class="note-title">${title}</h1>
+<div class="note-meta">Last updated ${NoteExporter.escapeHtml(updated)}${tags}</div>
+<article>${HtmlSanitizer.sanitize(note.content)}</article>
+</body>
+</html>
+`;
+    }
+
+    // PDF
+
+    // Open the browser's print dialog on a clean layout of the note, where it can be saved
+    // as a PDF. The layout lives in a hidden frame so the app itself isn't printed.
+    static print(note) {
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+        document.body.appendChild(frame);
+
+        const cleanUp = () => setTimeout(() => frame.remove(), 1000);
+        frame.addEventListener('load', () => {
+            const printWindow = frame.contentWindow;
+            printWindow.addEventListener('afterprint', cleanUp);
+            printWindow.focus();
+            printWindow.print();
+            // Browsers that don't fire afterprint block in print() instead
+            setTimeout(cleanUp, 60000);
+        }, { once: true });
+
+        frame.srcdoc = NoteExporter.toHtmlDocument(note);
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
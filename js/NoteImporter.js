@@ -0,0 +1,544 @@
+/**
+ * NoteImporter.js
+ * Reads exports from Evernote (.enex), Google Keep (Takeout JSON/HTML) and Notion
+ * (Markdown + CSV ZIP) into notes ready to import
+ */
+
+// Raised when a file can't be imported, with a message to show the user
+class ImportFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportFormatError';
+    }
+}
+
+class NoteImporter {
+    static EXTENSIONS = ['.enex', '.json', '.html', '.htm', '.zip', '.csv'];
+
+    // Archives hold attachments too, so they get more room than single text files
+    static MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+
+    // Notion appends a 32-character ID to every exported file and folder name
+    static NOTION_ID = /\s+[0-9a-f]{32}(?=(\.[a-z]+)?$)/i;
+
+    // Notion page properties that map onto note fields
+    static NOTION_PROPERTIES = {
+        tags: ['tags', 'tag', 'labels'],
+        createdAt: ['created', 'created time', 'date created'],
+        updatedAt: ['last edited time', 'last edited', 'updated', 'last updated']
+    };
+
+    // Whether a file is one of the formats handled here
+    static canImport(name) {
+        const lower = name.toLowerCase();
+        return NoteImporter.EXTENSIONS.some(extension => lower.endsWith(extension));
+    }
+
+    // Read files into { notes, errors }. Each note is { title, content, tags, createdAt,
+    // updatedAt, source, file } where title may be empty and dates may be null; each error
+    // is { file, message }. `encoding` is passed on to TextFileReader for files outside ZIPs.
+    static async parse(files, encoding = 'auto') {
+        const notes = [];
+        const errors = [];
+
+        for (const file of files) {
+            try {
+                const entries = /\.zip$/i.test(file.name)
+                    ? await NoteImporter.readArchive(file)
+                    : [{ name: file.name, text: (await TextFileReader.read(file, { encoding: encoding })).text }];
+                const result = NoteImporter.parseEntries(entries, /\.zip$/i.test(file.name));
+
+                notes.push(...result.notes);
+                errors.push(...result.errors.map(error => ({
+                    ...error,
+                    file: error.file === file.name ? error.file : `${file.name}: ${error.file}`
+                })));
+            } catch (error) {
+                errors.push({ file: file.name, message: NoteImporter.describeError(error) });
+            }
+        }
+
+        return { notes: notes, errors: errors };
+    }
+
+    // Text files in a ZIP, skipping attachments and other binary files
+    static async readArchive(file) {
+        if (file.size > NoteImporter.MAX_ARCHIVE_BYTES) {
+            throw new FileTooLargeError(file.size, NoteImporter.MAX_ARCHIVE_BYTES);
+        }
+
+        const decoder = new TextDecoder();
+        const entries = await ZipArchive.read(file);
+
+        if (entries.some(entry => entry.name === NoteManager.BACKUP_MANIFEST)) {
+            throw new ImportFormatError('This is a TakeNote backup. Use Restore to bring it back.');
+        }
+
+        return entries
+            .filter(entry => /\.(enex|json|html?|md|csv)$/i.test(entry.name))
+            .map(entry => ({ name: entry.name, text: decoder.decode(entry.data) }));
+    }
+
+    // Sort files by format and parse them. Inside an archive, files of unknown formats
+    // (attachments, other Takeout products) are passed over quietly.
+    static parseEntries(entries, inArchive) {
+        const notes = [];
+        const errors = [];
+        const names = new Set(entries.map(entry => entry.name));
+        const notionPages = [];
+        const notionTables = [];
+
+        for (const entry of entries) {
+            const lower = entry.name.toLowerCase();
+            try {
+                if (lower.endsWith('.enex')) {
+                    const { notes: enexNotes, warnings } = NoteImporter.parseEnex(entry.text, entry.name);
+                    notes.push(...enexNotes);
+                    errors.push(...warnings);
+                } else if (lower.endsWith('.json')) {
+                    const note = NoteImporter.parseKeepJson(entry.text, entry.name, inArchive);
+                    if (note) notes.push(note);
+                } else if (/\.html?$/.test(lower)) {
+                    // Takeout has both formats of each Keep note; the JSON one has more detail
+                    if (!names.has(entry.name.replace(/\.html?$/i, '.json'))) {
+                        const note = NoteImporter.parseKeepHtml(entry.text, entry.name, inArchive);
+                        if (note) notes.push(note);
+                    }
+                } else if (lower.endsWith('.md') && inArchive) {
+                    notionPages.push(NoteImporter.parseNotionPage(entry.text, entry.name));
+                } else if (lower.endsWith('.csv')) {
+                    // Newer exports add "<database>_all.csv" next to "<database>.csv"
+                    const isCopy = /_all\.csv$/i.test(entry.name) && names.has(entry.name.replace(/_all\.csv$/i, '.csv'));
+                    if (!isCopy) notionTables.push(entry);
+                } else if (!inArchive) {
+                    throw new ImportFormatError('This file type can\'t be imported.');
+                }
+            } catch (error) {
+                errors.push({ file: entry.name, message: NoteImporter.describeError(error) });
+            }
+        }
+
+        if (notionPages.length > 0 || notionTables.length > 0) {
+            NoteImporter.linkNotionPages(notionPages);
+            notionTables.forEach(entry => {
+                try {
+                    notes.push(...NoteImporter.applyNotionTable(entry.text, entry.name, notionPages));
+                } catch (error) {
+                    errors.push({ file: entry.name, message: NoteImporter.describeError(error) });
+                }
+            });
+            notes.push(...notionPages.map(page => page.note));
+        }
+
+        return { notes: notes, errors: errors };
+    }
+
+    // Evernote
+
+    // <en-export> with a <note> per note; the body is ENML (XHTML with <en-todo>,
+    // <en-media> and friends) inside <content>
+    static parseEnex(text, file) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        if (xml.querySelector('parsererror') || !xml.querySelector('en-export')) {
+            throw new ImportFormatError('This isn\'t an Evernote export (.enex) file.');
+        }
+
+        const warnings = [];
+        const notes = Array.from(xml.querySelectorAll('en-export > note')).map(element => {
+            const field = (name) => element.querySelector(`:scope > ${name}`)?.textContent.trim() || '';
+            const title = field('title');
+            const { html, attachments } = NoteImporter.convertEnml(field('content'));
+
+            if (attachments > 0) {
+                warnings.push({
+                    file: file,
+                    message: `"${title || 'Untitled'}": ${attachments} ${attachments === 1 ? 'attachment was' : 'attachments were'} left out`
+                });
+            }
+
+            return {
+                title: title,
+                content: html,
+                tags: Array.from(element.querySelectorAll(':scope > tag')).map(tag => tag.textContent.trim()),
+                createdAt: NoteImporter.parseEnexDate(field('created')),
+                updatedAt: NoteImporter.parseEnexDate(field('updated')),
+                source: 'Evernote',
+                file: file
+            };
+        });
+
+        if (notes.length === 0) {
+            throw new ImportFormatError('There are no notes in this Evernote export.');
+        }
+
+        return { notes: notes, warnings: warnings };
+    }
+
+    // ENML to note HTML: { html, attachments }. Checkboxes become task lists and
+    // attachments (which need their resource data) are dropped and counted.
+    static convertEnml(enml) {
+        // ENML is XHTML; the HTML parser doesn't treat <en-todo/> as closed, so close it
+        const markup = enml
+            .replace(/<\?xml[^>]*\?>/i, '')
+            .replace(/<!DOCTYPE[^>]*>/i, '')
+            .replace(/<(en-todo|en-media|en-crypt)\b([^>]*?)\/>/gi, '<$1$2></$1>');
+        const page = new DOMParser().parseFromString(markup, 'text/html');
+        const root = page.querySelector('en-note') || page.body;
+
+        const media = root.querySelectorAll('en-media, en-crypt');
+        media.forEach(element => element.remove());
+
+        root.querySelectorAll('en-todo').forEach(todo => {
+            const checkbox = page.createElement('input');
+            checkbox.type = 'checkbox';
+            if (todo.getAttribute('checked') === 'true') {
+                checkbox.setAttribute('checked', '');
+            }
+            todo.replaceWith(checkbox);
+        });
+
+        const container = HtmlSanitizer.parse(root.innerHTML);
+        NoteImporter.groupTasks(container);
+
+        return { html: container.innerHTML || '<p></p>', attachments: media.length };
+    }
+
+    // Runs of blocks that start with a checkbox become a task list, matching the lists
+    // Markdown imports make
+    static groupTasks(container) {
+        const isTask = (node) => {
+            if (!node || node.nodeType !== Node.ELEMENT_NODE || !/^(DIV|P)$/.test(node.tagName)) return false;
+            const first = Array.from(node.childNodes).find(child => child.nodeType !== Node.TEXT_NODE || child.textContent.trim());
+            return !!first && first.nodeName === 'INPUT' && first.type === 'checkbox';
+        };
+        const nextBlock = (node) => {
+            let next = node.nextSibling;
+            while (next && next.nodeType === Node.TEXT_NODE && !next.textContent.trim()) {
+                next = next.nextSibling;
+            }
+            return next;
+        };
+
+        container.querySelectorAll('div, p').forEach(block => {
+            // Blocks already moved into a list are no longer in the container
+            if (!container.contains(block) || !isTask(block)) return;
+
+            const list = document.createElement('ul');
+            list.className = 'task-list';
+            block.before(list);
+
+            let current = block;
+            while (isTask(current)) {
+                const next = nextBlock(current);
+                const checkbox = current.querySelector(':scope > input[type="checkbox"]');
+                checkbox.remove();
+
+                const item = document.createElement('li');
+                item.className = 'task-list-item';
+                item.append(checkbox, ' ', ...Array.from(current.childNodes));
+                list.appendChild(item);
+                current.remove();
+                current = next;
+            }
+        });
+    }
+
+    // "20240115T103000Z"
+    static parseEnexDate(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}.000Z` : null;
+    }
+
+    // Google Keep
+
+    // One JSON file per note in Takeout/Keep. Returns null for trashed notes, and for
+    // other JSON files found in an archive.
+    static parseKeepJson(text, file, inArchive) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            data = null;
+        }
+
+        const isKeepNote = data && typeof data === 'object' &&
+            ('textContent' in data || 'listContent' in data) && 'userEditedTimestampUsec' in data;
+        if (!isKeepNote) {
+            if (inArchive) return null;
+            throw new ImportFormatError('This isn\'t a Google Keep note.');
+        }
+        if (data.isTrashed) return null;
+
+        const paragraphs = NoteImporter.textToParagraphs(data.textContent || '');
+        const tasks = (data.listContent || []).map(item => ({ text: NoteImporter.escapeHtml(item.text || ''), checked: !!item.isChecked }));
+        const toDate = (usec) => usec ? new Date(Number(usec) / 1000).toISOString() : null;
+
+        return {
+            title: (data.title || '').trim(),
+            content: (paragraphs + NoteImporter.taskListHtml(tasks)) || '<p></p>',
+            tags: (data.labels || []).map(label => label.name),
+            createdAt: toDate(data.createdTimestampUsec),
+            updatedAt: toDate(data.userEditedTimestampUsec),
+            source: 'Google Keep',
+            file: file
+        };
+    }
+
+    // The HTML version Takeout writes next to each JSON file
+    static parseKeepHtml(text, file, inArchive) {
+        const page = new DOMParser().parseFromString(text, 'text/html');
+        const note = page.querySelector('.note');
+        if (!note) {
+            if (inArchive) return null;
+            throw new ImportFormatError('This isn\'t a Google Keep note.');
+        }
+
+        const body = note.querySelector('.content');
+        const paragraphs = body
+            ? body.innerHTML.split(/<br\s*\/?>/i).map(line => line.trim() ? `<p>${line}</p>` : '').join('')
+            : '';
+        const tasks = Array.from(note.querySelectorAll('.listitem')).map(item => ({
+            text: item.querySelector('.text')?.innerHTML || '',
+            checked: (item.querySelector('.bullet')?.textContent || '').includes('☑')
+        }));
+
+        const container = HtmlSanitizer.parse(paragraphs + NoteImporter.taskListHtml(tasks));
+
+        const heading = Date.parse(note.querySelector('.heading')?.textContent.trim() || '');
+        return {
+            title: note.querySelector('.title')?.textContent.trim() || '',
+            content: container.innerHTML || '<p></p>',
+            tags: Array.from(note.querySelectorAll('.label-name')).map(label => label.textContent.trim()),
+            createdAt: null,
+            updatedAt: isNaN(heading) ? null : new Date(heading).toISOString(),
+            source: 'Google Keep',
+            file: file
+        };
+    }
+
+    // Notion
+
+    // A Markdown page: "# Title", then property lines like "Tags: a, b", then the body.
+    // Returns { note, path, directory, title } so database rows and links can find it.
+    static parseNotionPage(text, path) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const fileTitle = NoteImporter.notionName(path.split('/').pop());
+        const note = { title: fileTitle, content: '', tags: [], createdAt: null, updatedAt: null, source: 'Notion', file: path };
+
+        let start = 0;
+        const heading = lines[0] && lines[0].match(/^#\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            note.title = heading[1];
+            start = 1;
+            while (start < lines.length && !lines[start].trim()) start++;
+
+            // Known properties come straight after the title; others stay in the text
+            const kept = [];
+            let end = start;
+            for (; end < lines.length && /^[^:\n]{1,40}:\s/.test(lines[end]); end++) {
+                const [, key, value] = lines[end].match(/^([^:]+):\s(.*)$/);
+                if (!NoteImporter.applyNotionProperty(note, key, value)) {
+                    kept.push(lines[end]);
+                }
+            }
+            if (end > start && (end === lines.length || !lines[end].trim())) {
+                lines.splice(start, end - start, ...kept);
+            }
+        }
+
+        const directory = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+        return { note: note, path: path, directory: directory, markdown: lines.slice(start).join('\n') };
+    }
+
+    // Set a note field from a Notion property; false if the property isn't one we map
+    static applyNotionProperty(note, key, value) {
+        const name = key.trim().toLowerCase();
+        const { tags, createdAt, updatedAt } = NoteImporter.NOTION_PROPERTIES;
+
+        if (tags.includes(name)) {
+            note.tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+        } else if (createdAt.includes(name) || updatedAt.includes(name)) {
+            const time = Date.parse(value.trim());
+            if (isNaN(time)) return false;
+            note[createdAt.includes(name) ? 'createdAt' : 'updatedAt'] = new Date(time).toISOString();
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    // Links between exported pages become [[wiki links]], then each page's Markdown is
+    // converted to HTML
+    static linkNotionPages(pages) {
+        const titles = new Map(pages.map(page => [page.path, page.note.title]));
+
+        pages.forEach(page => {
+            const markdown = page.markdown.replace(/(?<!!)\[([^\]\n]*)\]\(([^)\s]+\.md)\)/g, (link, text, href) => {
+                let target;
+                try {
+                    target = decodeURIComponent(href);
+                } catch (error) {
+                    return link;
+                }
+                const path = NoteImporter.resolvePath(page.directory, target);
+                return titles.has(path) ? `[[${titles.get(path)}]]` : link;
+            });
+
+            page.note.content = MarkdownParser.parse(markdown).html || '<p></p>';
+        });
+    }
+
+    // A database exported as CSV. Rows with their own page give it tags and dates; other
+    // rows become notes listing their properties.
+    static applyNotionTable(text, path, pages) {
+        const rows = NoteImporter.parseCsv(text.replace(/^\uFEFF/, ''));
+        if (rows.length < 1) return [];
+
+        const [header, ...records] = rows;
+        const nameColumn = Math.max(0, header.findIndex(column => /^(name|title)$/i.test(column.trim())));
+        const directory = path.replace(/(_all)?\.csv$/i, '');
+        const notes = [];
+
+        records.filter(record => record.some(cell => cell.trim())).forEach(record => {
+            const title = (record[nameColumn] || '').trim();
+            const page = pages.find(candidate =>
+                candidate.directory === directory && candidate.note.title.trim().toLowerCase() === title.toLowerCase()
+            );
+            const note = page ? page.note : {
+                title: title, content: '', tags: [], createdAt: null, updatedAt: null, source: 'Notion', file: path
+            };
+
+            const properties = [];
+            header.forEach((column, index) => {
+                const value = (record[index] || '').trim();
+                if (index === nameColumn || !value) return;
+                if (!NoteImporter.applyNotionProperty(note, column, value)) {
+                    properties.push(`<p><b>${NoteImporter.escapeHtml(column)}:</b> ${NoteImporter.escapeHtml(value)}</p>`);
+                }
+            });
+
+            if (!page) {
+                note.content = properties.join('') || '<p></p>';
+                notes.push(note);
+            }
+        });
+
+        return notes;
+    }
+
+    // RFC 4180 CSV: quoted fields may hold commas, newlines and doubled quotes
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    // "Meeting notes 0123...cdef.md" -> "Meeting notes"
+    static notionName(name) {
+        return name.replace(/\.md$/i, '').replace(NoteImporter.NOTION_ID, '').trim();
+    }
+
+    static resolvePath(directory, relative) {
+        const parts = directory ? directory.split('/') : [];
+        relative.split('/').forEach(part => {
+            if (part === '..') parts.pop();
+            else if (part && part !== '.') parts.push(part);
+        });
+        return parts.join('/');
+    }
+
+    // Single files as HTML to insert into a note: images inline, Markdown formatted,
+    // HTML cleaned and plain text as paragraphs
+    static async toHtml(file, encoding = 'auto') {
+        const name = file.name.toLowerCase();
+        const readText = async () => (await TextFileReader.read(file, { encoding: encoding })).text;
+
+        if ((file.type || '').startsWith('image/')) {
+            if (file.size > TextFileReader.MAX_BYTES) {
+                throw new FileTooLargeError(file.size, TextFileReader.MAX_BYTES);
+            }
+
+            const url = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
+            return `<p><img src="${url}" alt="${NoteImporter.escapeHtml(file.name)}"></p>`;
+        }
+        if (/\.(md|markdown)$/.test(name)) {
+            return (await MarkdownParser.parseInBatches(await readText())).html;
+        }
+        if (/\.html?$/.test(name)) {
+            return await HtmlSanitizer.sanitizeInBatches(await readText());
+        }
+        if (/\.txt$/.test(name) || (file.type || '').startsWith('text/')) {
+            return TextFileReader.toParagraphs(await readText());
+        }
+
+        throw new ImportFormatError('This file type can\'t be inserted into a note.');
+    }
+
+    // Helpers
+
+    static textToParagraphs(text) {
+        return text.split(/\r?\n/).map(line => line.trim() ? `<p>${NoteImporter.escapeHtml(line)}</p>` : '').join('');
+    }
+
+    // [{ text (HTML), checked }] as a task list
+    static taskListHtml(tasks) {
+        if (tasks.length === 0) return '';
+        const items = tasks.map(task =>
+            `<li class="task-list-item"><input type="checkbox"${task.checked ? ' checked' : ''}> ${task.text}</li>`
+        );
+        return `<ul class="task-list">${items.join('')}</ul>`;
+    }
+
+    static describeError(error) {
+        if (error instanceof ImportFormatError || error instanceof ZipFormatError || error instanceof FileTooLargeError) {
+            return error.message;
+        }
+        console.error('Import error:', error);
+        return 'This file couldn\'t be read.';
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -1,36 +1,83 @@
 /**
  * NoteManager.js
- * Handles all note-related operations with localStorage and optional Supabase backend integration
+ * Handles all note-related operations through pluggable local and remote storage adapters
  */
 
 class NoteManager {
-    constructor(auth) {
+    static REVISION_INTERVAL_MS = 5 * 60 * 1000; // Minimum time between automatic snapshots
+    static MAX_REVISIONS = 50; // Revisions kept per note
+
+    constructor(auth, stores = {}, config = {}) {
         this.auth = auth;
+        this.trashRetentionDays = config.trashRetentionDays || 30; // Days before trashed notes are purged
         this.notes = [];
+        this.folders = [];
         this.activeNoteId = null;
         this.loading = false;
-        this.useDatabase = false; // Track if we're using database or localStorage
+        this.useDatabase = false; // Track if we're using the remote store or the local one
+        this.replaying = false;
+        this.replayTimeout = null;
+        this.remappedIds = {}; // Local note IDs that have since been replaced by server IDs
+        this.baseVersions = {}; // Last known server `updatedAt` per note, for conflict detection
+        this.conflicts = {}; // Unresolved edit conflicts by note ID
+        this.latestRevisions = {}; // Most recent revision per note ID, once looked up
+        this.pendingSnapshots = {}; // Snapshots being written, by note ID
+        this.migrationCandidates = []; // Local notes that can be brought into the signed-in account
+        this.searchIndex = new SearchIndex(); // Kept up to date as notes change
+        this.noteTexts = new Map(); // Note ID -> plain text, inline tags and links of its content, see getNoteText
+        
+        // Storage backends (localStorage and Supabase unless overridden)
+        this.localStore = stores.localStore || new LocalStorageAdapter();
+        this.remoteStore = stores.remoteStore || new SupabaseStorageAdapter(window.supabase, auth);
+        
+        // Outbox of remote changes made while offline
+        this.syncQueue = stores.syncQueue || new SyncQueue();
+        
+        // Changes made in other tabs, and on other devices once signed in
+        this.channel = stores.channel || new BroadcastSyncChannel();
+        this.channel.subscribe(change => this.applyExternalChange(change));
+        this.unsubscribeRemote = null;
         
-        // Initialize with localStorage
+        // Initialize with local storage
         this.loadNotesFromStorage();
         
         // Bind auth user changes
         if (this.auth) {
             this.auth.onUserChange = (user) => this.handleUserChange(user);
         }
+        
+        // Replay pending changes when connectivity returns
+        window.addEventListener('online', () => this.replayQueue());
+        
+        // Purge expired trash during long sessions too
+        setInterval(() => this.purgeExpiredNotes(), 60 * 60 * 1000);
     }
 
     async handleUserChange(user) {
         if (user) {
-            // User signed in, migrate to database and load their notes
+            // User signed in, load their notes and offer to bring local ones over
+            const localNotes = this.useDatabase ? [] : this.getAllNotes();
             this.useDatabase = true;
-            await this.migrateToDatabase();
             await this.loadNotesFromDatabase();
+            this.migrationCandidates = this.findMigrationCandidates(localNotes);
+            this.subscribeToRemote();
         } else {
-            // User signed out, switch back to localStorage
+            // User signed out, switch back to local storage
             this.useDatabase = false;
-            this.loadNotesFromStorage();
+            this.migrationCandidates = [];
+            this.subscribeToRemote();
+            await this.loadNotesFromStorage();
+        }
+        
+        this.notifyPendingChange();
+    }
+
+    // Get the store for the current session
+    getStore() {
+        if (this.useDatabase && this.auth.isAuthenticated()) {
+            return this.remoteStore;
         }
+        return this.localStore;
     }
 
     // Generate unique ID for notes
@@ -39,72 +86,42 @@ class NoteManager {
     }
 
     // Create a new note
-    async createNote(title = 'Untitled Note', content = '') {
-        if (this.useDatabase && this.auth.isAuthenticated()) {
-            return await this.createNoteInDatabase(title, content);
-        } else {
-            return this.createNoteInStorage(title, content);
-        }
-    }
-
-    // Create note in database (authenticated users)
-    async createNoteInDatabase(title, content) {
-        const user = this.auth.getCurrentUser();
-        
-        try {
-            // Insert note into database
-            const { data, error } = await window.supabase
-                .from('notes')
-                .insert({
-                    user_id: user.id,
-                    title: title,
-                    content: content
-                })
-                .select()
-                .single();
-
-            if (error) {
-                throw error;
-            }
-
-            const note = {
-                id: data.id,
-                title: data.title,
-                content: data.content,
-                createdAt: data.created_at,
-                updatedAt: data.updated_at
-            };
-            
-            this.notes.unshift(note); // Add to beginning
-            this.activeNoteId = note.id;
-            this.saveNotesToStorage(); // Also save to localStorage as backup
-            
-            // Trigger UI update
-            if (this.onNotesChange) {
-                this.onNotesChange();
-            }
-            
-            return note;
-        } catch (error) {
-            console.error('Failed to create note in database:', error);
-            // Fall back to localStorage
-            return this.createNoteInStorage(title, content);
-        }
+    // Options: { customTitle: true } keeps `title` rather than naming the note after its
+    // first line, and { tags } sets its tags
+    async createNote(title = 'Untitled Note', content = '', folderId = null, options = {}) {
+        return await this.createNoteInStore(this.getStore(), title, content, folderId, options);
     }
 
-    // Create note in localStorage (non-authenticated users)
-    createNoteInStorage(title, content) {
-        const note = {
+    // Create note in the given store (remote creates are queued if they can't be sent)
+    async createNoteInStore(store, title, content, folderId = null, options = {}) {
+        const now = new Date().toISOString();
+        const draft = {
             id: this.generateId(),
             title: title,
-            content: content,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+            customTitle: !!options.customTitle,
+            content: await HtmlSanitizer.sanitizeInBatches(content), // Imports can be megabytes
+            folderId: folderId,
+            tags: options.tags || [],
+            createdAt: now,
+            updatedAt: now
         };
         
+        let note;
+        if (store === this.localStore) {
+            note = await store.create(draft);
+        } else {
+            const created = await this.writeRemote('create', draft.id, draft, () => store.create(draft));
+            if (created) {
+                this.baseVersions[created.id] = created.updatedAt;
+            }
+            note = created || draft;
+        }
+        
         this.notes.unshift(note); // Add to beginning
         this.activeNoteId = note.id;
-        this.saveNotesToStorage();
+        this.saveNotesToStorage(note);
+        this.indexNote(note);
+        this.broadcastChange({ type: 'upsert', note: note });
         
         // Trigger UI update
         if (this.onNotesChange) {
@@ -129,107 +146,133 @@ class NoteManager {
 
     // Update note content
     async updateNote(id, updates) {
-        if (this.useDatabase && this.auth.isAuthenticated()) {
-            return await this.updateNoteInDatabase(id, updates);
-        } else {
-            return this.updateNoteInStorage(id, updates);
+        id = this.remappedIds[id] || id;
+        const noteIndex = this.notes.findIndex(note => note.id === id);
+        if (noteIndex === -1) {
+            return null;
         }
-    }
-
-    // Update note in database
-    async updateNoteInDatabase(id, updates) {
-        const user = this.auth.getCurrentUser();
         
-        try {
-            // Update in database
-            const { data, error } = await window.supabase
-                .from('notes')
-                .update({
-                    ...updates,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', id)
-                .eq('user_id', user.id)
-                .select()
-                .single();
-
-            if (error) {
-                throw error;
-            }
-
-            // Update local notes array
-            const noteIndex = this.notes.findIndex(note => note.id === id);
-            if (noteIndex !== -1) {
-                this.notes[noteIndex] = {
-                    id: data.id,
-                    title: data.title,
-                    content: data.content,
-                    createdAt: data.created_at,
-                    updatedAt: data.updated_at
-                };
-                
-                this.saveNotesToStorage(); // Also save to localStorage as backup
-                
-                // Trigger UI update
-                if (this.onNotesChange) {
-                    this.onNotesChange();
-                }
-                
-                return this.notes[noteIndex];
-            }
-            
-            return null;
-        } catch (error) {
-            console.error('Failed to update note in database:', error);
-            // Fall back to localStorage
-            return this.updateNoteInStorage(id, updates);
+        if (typeof updates.content === 'string') {
+            updates = { ...updates, content: HtmlSanitizer.sanitize(updates.content) };
         }
-    }
-
-    // Update note in localStorage
-    updateNoteInStorage(id, updates) {
-        const noteIndex = this.notes.findIndex(note => note.id === id);
-        if (noteIndex !== -1) {
-            this.notes[noteIndex] = {
+        
+        const store = this.getStore();
+        let note;
+        if (store === this.localStore) {
+            note = await store.update(id, updates);
+        } else {
+            // Keep the local copy current even if the change has to wait in the queue
+            const localCopy = {
                 ...this.notes[noteIndex],
                 ...updates,
                 updatedAt: new Date().toISOString()
             };
             
-            this.saveNotesToStorage();
-            
-            // Trigger UI update
-            if (this.onNotesChange) {
-                this.onNotesChange();
+            if (this.conflicts[id]) {
+                // Hold further edits locally until the user settles the conflict
+                this.conflicts[id].mine = localCopy;
+                note = localCopy;
+            } else {
+                try {
+                    const saved = await this.writeRemote('update', id, updates, () =>
+                        store.update(id, updates, { expectedUpdatedAt: this.baseVersions[id] })
+                    );
+                    if (saved) {
+                        this.baseVersions[id] = saved.updatedAt;
+                    }
+                    note = saved || localCopy;
+                } catch (error) {
+                    if (!(error instanceof NoteConflictError)) {
+                        throw error;
+                    }
+                    this.recordConflict(localCopy, error.serverNote);
+                    note = localCopy;
+                }
             }
-            
-            return this.notes[noteIndex];
         }
         
-        return null;
+        if (!note) {
+            return null;
+        }
+        
+        this.notes[noteIndex] = note;
+        this.saveNotesToStorage(note);
+        this.snapshotNote(note);
+        this.indexNote(note);
+        this.broadcastChange({ type: 'upsert', note: note });
+        
+        // Trigger UI update
+        if (this.onNotesChange) {
+            this.onNotesChange();
+        }
+        
+        return note;
     }
 
-    // Update note title based on content
+    // Save note content, naming the note after its first line unless it has its own title
     async updateNoteTitle(id, content) {
-        const firstLine = this.extractFirstLineAsTitle(content);
-        const title = firstLine ? firstLine.substring(0, 50) + (firstLine.length > 50 ? '...' : '') : 'Untitled Note';
-        
         try {
+            const note = this.getNoteById(id);
+            const previousTitle = note?.title;
+            const title = this.titleFor(note, content);
+            
             await this.updateNote(id, { 
                 title: title,
                 content: content
             });
+            
+            // Keep [[links]] to this note pointing at it
+            if (previousTitle && previousTitle !== title) {
+                await this.updateLinks(previousTitle, title, id);
+            }
         } catch (error) {
-            console.error('Failed to update note title:', error);
+            this.handleStorageError(error, 'Failed to update note title:');
+        }
+    }
+
+    // Give a note its own title, or go back to naming it after its first line when
+    // `title` is blank. [[Links]] to the old title are updated.
+    async renameNote(id, title) {
+        const note = this.getNoteById(id);
+        if (!note) return null;
+        
+        const customTitle = !!(title && title.trim());
+        const newTitle = customTitle ? title.trim() : this.buildTitle(note.content);
+        if (newTitle === note.title && customTitle === !!note.customTitle) {
+            return note;
+        }
+        
+        const previousTitle = note.title;
+        const updated = await this.updateNote(id, { title: newTitle, customTitle: customTitle });
+        if (previousTitle !== newTitle) {
+            await this.updateLinks(previousTitle, newTitle, id);
         }
+        
+        return updated;
+    }
+
+    // The title a note should have with the given content
+    titleFor(note, content) {
+        return note && note.customTitle ? note.title : this.buildTitle(content);
+    }
+
+    // Build a note title from the first line of its content
+    buildTitle(content) {
+        const firstLine = this.extractFirstLineAsTitle(content);
+        return firstLine ? firstLine.substring(0, 50) + (firstLine.length > 50 ? '...' : '') : 'Untitled Note';
     }
 
     // Extract first line as title
     extractFirstLineAsTitle(content) {
         if (!content || typeof content !== 'string') return '';
         
-        // Remove HTML tags and get plain text
-        const plainText = content.replace(/<[^>]*>/g, '').trim();
+        // Get plain text, starting a new line at each block so the title stops
+        // at the end of the first paragraph
+        const container = HtmlSanitizer.parse(content);
+        container.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li, br').forEach(element => {
+            element.before(document.createTextNode('\n'));
+        });
+        const plainText = container.textContent.trim();
         if (!plainText) return '';
         
         // Get first meaningful line
@@ -237,110 +280,167 @@ class NoteManager {
         return firstLine || 'Untitled Note';
     }
 
-    // Delete a note
+    // Delete a note by moving it to the trash
     async deleteNote(id) {
-        if (!this.auth.isAuthenticated()) {
-            throw new Error('User must be authenticated to delete notes');
-        }
-
-        const user = this.auth.getCurrentUser();
+        id = this.remappedIds[id] || id;
         
         try {
-            // Delete from database
-            const { error } = await window.supabase
-                .from('notes')
-                .delete()
-                .eq('id', id)
-                .eq('user_id', user.id);
-
-            if (error) {
-                throw error;
+            const note = await this.updateNote(id, { deletedAt: new Date().toISOString() });
+            if (!note) {
+                return false;
             }
-
-            // Remove from local notes array
-            const noteIndex = this.notes.findIndex(note => note.id === id);
-            if (noteIndex !== -1) {
-                this.notes.splice(noteIndex, 1);
-                
-                // If the deleted note was active, set a new active note
-                if (this.activeNoteId === id) {
-                    if (this.notes.length > 0) {
-                        this.activeNoteId = this.notes[0].id;
-                    } else {
-                        this.activeNoteId = null;
-                    }
-                }
+            
+            // If the trashed note was active, set a new active note
+            if (this.activeNoteId === id) {
+                this.activeNoteId = this.getFirstNoteId();
+                this.saveNotesToStorage();
                 
                 // Trigger UI update
                 if (this.onNotesChange) {
                     this.onNotesChange();
                 }
-                
-                return true;
             }
             
-            return false;
+            return true;
+        } catch (error) {
+            console.error('Failed to delete note:', error);
+            throw new Error('Failed to delete note');
+        }
+    }
+
+    // Take a note back out of the trash
+    async restoreNote(id) {
+        id = this.remappedIds[id] || id;
+        return await this.updateNote(id, { deletedAt: null });
+    }
+
+    // Permanently delete a note and its revisions
+    async deleteNoteForever(id) {
+        id = this.remappedIds[id] || id;
+        
+        try {
+            const store = this.getStore();
+            if (store === this.localStore) {
+                await store.delete(id);
+            } else {
+                await this.writeRemote('delete', id, null, () => store.delete(id));
+            }
+
+            delete this.baseVersions[id];
+            await this.deleteRevisions(id);
+            return this.removeLocalNote(id);
         } catch (error) {
             console.error('Failed to delete note:', error);
             throw new Error('Failed to delete note');
         }
     }
 
+    async emptyTrash() {
+        for (const note of this.getTrashedNotes()) {
+            await this.deleteNoteForever(note.id);
+        }
+    }
+
+    // Permanently delete notes that have been in the trash longer than the retention period
+    async purgeExpiredNotes() {
+        const cutoff = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.getTrashedNotes().filter(note => new Date(note.deletedAt).getTime() < cutoff);
+        
+        for (const note of expired) {
+            try {
+                await this.deleteNoteForever(note.id);
+            } catch (error) {
+                console.warn('Failed to purge trashed note:', note.title, error);
+            }
+        }
+    }
+
+    // Remove a note from the local notes array, moving the active note if needed
+    removeLocalNote(id) {
+        const noteIndex = this.notes.findIndex(note => note.id === id);
+        if (noteIndex === -1) {
+            return false;
+        }
+        
+        this.notes.splice(noteIndex, 1);
+        this.unindexNote(id);
+        this.removeBackup(id);
+        
+        // If the removed note was active, set a new active note
+        if (this.activeNoteId === id) {
+            this.activeNoteId = this.getFirstNoteId();
+        }
+        
+        this.saveNotesToStorage();
+        this.broadcastChange({ type: 'delete', noteId: id });
+        
+        // Trigger UI update
+        if (this.onNotesChange) {
+            this.onNotesChange();
+        }
+        
+        return true;
+    }
+
     // Set active note
     setActiveNote(id) {
         const note = this.getNoteById(id);
         if (note) {
             this.activeNoteId = id;
+            this.localStore.setActiveId(id);
             return note;
         }
         return null;
     }
 
-    // Get all notes
+    // Get all notes that aren't in the trash
     getAllNotes() {
-        return this.notes;
+        return this.notes.filter(note => !note.deletedAt);
+    }
+
+    // Get trashed notes, most recently deleted first
+    getTrashedNotes() {
+        return this.notes
+            .filter(note => note.deletedAt)
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    // ID of the first note that isn't in the trash
+    getFirstNoteId() {
+        const note = this.notes.find(note => !note.deletedAt);
+        return note ? note.id : null;
     }
 
     // Load notes from database
     async loadNotesFromDatabase() {
         if (!this.auth.isAuthenticated()) {
-            this.loadNotesFromStorage();
+            await this.loadNotesFromStorage();
             return;
         }
 
-        const user = this.auth.getCurrentUser();
         this.loading = true;
         
         try {
-            const { data, error } = await window.supabase
-                .from('notes')
-                .select('*')
-                .eq('user_id', user.id)
-                .order('updated_at', { ascending: false });
-
-            if (error) {
-                throw error;
-            }
-
-            // Convert database format to local format
-            this.notes = data.map(note => ({
-                id: note.id,
-                title: note.title,
-                content: note.content,
-                createdAt: note.created_at,
-                updatedAt: note.updated_at
-            }));
+            // Send anything written offline first so the server copy is current
+            await this.replayQueue();
+            
+            const remoteNotes = (await this.remoteStore.list()).map(note => NoteManager.cleanNote(note));
+            remoteNotes.forEach(note => {
+                this.baseVersions[note.id] = note.updatedAt;
+            });
+            this.notes = this.applyPendingChanges(remoteNotes);
+            await this.loadFolders();
+            this.reindex();
 
             // Set active note (first note or none)
-            if (this.notes.length > 0) {
-                this.activeNoteId = this.notes[0].id;
-            } else {
+            this.activeNoteId = this.getFirstNoteId();
+            if (this.notes.length === 0) {
                 this.activeNoteId = null;
                 // Create a welcome note for new users
                 await this.createNote('Welcome to takenote', '<p>Welcome to takenote! This is your first note.</p><p>You can:</p><ul><li>Format text with the toolbar</li><li>Create new notes</li><li>Upload and download files</li><li>Access your notes from anywhere when signed in</li></ul>');
             }
             
-            // Also save to localStorage as backup
+            // Also save to local storage as backup
             this.saveNotesToStorage();
             
             // Trigger UI update
@@ -348,155 +448,1285 @@ class NoteManager {
                 this.onNotesChange();
             }
             
+            await this.purgeExpiredNotes();
         } catch (error) {
             console.error('Failed to load notes from database:', error);
-            // Fall back to localStorage
-            this.loadNotesFromStorage();
+            // Fall back to local storage
+            await this.loadNotesFromStorage();
         } finally {
             this.loading = false;
         }
     }
 
-    // Save notes to localStorage
-    saveNotesToStorage() {
+    // Save notes to local storage (a backup copy when the remote store is in use).
+    // Pass the note that changed to back up just that record instead of every note.
+    // Notes only kept on this device are left alone; they go once they're migrated.
+    saveNotesToStorage(changedNote = null) {
+        if (this.getStore() !== this.localStore) {
+            const backup = changedNote ? this.localStore.put(changedNote) : this.localStore.putAll(this.notes);
+            backup.catch(error => this.handleStorageError(error, 'Failed to save notes to local storage:'));
+        }
+        
         try {
-            localStorage.setItem('takenote-notes', JSON.stringify(this.notes));
-            localStorage.setItem('takenote-active-id', this.activeNoteId || '');
+            this.localStore.setActiveId(this.activeNoteId);
         } catch (error) {
-            console.warn('Failed to save notes to localStorage:', error);
+            this.handleStorageError(error, 'Failed to save active note to local storage:');
         }
     }
 
-    // Load notes from localStorage
-    loadNotesFromStorage() {
-        try {
-            const savedNotes = localStorage.getItem('takenote-notes');
-            const savedActiveId = localStorage.getItem('takenote-active-id');
-            
-            if (savedNotes) {
-                this.notes = JSON.parse(savedNotes);
-            }
-            
-            if (savedActiveId && this.getNoteById(savedActiveId)) {
-                this.activeNoteId = savedActiveId;
-            } else if (this.notes.length > 0) {
-                this.activeNoteId = this.notes[0].id;
-            }
-
-            // If no notes exist, create a default one
-            if (this.notes.length === 0) {
-                this.createNoteInStorage('Welcome to takenote', '<p>Welcome to takenote! This is your first note.</p><p>You can:</p><ul><li>Format text with the toolbar</li><li>Create new notes</li><li>Upload and download files</li><li>Sign in to sync your notes across devices</li></ul>');
-            }
-            
-            // Trigger UI update
-            if (this.onNotesChange) {
-                this.onNotesChange();
-            }
-        } catch (error) {
-            console.warn('Failed to load notes from localStorage:', error);
-            // Create default note on error
-            this.createNoteInStorage('Welcome to takenote', '<p>Welcome to takenote! Start taking notes.</p>');
+    // Drop the local backup of an account note that no longer exists
+    removeBackup(id) {
+        if (this.getStore() !== this.localStore) {
+            this.localStore.delete(id).catch(error => {
+                console.warn('Failed to remove local backup of note:', error);
+            });
         }
     }
 
-    // Migrate localStorage notes to database when user signs in
-    async migrateToDatabase() {
-        if (!this.auth.isAuthenticated() || this.notes.length === 0) {
-            return;
+    // Report a storage failure and let the UI surface it (quota exceeded in particular)
+    handleStorageError(error, message) {
+        console.warn(message, error);
+        if (this.onStorageError) {
+            this.onStorageError(error);
         }
+    }
 
-        const user = this.auth.getCurrentUser();
-        console.log('Migrating', this.notes.length, 'notes to database for user', user.email);
-
+    // Save a revision of a note if it changed and enough time has passed since the last one.
+    // `force` skips the time check (used around restores).
+    async snapshotNote(note, force = false) {
+        // Autosaves arrive in bursts; one snapshot per note at a time is plenty
+        if (this.pendingSnapshots[note.id]) {
+            if (!force) {
+                return null;
+            }
+            await this.pendingSnapshots[note.id];
+        }
+        
+        const snapshot = this.saveSnapshot(note, force);
+        this.pendingSnapshots[note.id] = snapshot;
         try {
-            // Check if user already has notes in database
-            const { data: existingNotes } = await window.supabase
-                .from('notes')
-                .select('id')
-                .eq('user_id', user.id)
-                .limit(1);
-
-            // If user already has notes in database, don't migrate
-            if (existingNotes && existingNotes.length > 0) {
-                console.log('User already has notes in database, skipping migration');
-                return;
+            return await snapshot;
+        } finally {
+            if (this.pendingSnapshots[note.id] === snapshot) {
+                delete this.pendingSnapshots[note.id];
             }
+        }
+    }
 
-            // Migrate each note to database
-            for (const note of this.notes) {
-                try {
-                    await window.supabase
-                        .from('notes')
-                        .insert({
-                            user_id: user.id,
-                            title: note.title,
-                            content: note.content
-                        });
-                } catch (error) {
-                    console.error('Failed to migrate note:', note.title, error);
-                }
+    async saveSnapshot(note, force) {
+        try {
+            const latest = await this.getLatestRevision(note.id);
+            if (latest && latest.content === note.content) {
+                return latest;
+            }
+            if (!force && latest && Date.now() - new Date(latest.createdAt).getTime() < NoteManager.REVISION_INTERVAL_MS) {
+                return null;
             }
             
-            console.log('Migration completed successfully');
+            const revision = await this.addRevision({
+                id: 'rev_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                noteId: note.id,
+                title: note.title,
+                content: note.content,
+                words: this.getNoteStats(note.content).words,
+                createdAt: new Date().toISOString()
+            });
+            
+            this.latestRevisions[note.id] = revision;
+            await this.pruneRevisions(note.id);
+            return revision;
         } catch (error) {
-            console.error('Failed to migrate notes to database:', error);
+            console.warn('Failed to save note revision:', error);
+            return null;
         }
     }
 
-    // Export note as text
-    exportNoteAsText(id) {
-        const note = this.getNoteById(id);
-        if (!note) return null;
+    // Revisions go to the remote store when signed in, and stay local otherwise or if that fails
+    async addRevision(revision) {
+        const store = this.getStore();
+        if (store !== this.localStore) {
+            try {
+                return await store.addRevision(revision);
+            } catch (error) {
+                console.warn('Failed to save revision to database, keeping it locally:', error);
+            }
+        }
+        return await this.localStore.addRevision(revision);
+    }
+
+    // All revisions of a note from both stores, newest first
+    async getRevisions(noteId) {
+        let revisions = await this.localStore.listRevisions(noteId);
         
-        // Convert HTML to plain text
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = note.content;
-        const plainText = tempDiv.textContent || tempDiv.innerText || '';
+        const store = this.getStore();
+        if (store !== this.localStore) {
+            try {
+                const remoteRevisions = await store.listRevisions(noteId);
+                revisions = remoteRevisions.concat(
+                    revisions.filter(revision => !remoteRevisions.some(remote => remote.id === revision.id))
+                );
+            } catch (error) {
+                console.warn('Failed to load revisions from database:', error);
+            }
+        }
         
-        return {
-            title: note.title,
-            content: plainText,
-            filename: this.sanitizeFilename(note.title) + '.txt'
-        };
+        return revisions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     }
 
-    // Sanitize filename
-    sanitizeFilename(filename) {
-        return filename.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    async getLatestRevision(noteId) {
+        if (!(noteId in this.latestRevisions)) {
+            const revisions = await this.getRevisions(noteId);
+            this.latestRevisions[noteId] = revisions[0] || null;
+        }
+        return this.latestRevisions[noteId];
     }
 
-    // Import text content
-    async importTextContent(content, filename = '') {
-        const title = filename ? filename.replace(/\.[^/.]+$/, '') : 'Imported Note';
-        
-        // Convert plain text to HTML paragraphs
-        const htmlContent = content
-            .split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0)
-            .map(line => `<p>${this.escapeHtml(line)}</p>`)
-            .join('');
-        
-        return await this.createNote(title, htmlContent || '<p></p>');
+    // Stores that may hold revisions for the current session
+    getRevisionStores() {
+        const store = this.getStore();
+        return store === this.localStore ? [this.localStore] : [this.localStore, store];
     }
 
-    // Escape HTML
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Drop the oldest revisions beyond MAX_REVISIONS
+    async pruneRevisions(noteId) {
+        const revisions = await this.getRevisions(noteId);
+        const stores = this.getRevisionStores();
+        
+        for (const revision of revisions.slice(NoteManager.MAX_REVISIONS)) {
+            for (const store of stores) {
+                await store.deleteRevision(revision.id).catch(error => {
+                    console.warn('Failed to delete old revision:', error);
+                });
+            }
+        }
     }
 
-    // Get note statistics
-    getNoteStats(content) {
-        if (!content) {
-            return { words: 0, characters: 0, sentences: 0 };
+    // Remove every revision of a note from both stores
+    async deleteRevisions(noteId) {
+        const revisions = await this.getRevisions(noteId);
+        const stores = this.getRevisionStores();
+        
+        for (const revision of revisions) {
+            for (const store of stores) {
+                await store.deleteRevision(revision.id).catch(error => {
+                    console.warn('Failed to delete revision:', error);
+                });
+            }
         }
         
+        delete this.latestRevisions[noteId];
+    }
+
+    // Bring back an old revision; the current content and the restored one are both kept as revisions
+    async restoreRevision(noteId, revisionId) {
+        const note = this.getNoteById(noteId);
+        const revision = (await this.getRevisions(noteId)).find(revision => revision.id === revisionId);
+        if (!note || !revision) {
+            return null;
+        }
+        
+        await this.snapshotNote(note, true);
+        const restored = await this.updateNote(noteId, { title: revision.title, content: revision.content });
+        if (restored) {
+            await this.snapshotNote(restored, true);
+        }
+        return restored;
+    }
+
+    // Send a change to the remote store, queueing it for replay if we're offline or it fails.
+    // Resolves with the stored note, or null if the change was queued.
+    async writeRemote(type, noteId, data, request) {
+        const userId = this.auth.getCurrentUser().id;
+        
+        // Queued changes must reach the server first, so new ones wait behind them
+        if (navigator.onLine !== false && this.syncQueue.size(userId) === 0) {
+            try {
+                return await request();
+            } catch (error) {
+                if (error instanceof NoteConflictError) {
+                    throw error;
+                }
+                console.error(`Failed to ${type} note in database, queueing for sync:`, error);
+            }
+        }
+        
+        this.syncQueue.enqueue(type, noteId, userId, data, this.baseVersions[noteId] || null);
+        this.notifyPendingChange();
+        this.scheduleReplay();
+        return null;
+    }
+
+    // Send queued changes to the remote store in order
+    async replayQueue() {
+        if (this.replaying || !this.useDatabase || !this.auth.isAuthenticated()) {
+            return;
+        }
+        
+        const userId = this.auth.getCurrentUser().id;
+        this.replaying = true;
+        
+        try {
+            let operation;
+            while ((operation = this.syncQueue.take(userId))) {
+                try {
+                    await this.applyOperation(operation);
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        // Still offline; try again later
+                        this.syncQueue.restore(operation);
+                        this.scheduleReplay();
+                        break;
+                    }
+                    console.error('Server rejected a queued change, discarding it:', operation, error);
+                }
+                this.notifyPendingChange();
+            }
+        } finally {
+            this.replaying = false;
+            this.notifyPendingChange();
+        }
+    }
+
+    async applyOperation(operation) {
+        switch (operation.type) {
+            case 'create': {
+                const created = await this.remoteStore.create(operation.data);
+                this.baseVersions[created.id] = created.updatedAt;
+                this.remapNoteId(operation.noteId, created);
+                break;
+            }
+            case 'update':
+                try {
+                    const saved = await this.remoteStore.update(operation.noteId, operation.data, {
+                        expectedUpdatedAt: this.baseVersions[operation.noteId] || operation.baseUpdatedAt
+                    });
+                    this.baseVersions[operation.noteId] = saved.updatedAt;
+                } catch (error) {
+                    if (!(error instanceof NoteConflictError)) {
+                        throw error;
+                    }
+                    const localNote = this.getNoteById(operation.noteId) || { id: operation.noteId, ...operation.data };
+                    this.recordConflict(localNote, error.serverNote);
+                }
+                break;
+            case 'delete':
+                await this.remoteStore.delete(operation.noteId);
+                delete this.baseVersions[operation.noteId];
+                break;
+        }
+    }
+
+    // Swap a locally generated note ID for the one the server assigned
+    remapNoteId(oldId, created) {
+        this.remappedIds[oldId] = created.id;
+        this.syncQueue.remapNoteId(oldId, created.id);
+        
+        const noteIndex = this.notes.findIndex(note => note.id === oldId);
+        if (noteIndex !== -1) {
+            // Keep local content, which may be newer than what was created
+            this.notes[noteIndex] = { ...this.notes[noteIndex], id: created.id, createdAt: created.createdAt };
+            this.localStore.delete(oldId).catch(error => {
+                console.warn('Failed to remove local copy of synced note:', error);
+            });
+            this.saveNotesToStorage(this.notes[noteIndex]);
+            this.unindexNote(oldId);
+            this.indexNote(this.notes[noteIndex]);
+            this.broadcastChange({ type: 'delete', noteId: oldId });
+            this.broadcastChange({ type: 'upsert', note: this.notes[noteIndex] });
+        }
+        
+        if (this.activeNoteId === oldId) {
+            this.activeNoteId = created.id;
+            this.saveNotesToStorage();
+        }
+        
+        if (this.onNoteIdChange) {
+            this.onNoteIdChange(oldId, created.id);
+        }
+        
+        // Trigger UI update
+        if (this.onNotesChange) {
+            this.onNotesChange();
+        }
+    }
+
+    // Overlay queued changes on a list of notes fetched from the server
+    applyPendingChanges(notes) {
+        const user = this.auth.getCurrentUser();
+        if (!user) return notes;
+        
+        let result = [...notes];
+        this.syncQueue.pending(user.id).forEach(operation => {
+            if (operation.type === 'create') {
+                result.unshift({ ...operation.data });
+            } else if (operation.type === 'update') {
+                result = result.map(note => note.id === operation.noteId ? { ...note, ...operation.data } : note);
+            } else if (operation.type === 'delete') {
+                result = result.filter(note => note.id !== operation.noteId);
+            }
+        });
+        
+        // Unresolved conflicts keep showing our version until the user decides
+        return result.map(note => this.conflicts[note.id] ? this.conflicts[note.id].mine : note);
+    }
+
+    // Remember a rejected save so the user can choose between both versions
+    recordConflict(mine, theirs) {
+        const isNew = !this.conflicts[mine.id];
+        this.conflicts[mine.id] = { noteId: mine.id, mine: mine, theirs: theirs && NoteManager.cleanNote(theirs) };
+        
+        if (isNew && this.onConflict) {
+            this.onConflict(this.conflicts[mine.id]);
+        }
+    }
+
+    getConflicts() {
+        return Object.values(this.conflicts);
+    }
+
+    // Settle a conflict: 'mine' overwrites the server copy, 'theirs' takes it,
+    // and 'merge' saves the given merged content. Resolves with the resulting note.
+    async resolveConflict(id, resolution, mergedContent = '') {
+        const conflict = this.conflicts[id];
+        if (!conflict) {
+            return null;
+        }
+        
+        delete this.conflicts[id];
+        clearTimeout(this.autoSaveTimeout); // Don't let a stale autosave undo the choice
+        
+        const { mine, theirs } = conflict;
+        
+        if (resolution === 'theirs') {
+            if (!theirs) {
+                // Deleted on the other device
+                this.removeLocalNote(id);
+                return null;
+            }
+            
+            const noteIndex = this.notes.findIndex(note => note.id === id);
+            if (noteIndex !== -1) {
+                this.notes[noteIndex] = theirs;
+            }
+            this.indexNote(theirs);
+            this.baseVersions[id] = theirs.updatedAt;
+            this.saveNotesToStorage(theirs);
+            
+            // Trigger UI update
+            if (this.onNotesChange) {
+                this.onNotesChange();
+            }
+            
+            return theirs;
+        }
+        
+        const content = resolution === 'merge' ? mergedContent : mine.content;
+        const title = resolution === 'merge' ? this.titleFor(mine, content) : mine.title;
+        
+        if (!theirs) {
+            // Bring a note deleted elsewhere back as a new note
+            this.removeLocalNote(id);
+            return await this.createNote(title, content, null, { customTitle: mine.customTitle });
+        }
+        
+        // Overwrite the server copy the user has now seen
+        this.baseVersions[id] = theirs.updatedAt;
+        return await this.updateNote(id, { title: title, content: content });
+    }
+
+    scheduleReplay() {
+        if (this.replayTimeout || navigator.onLine === false) {
+            return; // The online event will trigger the replay
+        }
+        
+        this.replayTimeout = setTimeout(() => {
+            this.replayTimeout = null;
+            this.replayQueue();
+        }, 30000);
+    }
+
+    isNetworkError(error) {
+        if (navigator.onLine === false) return true;
+        const message = (error && error.message) || '';
+        return error instanceof TypeError || /failed to fetch|network|load failed/i.test(message);
+    }
+
+    // Number of changes waiting to be sent for the signed-in user
+    getPendingCount() {
+        const user = this.auth && this.auth.getCurrentUser();
+        return user ? this.syncQueue.size(user.id) : 0;
+    }
+
+    notifyPendingChange() {
+        if (this.onPendingChange) {
+            this.onPendingChange(this.getPendingCount());
+        }
+    }
+
+    // Load notes from local storage
+    async loadNotesFromStorage() {
+        try {
+            const savedNotes = (await this.localStore.list()).map(note => NoteManager.cleanNote(note));
+            const savedActiveId = this.localStore.getActiveId();
+            
+            if (savedNotes.length > 0) {
+                this.notes = savedNotes;
+            }
+            await this.loadFolders();
+            this.reindex();
+            
+            const savedActiveNote = savedActiveId && this.getNoteById(savedActiveId);
+            if (savedActiveNote && !savedActiveNote.deletedAt) {
+                this.activeNoteId = savedActiveId;
+            } else {
+                this.activeNoteId = this.getFirstNoteId();
+            }
+
+            // If no notes exist, create a default one
+            if (this.notes.length === 0) {
+                await this.createNoteInStore(this.localStore, 'Welcome to takenote', '<p>Welcome to takenote! This is your first note.</p><p>You can:</p><ul><li>Format text with the toolbar</li><li>Create new notes</li><li>Upload and download files</li><li>Sign in to sync your notes across devices</li></ul>');
+            }
+            
+            // Trigger UI update
+            if (this.onNotesChange) {
+                this.onNotesChange();
+            }
+            
+            await this.purgeExpiredNotes();
+        } catch (error) {
+            console.warn('Failed to load notes from local storage:', error);
+            // Create default note on error
+            this.createNoteInStore(this.localStore, 'Welcome to takenote', '<p>Welcome to takenote! Start taking notes.</p>').catch(error => {
+                console.warn('Failed to create default note:', error);
+            });
+        }
+    }
+
+    // Load folders from the store for the current session
+    async loadFolders() {
+        try {
+            this.folders = await this.getStore().listFolders();
+        } catch (error) {
+            console.warn('Failed to load folders:', error);
+            this.folders = [];
+        }
+    }
+
+    // All folders, sorted by name
+    getFolders() {
+        return [...this.folders].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getFolderById(id) {
+        return this.folders.find(folder => folder.id === id);
+    }
+
+    async createFolder(name, parentId = null) {
+        const now = new Date().toISOString();
+        return await this.saveFolder({
+            id: 'folder_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: name,
+            parentId: parentId,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    async renameFolder(id, name) {
+        const folder = this.getFolderById(id);
+        if (!folder) return null;
+        
+        return await this.saveFolder({ ...folder, name: name, updatedAt: new Date().toISOString() });
+    }
+
+    async moveFolder(id, parentId) {
+        const folder = this.getFolderById(id);
+        if (!folder || folder.parentId === parentId) return folder || null;
+        
+        if (parentId && (parentId === id || this.isFolderInside(parentId, id))) {
+            throw new Error('A folder can\'t be moved into itself');
+        }
+        
+        return await this.saveFolder({ ...folder, parentId: parentId, updatedAt: new Date().toISOString() });
+    }
+
+    // Whether `folderId` is nested somewhere below `ancestorId`
+    isFolderInside(folderId, ancestorId) {
+        const seen = new Set();
+        let folder = this.getFolderById(folderId);
+        
+        while (folder && folder.parentId && !seen.has(folder.id)) {
+            if (folder.parentId === ancestorId) return true;
+            seen.add(folder.id);
+            folder = this.getFolderById(folder.parentId);
+        }
+        return false;
+    }
+
+    async saveFolder(folder) {
+        const saved = await this.getStore().putFolder(folder);
+        this.folders = this.folders.filter(existing => existing.id !== saved.id).concat(saved);
+        this.broadcastChange({ type: 'folders' });
+        
+        // Trigger UI update
+        if (this.onNotesChange) {
+            this.onNotesChange();
+        }
+        
+        return saved;
+    }
+
+    // Delete a folder, moving its notes and subfolders up into its parent
+    async deleteFolder(id) {
+        const folder = this.getFolderById(id);
+        if (!folder) return false;
+        
+        for (const child of this.folders.filter(child => child.parentId === id)) {
+            await this.saveFolder({ ...child, parentId: folder.parentId, updatedAt: new Date().toISOString() });
+        }
+        
+        for (const note of this.notes.filter(note => note.folderId === id)) {
+            await this.updateNote(note.id, { folderId: folder.parentId });
+        }
+        
+        await this.getStore().deleteFolder(id);
+        this.folders = this.folders.filter(existing => existing.id !== id);
+        this.broadcastChange({ type: 'folders' });
+        
+        // Trigger UI update
+        if (this.onNotesChange) {
+            this.onNotesChange();
+        }
+        
+        return true;
+    }
+
+    // Move a note into a folder (null for no folder)
+    async moveNote(noteId, folderId) {
+        return await this.updateNote(noteId, { folderId: folderId || null });
+    }
+
+    // Add or refresh a note in the search index (trashed notes aren't searchable)
+    indexNote(note) {
+        if (note.deletedAt) {
+            this.searchIndex.remove(note.id);
+        } else {
+            this.searchIndex.add(note, this.getNoteTags(note), this.getNoteText(note).text);
+        }
+    }
+
+    // Drop a note that's gone from the search index and the text cache
+    unindexNote(id) {
+        this.searchIndex.remove(id);
+        this.noteTexts.delete(id);
+    }
+
+    reindex() {
+        const ids = new Set(this.notes.map(note => note.id));
+        [...this.noteTexts.keys()].filter(id => !ids.has(id)).forEach(id => this.noteTexts.delete(id));
+        this.searchIndex.rebuild(this.getAllNotes(), note => this.getNoteTags(note), note => this.getNoteText(note).text);
+    }
+
+    // A note's plain text with the #tags and [[links]] written in it: { text, inlineTags, links }.
+    // Parsing the HTML is the slow part, so it's done again only when the content changes.
+    getNoteText(note) {
+        const cached = this.noteTexts.get(note.id);
+        if (cached && cached.content === note.content) {
+            return cached;
+        }
+        
+        const text = TextDiff.toPlainText(note.content);
+        const entry = {
+            content: note.content,
+            text: text,
+            inlineTags: NoteManager.findInlineTags(text),
+            links: NoteManager.findLinks(text)
+        };
+        this.noteTexts.set(note.id, entry);
+        return entry;
+    }
+
+    // Ranked search results, each with its note, title match ranges and a snippet
+    search(query) {
+        return this.searchIndex.search(query)
+            .map(result => ({ ...result, note: this.getNoteById(result.noteId) }))
+            .filter(result => result.note);
+    }
+
+    // Tag names are lowercase, without the leading #, with spaces turned into dashes
+    static normalizeTag(tag) {
+        return String(tag || '').trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+    }
+
+    // #tags written in a note's plain text
+    static findInlineTags(text) {
+        const tags = [];
+        for (const match of text.matchAll(/(^|\s)#([\p{L}\p{N}_-]+)/gu)) {
+            tags.push(NoteManager.normalizeTag(match[2]));
+        }
+        return [...new Set(tags)];
+    }
+
+    // A note's explicit tags plus the ones written inline
+    getNoteTags(note) {
+        return [...new Set([...(note.tags || []), ...this.getNoteText(note).inlineTags])];
+    }
+
+    // Every tag in use with the number of notes carrying it, sorted by name
+    getAllTags() {
+        const counts = {};
+        this.getAllNotes().forEach(note => {
+            this.getNoteTags(note).forEach(tag => {
+                counts[tag] = (counts[tag] || 0) + 1;
+            });
+        });
+        
+        return Object.keys(counts)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => ({ name, count: counts[name] }));
+    }
+
+    // Notes carrying all (mode 'and') or any (mode 'or') of the given tags
+    filterNotesByTags(notes, tags, mode = 'or') {
+        if (tags.length === 0) {
+            return notes;
+        }
+        
+        return notes.filter(note => {
+            const noteTags = this.getNoteTags(note);
+            return mode === 'and'
+                ? tags.every(tag => noteTags.includes(tag))
+                : tags.some(tag => noteTags.includes(tag));
+        });
+    }
+
+    async addTag(noteId, tag) {
+        const note = this.getNoteById(noteId);
+        const name = NoteManager.normalizeTag(tag);
+        if (!note || !name) return null;
+        
+        return await this.updateNote(noteId, { tags: [...new Set([...(note.tags || []), name])] });
+    }
+
+    // Remove an explicit tag (inline #tags go away when they're deleted from the text)
+    async removeTag(noteId, tag) {
+        const note = this.getNoteById(noteId);
+        if (!note) return null;
+        
+        return await this.updateNote(noteId, { tags: (note.tags || []).filter(existing => existing !== tag) });
+    }
+
+    // Rename a tag on every note, rewriting inline #tags too. Renaming to a tag
+    // that already exists merges the two. Returns the number of notes changed.
+    async renameTag(oldName, newName) {
+        const from = NoteManager.normalizeTag(oldName);
+        const to = NoteManager.normalizeTag(newName);
+        if (!from || !to || from === to) return 0;
+        
+        const affected = this.notes.filter(note => this.getNoteTags(note).includes(from));
+        for (const note of affected) {
+            const updates = {};
+            
+            if ((note.tags || []).includes(from)) {
+                updates.tags = [...new Set(note.tags.map(tag => tag === from ? to : tag))];
+            }
+            
+            const content = NoteManager.replaceInlineTag(note.content, from, to);
+            if (content !== note.content) {
+                updates.content = content;
+                updates.title = this.titleFor(note, content);
+            }
+            
+            await this.updateNote(note.id, updates);
+        }
+        
+        return affected.length;
+    }
+
+    // Swap inline #from tags for #to in note HTML, touching only text
+    static replaceInlineTag(content, from, to) {
+        const container = HtmlSanitizer.parse(content);
+        
+        const pattern = new RegExp(`(^|\\s)#${from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}_-])`, 'giu');
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        let changed = false;
+        
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const replaced = node.textContent.replace(pattern, `$1#${to}`);
+            if (replaced !== node.textContent) {
+                node.textContent = replaced;
+                changed = true;
+            }
+        }
+        
+        return changed ? container.innerHTML : content;
+    }
+
+    // A copy of a note with its HTML sanitized, for notes coming from storage, other
+    // devices or imports
+    static cleanNote(note) {
+        return { ...note, content: HtmlSanitizer.sanitize(note.content) };
+    }
+    
+    // Wiki links: [[Note title]] anywhere in a note's text links to the note with that title
+    static LINK_PATTERN = /\[\[([^\[\]\n]+?)\]\]/g;
+    
+    // Titles linked from a note's plain text, in order and without repeats
+    static findLinks(text) {
+        const titles = Array.from(text.matchAll(NoteManager.LINK_PATTERN), match => match[1].trim());
+        return [...new Set(titles)];
+    }
+    
+    static normalizeTitle(title) {
+        return (title || '').trim().toLowerCase();
+    }
+    
+    // The note a link points at (titles match case-insensitively), or undefined
+    findNoteByTitle(title) {
+        const wanted = NoteManager.normalizeTitle(title);
+        return this.getAllNotes().find(note => NoteManager.normalizeTitle(note.title) === wanted);
+    }
+    
+    // Notes linking to a note, each with a snippet around the first link: [{ note, snippet }]
+    getBacklinks(noteId) {
+        const target = this.getNoteById(noteId);
+        if (!target) return [];
+        
+        const wanted = NoteManager.normalizeTitle(target.title);
+        const backlinks = [];
+        
+        this.getAllNotes().forEach(note => {
+            if (note.id === noteId) return;
+            
+            const { text, links } = this.getNoteText(note);
+            if (!links.some(title => NoteManager.normalizeTitle(title) === wanted)) return;
+            
+            const ranges = Array.from(text.matchAll(NoteManager.LINK_PATTERN))
+                .filter(match => NoteManager.normalizeTitle(match[1]) === wanted)
+                .map(match => ({ start: match.index, end: match.index + match[0].length }));
+            
+            if (ranges.length > 0) {
+                backlinks.push({ note: note, snippet: SearchIndex.snippetAround(text, ranges) });
+            }
+        });
+        
+        return backlinks.sort((a, b) => new Date(b.note.updatedAt) - new Date(a.note.updatedAt));
+    }
+    
+    // Point [[oldTitle]] links at newTitle after a note was renamed. Links are left
+    // alone when the old title was a placeholder or still belongs to another note.
+    // Returns the number of notes changed.
+    async updateLinks(oldTitle, newTitle, renamedId) {
+        const untitled = NoteManager.normalizeTitle('Untitled Note');
+        if (NoteManager.normalizeTitle(oldTitle) === untitled || NoteManager.normalizeTitle(newTitle) === untitled) return 0;
+        if (NoteManager.normalizeTitle(oldTitle) === NoteManager.normalizeTitle(newTitle)) return 0;
+        if (this.findNoteByTitle(oldTitle)) return 0;
+        
+        const wanted = NoteManager.normalizeTitle(oldTitle);
+        let changed = 0;
+        
+        for (const note of this.getAllNotes()) {
+            if (note.id === renamedId) continue;
+            if (!this.getNoteText(note).links.some(title => NoteManager.normalizeTitle(title) === wanted)) continue;
+            
+            const content = NoteManager.replaceLinks(note.content, oldTitle, newTitle);
+            if (content !== note.content) {
+                await this.updateNote(note.id, { title: this.titleFor(note, content), content: content });
+                changed++;
+            }
+        }
+        
+        return changed;
+    }
+    
+    // Swap [[from]] links for [[to]] in note HTML, touching only text
+    static replaceLinks(content, from, to) {
+        const container = HtmlSanitizer.parse(content);
+        
+        const wanted = NoteManager.normalizeTitle(from);
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        let changed = false;
+        
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const replaced = node.textContent.replace(NoteManager.LINK_PATTERN, (link, title) =>
+                NoteManager.normalizeTitle(title) === wanted ? `[[${to}]]` : link
+            );
+            if (replaced !== node.textContent) {
+                node.textContent = replaced;
+                changed = true;
+            }
+        }
+        
+        return changed ? container.innerHTML : content;
+    }
+
+    // Local notes that aren't in the account yet. Backups of the account's own
+    // notes share their IDs, and notes the user chose to keep local are skipped.
+    findMigrationCandidates(localNotes) {
+        const declined = this.loadDeclinedMigrations();
+        return localNotes.filter(note =>
+            !this.getNoteById(note.id) &&
+            !this.remappedIds[note.id] &&
+            !declined.includes(note.id)
+        );
+    }
+
+    getMigrationCandidates() {
+        return [...this.migrationCandidates];
+    }
+
+    // Remember notes the user chose not to migrate so they aren't offered again
+    declineMigration(noteIds) {
+        const declined = [...new Set([...this.loadDeclinedMigrations(), ...noteIds])];
+        this.migrationCandidates = this.migrationCandidates.filter(note => !noteIds.includes(note.id));
+        
+        try {
+            window.localStorage.setItem('takenote-declined-migrations', JSON.stringify(declined));
+        } catch (error) {
+            console.warn('Failed to save declined migrations:', error);
+        }
+    }
+
+    loadDeclinedMigrations() {
+        try {
+            const saved = window.localStorage.getItem('takenote-declined-migrations');
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Short hash of a note's text, used to spot notes that are already in the account
+    static hashContent(content) {
+        const text = TextDiff.toPlainText(content).replace(/\s+/g, ' ').trim();
+        
+        // 32-bit FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    // Copy local notes into the signed-in account, keeping their timestamps.
+    // Notes whose content is already in the account are skipped.
+    // Returns { imported, duplicates, failed }.
+    async migrateToDatabase(notes, onProgress = null) {
+        const summary = { imported: 0, duplicates: 0, failed: 0 };
+        if (!this.auth.isAuthenticated()) {
+            return summary;
+        }
+
+        const user = this.auth.getCurrentUser();
+        console.log('Migrating', notes.length, 'notes to database for user', user.email);
+
+        const knownHashes = new Set(this.getAllNotes().map(note => NoteManager.hashContent(note.content)));
+        
+        for (const [index, note] of notes.entries()) {
+            const hash = NoteManager.hashContent(note.content);
+            
+            try {
+                if (knownHashes.has(hash)) {
+                    summary.duplicates++;
+                } else {
+                    const created = await this.writeRemote('create', note.id, note, () => this.remoteStore.create(note));
+                    if (created) {
+                        this.baseVersions[created.id] = created.updatedAt;
+                    }
+                    this.notes.push(created || note);
+                    this.indexNote(created || note);
+                    this.broadcastChange({ type: 'upsert', note: created || note });
+                    knownHashes.add(hash);
+                    summary.imported++;
+                }
+                
+                // The account copy replaces the local one (queued creates are cleaned up on replay)
+                if (!this.syncQueue.pending(user.id).some(operation => operation.noteId === note.id)) {
+                    await this.localStore.delete(note.id);
+                }
+            } catch (error) {
+                console.error('Failed to migrate note:', note.title, error);
+                summary.failed++;
+            }
+            
+            if (onProgress) {
+                onProgress(index + 1, notes.length);
+            }
+        }
+        
+        const migratedIds = notes.map(note => note.id);
+        this.migrationCandidates = this.migrationCandidates.filter(note => !migratedIds.includes(note.id));
+        
+        this.notes.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        this.saveNotesToStorage();
+        
+        if (this.onNotesChange) {
+            this.onNotesChange();
+        }
+        
+        return summary;
+    }
+
+    // Backups
+
+    static BACKUP_VERSION = 1;
+    static BACKUP_MANIFEST = 'manifest.json';
+
+    // ZIP of every note (trash included) as a Markdown or HTML file, plus a manifest with
+    // the folders and each note's ID, timestamps and metadata
+    async createBackup(format = 'markdown') {
+        const type = format === 'html' ? 'html' : 'markdown';
+        const extension = NoteExporter.FORMATS[type].extension;
+        const usedNames = new Set();
+        const files = [];
+
+        const notes = this.notes.map(note => {
+            // Notes with the same title get numbered file names
+            const base = this.sanitizeFilename(note.title) || 'note';
+            let name = `${base}${extension}`;
+            for (let n = 2; usedNames.has(name); n++) {
+                name = `${base}_${n}${extension}`;
+            }
+            usedNames.add(name);
+
+            const path = `${note.deletedAt ? 'trash' : 'notes'}/${name}`;
+            files.push({
+                name: path,
+                content: type === 'html' ? NoteExporter.toHtmlDocument(note) : NoteExporter.toMarkdown(note),
+                date: note.updatedAt
+            });
+
+            return {
+                id: note.id,
+                file: path,
+                title: note.title,
+                customTitle: !!note.customTitle,
+                folderId: note.folderId || null,
+                tags: note.tags || [],
+                createdAt: note.createdAt,
+                updatedAt: note.updatedAt,
+                deletedAt: note.deletedAt || null
+            };
+        });
+
+        const manifest = {
+            app: 'TakeNote',
+            version: NoteManager.BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            format: type,
+            folders: this.folders.map(folder => ({
+                id: folder.id,
+                name: folder.name,
+                parentId: folder.parentId || null,
+                createdAt: folder.createdAt,
+                updatedAt: folder.updatedAt
+            })),
+            notes: notes
+        };
+
+        files.unshift({ name: NoteManager.BACKUP_MANIFEST, content: JSON.stringify(manifest, null, 2) });
+        return await ZipArchive.create(files);
+    }
+
+    // Read a backup made by createBackup: { exportedAt, folders, notes }, where each note
+    // has its manifest metadata plus HTML `content`. Notes whose file is missing have
+    // `content: null`. Throws ZipFormatError if the file isn't a backup.
+    async readBackup(file) {
+        const entries = await ZipArchive.read(file);
+        const decoder = new TextDecoder();
+        const texts = new Map(entries.map(entry => [entry.name, entry.data]));
+
+        let manifest;
+        try {
+            manifest = JSON.parse(decoder.decode(texts.get(NoteManager.BACKUP_MANIFEST)));
+        } catch (error) {
+            manifest = null;
+        }
+        if (!manifest || !Array.isArray(manifest.notes)) {
+            throw new ZipFormatError('This file isn\'t a TakeNote backup.');
+        }
+        if (manifest.version > NoteManager.BACKUP_VERSION) {
+            throw new ZipFormatError('This backup was made by a newer version of TakeNote.');
+        }
+
+        const notes = manifest.notes.map(entry => {
+            const data = texts.get(entry.file);
+            let content = null;
+
+            if (data) {
+                const text = decoder.decode(data);
+                if (/\.html?$/i.test(entry.file)) {
+                    const page = new DOMParser().parseFromString(text, 'text/html');
+                    content = (page.querySelector('article') || page.body).innerHTML;
+                } else {
+                    content = MarkdownParser.parse(text).html;
+                }
+            }
+
+            return { ...entry, content: content };
+        });
+
+        return {
+            exportedAt: manifest.exportedAt || null,
+            folders: Array.isArray(manifest.folders) ? manifest.folders : [],
+            notes: notes
+        };
+    }
+
+    // Recreate the notes and folders from readBackup, keeping their timestamps. Notes that
+    // still exist (same ID) or have the same title and text as an existing note are skipped,
+    // and folders are matched by ID or by name under the same parent.
+    // Returns { imported, duplicates, failed }.
+    async restoreBackup(backup, onProgress = null) {
+        const summary = { imported: 0, duplicates: 0, failed: 0 };
+        const folderIds = await this.restoreBackupFolders(backup.folders);
+
+        const keyFor = (note) => `${NoteManager.normalizeTitle(note.title)}:${NoteManager.hashContent(note.content)}`;
+        const knownKeys = new Set(this.notes.map(keyFor));
+
+        for (const [index, entry] of backup.notes.entries()) {
+            try {
+                if (entry.content === null) {
+                    throw new Error(`Missing file ${entry.file}`);
+                }
+
+                const key = keyFor(entry);
+                if (this.getNoteById(entry.id) || this.remappedIds[entry.id] || knownKeys.has(key)) {
+                    summary.duplicates++;
+                } else {
+                    const now = new Date().toISOString();
+                    const note = {
+                        id: this.generateId(),
+                        title: entry.title || this.buildTitle(entry.content),
+                        customTitle: !!entry.customTitle,
+                        content: entry.content,
+                        folderId: folderIds.get(entry.folderId) || null,
+                        tags: Array.isArray(entry.tags) ? entry.tags.map(NoteManager.normalizeTag).filter(Boolean) : [],
+                        createdAt: entry.createdAt || now,
+                        updatedAt: entry.updatedAt || now,
+                        deletedAt: entry.deletedAt || null
+                    };
+
+                    await this.insertNote(note);
+                    knownKeys.add(key);
+                    summary.imported++;
+                }
+            } catch (error) {
+                console.error('Failed to restore note:', entry.title, error);
+                summary.failed++;
+            }
+
+            if (onProgress) {
+                onProgress(index + 1, backup.notes.length);
+            }
+        }
+
+        this.notes.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+        if (this.onNotesChange) {
+            this.onNotesChange();
+        }
+
+        return summary;
+    }
+
+    // Store a complete note (keeping its ID locally and its timestamps) without making it
+    // the active note. Callers notify onNotesChange once they're done.
+    async insertNote(note) {
+        note = NoteManager.cleanNote(note);
+        const store = this.getStore();
+        let saved;
+        if (store === this.localStore) {
+            saved = await store.create(note);
+        } else {
+            const created = await this.writeRemote('create', note.id, note, () => store.create(note));
+            if (created) {
+                this.baseVersions[created.id] = created.updatedAt;
+            }
+            saved = created || note;
+        }
+
+        this.notes.push(saved);
+        this.saveNotesToStorage(saved);
+        this.indexNote(saved);
+        this.broadcastChange({ type: 'upsert', note: saved });
+        return saved;
+    }
+
+    // Create notes read by NoteImporter in the given folder, keeping their dates.
+    // Returns { imported, failed, titles, errors, firstId } where errors are { file, message }.
+    async importNotes(drafts, folderId = null, onProgress = null) {
+        const summary = { imported: 0, failed: 0, titles: [], errors: [], firstId: null };
+
+        for (const [index, draft] of drafts.entries()) {
+            try {
+                const now = new Date().toISOString();
+                const title = (draft.title || '').trim();
+                const saved = await this.insertNote({
+                    id: this.generateId(),
+                    title: title || this.buildTitle(draft.content),
+                    customTitle: !!title,
+                    content: draft.content,
+                    folderId: folderId,
+                    tags: [...new Set((draft.tags || []).map(NoteManager.normalizeTag).filter(Boolean))],
+                    createdAt: draft.createdAt || draft.updatedAt || now,
+                    updatedAt: draft.updatedAt || draft.createdAt || now
+                });
+
+                summary.firstId = summary.firstId || saved.id;
+                summary.titles.push(saved.title);
+                summary.imported++;
+            } catch (error) {
+                console.error('Failed to import note:', draft.title, error);
+                summary.failed++;
+                summary.errors.push({ file: draft.file, message: `"${draft.title || 'Untitled'}" couldn't be saved` });
+            }
+
+            if (onProgress) {
+                onProgress(index + 1, drafts.length);
+            }
+        }
+
+        this.notes.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+        if (this.onNotesChange) {
+            this.onNotesChange();
+        }
+
+        return summary;
+    }
+
+    // Map of backup folder ID -> folder ID here, creating folders that don't exist yet
+    async restoreBackupFolders(folders) {
+        const folderIds = new Map();
+        let remaining = [...folders];
+
+        // Parents first, so children can be created inside them
+        while (remaining.length > 0) {
+            const ready = remaining.filter(folder =>
+                !folder.parentId || folderIds.has(folder.parentId) || !folders.some(other => other.id === folder.parentId)
+            );
+            if (ready.length === 0) break; // A cycle; leave those folders out
+
+            for (const folder of ready) {
+                const parentId = folderIds.get(folder.parentId) || null;
+                const existing = this.getFolderById(folder.id) || this.folders.find(other =>
+                    (other.parentId || null) === parentId && other.name.toLowerCase() === String(folder.name).toLowerCase()
+                );
+
+                try {
+                    const restored = existing || await this.createFolder(String(folder.name), parentId);
+                    folderIds.set(folder.id, restored.id);
+                } catch (error) {
+                    console.error('Failed to restore folder:', folder.name, error);
+                }
+            }
+            remaining = remaining.filter(folder => !ready.includes(folder));
+        }
+
+        return folderIds;
+    }
+
+    // Export note as text
+    exportNoteAsText(id) {
+        const note = this.getNoteById(id);
+        if (!note) return null;
+        
         // Convert HTML to plain text
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = content;
-        const plainText = tempDiv.textContent || tempDiv.innerText || '';
+        const plainText = HtmlSanitizer.parse(note.content).textContent;
+        
+        return {
+            title: note.title,
+            content: plainText,
+            filename: this.sanitizeFilename(note.title) + '.txt'
+        };
+    }
+
+    // Export a note as 'markdown', 'html' or 'text': { title, content, filename, mimeType }
+    exportNote(id, format = 'markdown') {
+        const note = this.getNoteById(id);
+        if (!note) return null;
+
+        const type = NoteExporter.FORMATS[format];
+        if (!type || !type.mimeType) {
+            throw new Error(`Notes can't be exported as "${format}".`);
+        }
+
+        let content;
+        if (format === 'markdown') {
+            content = NoteExporter.toMarkdown(note);
+        } else if (format === 'html') {
+            content = NoteExporter.toHtmlDocument(note);
+        } else {
+            content = this.exportNoteAsText(id).content;
+        }
+
+        return {
+            title: note.title,
+            content: content,
+            filename: this.sanitizeFilename(note.title) + type.extension,
+            mimeType: type.mimeType
+        };
+    }
+
+    // Sanitize filename
+    sanitizeFilename(filename) {
+        return filename.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    }
+
+    // Import text content; Markdown files (.md, .markdown) are converted to formatted notes
+    async importTextContent(content, filename = '', folderId = null) {
+        if (/\.(md|markdown)$/i.test(filename)) {
+            return await this.importMarkdown(content, folderId);
+        }
+        
+        const title = filename ? filename.replace(/\.[^/.]+$/, '') : 'Imported Note';
+        
+        // Convert plain text to HTML paragraphs, in batches so long files don't freeze the page
+        const htmlContent = await TextFileReader.toParagraphs(content);
+        
+        return await this.createNote(title, htmlContent || '<p></p>', folderId);
+    }
+
+    // Create a note from Markdown. A front-matter `title` becomes the note's own title and
+    // `tags` (a list, or separated by commas or spaces) its tags.
+    async importMarkdown(markdown, folderId = null) {
+        const { html, frontMatter } = await MarkdownParser.parseInBatches(markdown);
+        const content = html || '<p><br></p>';
+        
+        const title = typeof frontMatter.title === 'string' ? frontMatter.title.trim() : '';
+        const rawTags = frontMatter.tags ?? frontMatter.keywords ?? [];
+        const tagList = Array.isArray(rawTags)
+            ? rawTags
+            : String(rawTags).split(String(rawTags).includes(',') ? ',' : /\s+/);
+        const tags = tagList
+            .map(tag => NoteManager.normalizeTag(tag))
+            .filter(Boolean);
+        
+        return await this.createNote(title || this.buildTitle(content), content, folderId, {
+            customTitle: !!title,
+            tags: [...new Set(tags)]
+        });
+    }
+
+    // Escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Get note statistics
+    getNoteStats(content) {
+        if (!content) {
+            return { words: 0, characters: 0, sentences: 0 };
+        }
+        
+        // Convert HTML to plain text
+        const plainText = HtmlSanitizer.parse(content).textContent;
         
         const characters = plainText.length;
         const words = plainText.trim() ? plainText.trim().split(/\s+/).length : 0;
@@ -507,10 +1737,6 @@ class NoteManager {
 
     // Auto-save functionality
     async autoSaveNote(id, content, debounceMs = 2000) {
-        if (!this.auth.isAuthenticated()) {
-            return;
-        }
-
         // Clear existing timeout
         if (this.autoSaveTimeout) {
             clearTimeout(this.autoSaveTimeout);
@@ -526,6 +1752,124 @@ class NoteManager {
         }, debounceMs);
     }
 
-    // Event callback (set by external code)
+    // Tell other tabs about a local change: { type: 'upsert', note }, { type: 'delete', noteId }
+    // or { type: 'folders' } when the folder tree changed
+    broadcastChange(change) {
+        try {
+            this.channel.publish({ ...change, userId: this.getSyncUserId() });
+        } catch (error) {
+            console.warn('Failed to notify other tabs:', error);
+        }
+    }
+
+    // Whose notes this tab is showing: the signed-in user's, or null for local notes
+    getSyncUserId() {
+        const user = this.auth && this.auth.getCurrentUser();
+        return this.useDatabase && user ? user.id : null;
+    }
+
+    // Listen for changes other devices make to the signed-in user's notes
+    subscribeToRemote() {
+        if (this.unsubscribeRemote) {
+            this.unsubscribeRemote();
+            this.unsubscribeRemote = null;
+        }
+        
+        if (!this.useDatabase || !this.auth.isAuthenticated()) {
+            return;
+        }
+        
+        try {
+            this.unsubscribeRemote = this.remoteStore.subscribe(change => this.applyExternalChange(change, true));
+        } catch (error) {
+            console.warn('Failed to subscribe to remote changes:', error);
+        }
+    }
+
+    // Apply a change made in another tab, or on another device when `fromServer` is set.
+    // The active note only gets its title and trash state updated so the editor isn't
+    // overwritten mid-edit; a later save of it goes through normal conflict detection.
+    applyExternalChange(change, fromServer = false) {
+        if (!fromServer && change.userId !== this.getSyncUserId()) {
+            return;
+        }
+        
+        if (change.type === 'folders') {
+            this.loadFolders().then(() => {
+                if (this.onNotesChange) {
+                    this.onNotesChange();
+                }
+            });
+            return;
+        }
+        
+        if (change.type === 'delete') {
+            const id = this.remappedIds[change.noteId] || change.noteId;
+            if (!this.getNoteById(id)) {
+                return;
+            }
+            
+            if (fromServer) {
+                delete this.baseVersions[id];
+                this.removeBackup(id);
+            }
+            this.notes = this.notes.filter(note => note.id !== id);
+            this.unindexNote(id);
+        } else {
+            const incoming = NoteManager.cleanNote(change.note);
+            const existing = this.getNoteById(incoming.id);
+            
+            // Ignore our own changes coming back, and anything older than what we have. The
+            // server's copy of a version another tab already sent us is our base from now on.
+            if (existing && new Date(existing.updatedAt) >= new Date(incoming.updatedAt)) {
+                const base = this.baseVersions[incoming.id];
+                if (fromServer && (!base || new Date(base) < new Date(incoming.updatedAt))) {
+                    this.baseVersions[incoming.id] = incoming.updatedAt;
+                }
+                return;
+            }
+            
+            if (!existing) {
+                if (fromServer) {
+                    this.baseVersions[incoming.id] = incoming.updatedAt;
+                }
+                this.notes.unshift({ ...incoming });
+            } else if (incoming.id === this.activeNoteId || this.conflicts[incoming.id]) {
+                Object.assign(existing, {
+                    title: incoming.title,
+                    customTitle: !!incoming.customTitle,
+                    deletedAt: incoming.deletedAt || null
+                });
+            } else {
+                if (fromServer) {
+                    this.baseVersions[incoming.id] = incoming.updatedAt;
+                }
+                this.notes[this.notes.indexOf(existing)] = { ...incoming };
+            }
+            this.indexNote(this.getNoteById(incoming.id));
+        }
+        
+        // Move off the active note if it was deleted or trashed elsewhere
+        const activeNote = this.getActiveNote();
+        if (!activeNote || activeNote.deletedAt) {
+            this.activeNoteId = this.getFirstNoteId();
+        }
+        
+        if (this.onExternalChange) {
+            this.onExternalChange(change);
+        }
+        
+        // Trigger UI update
+        if (this.onNotesChange) {
+            this.onNotesChange();
+        }
+    }
+
+    // Event callbacks (set by external code)
     onNotesChange = null;
+    onStorageError = null;
+    onPendingChange = null;
+    onNoteIdChange = null;
+    onConflict = null;
+    onExternalChange = null;
 }
\ No newline at end of file
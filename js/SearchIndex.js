@@ -0,0 +1,306 @@
+/**
+ * SearchIndex.js
+ * Inverted index over note titles and text, with phrase, prefix and tag/date operator queries
+ */
+
+class SearchIndex {
+    static TITLE_WEIGHT = 3; // A title hit counts as much as this many body hits
+    static PREFIX_WEIGHT = 0.5; // Prefix matches rank below whole-word matches
+    static SNIPPET_RADIUS = 60; // Characters of context either side of a match
+
+    constructor() {
+        this.documents = new Map(); // Note ID -> indexed fields
+        this.postings = new Map(); // Term -> Map(note ID -> { title, body } hit counts)
+        this.sortedTerms = null; // Terms of `postings` in order, for prefix lookups; rebuilt when needed
+    }
+
+    // Lowercase word tokens of a piece of text
+    static tokenize(text) {
+        return (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    }
+
+    // Replace the whole index
+    rebuild(notes, getTags = () => [], getText = note => TextDiff.toPlainText(note.content)) {
+        this.documents.clear();
+        this.postings.clear();
+        this.sortedTerms = null;
+        notes.forEach(note => this.add(note, getTags(note), getText(note)));
+    }
+
+    // Add or refresh one note; `text` is its plain text, if already at hand
+    add(note, tags = [], text = TextDiff.toPlainText(note.content)) {
+        this.remove(note.id);
+
+        const titleTerms = SearchIndex.tokenize(note.title);
+        const bodyTerms = SearchIndex.tokenize(text);
+
+        this.documents.set(note.id, {
+            id: note.id,
+            title: note.title || '',
+            text: text,
+            tags: tags,
+            updatedAt: note.updatedAt,
+            length: titleTerms.length + bodyTerms.length
+        });
+
+        const count = (terms, field) => terms.forEach(term => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+                this.sortedTerms = null;
+            }
+            const hits = this.postings.get(term);
+            const entry = hits.get(note.id) || { title: 0, body: 0 };
+            entry[field]++;
+            hits.set(note.id, entry);
+        });
+        count(titleTerms, 'title');
+        count(bodyTerms, 'body');
+    }
+
+    remove(noteId) {
+        const indexed = this.documents.get(noteId);
+        if (!indexed) return;
+
+        const terms = new Set([...SearchIndex.tokenize(indexed.title), ...SearchIndex.tokenize(indexed.text)]);
+        terms.forEach(term => {
+            const hits = this.postings.get(term);
+            if (!hits) return;
+            hits.delete(noteId);
+            if (hits.size === 0) {
+                this.postings.delete(term);
+                this.sortedTerms = null;
+            }
+        });
+        this.documents.delete(noteId);
+    }
+
+    // Split a query into words, "quoted phrases" and tag:/before:/after: operators
+    static parseQuery(query) {
+        const parsed = { terms: [], phrases: [], tags: [], before: null, after: null };
+
+        const withoutPhrases = (query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+            const terms = SearchIndex.tokenize(phrase);
+            if (terms.length > 0) {
+                parsed.phrases.push(terms);
+            }
+            return ' ';
+        });
+
+        withoutPhrases.split(/\s+/).filter(Boolean).forEach(word => {
+            const operator = word.match(/^(tag|before|after):(.+)$/i);
+            if (!operator) {
+                parsed.terms.push(...SearchIndex.tokenize(word));
+                return;
+            }
+
+            const [, name, value] = operator;
+            if (name.toLowerCase() === 'tag') {
+                parsed.tags.push(value.replace(/^#/, '').toLowerCase());
+                return;
+            }
+
+            const date = new Date(value);
+            if (isNaN(date)) {
+                parsed.terms.push(...SearchIndex.tokenize(word));
+            } else if (name.toLowerCase() === 'before') {
+                parsed.before = date;
+            } else {
+                // "after:2024-05-01" means from the day after
+                parsed.after = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+            }
+        });
+
+        return parsed;
+    }
+
+    // Ranked results: [{ noteId, score, titleRanges, snippet: [{ text, match }] }].
+    // Every word has to match, either whole or as the start of a word, as do all phrases and operators.
+    search(query) {
+        const parsed = SearchIndex.parseQuery(query);
+        const words = [...parsed.terms, ...parsed.phrases.flat()];
+        const hasFilters = parsed.tags.length > 0 || parsed.before || parsed.after;
+        if (words.length === 0 && !hasFilters) {
+            return [];
+        }
+
+        let candidates = null; // Note ID -> score
+        words.forEach((word, index) => {
+            const scores = this.scoreTerm(word, index < parsed.terms.length);
+            candidates = candidates === null
+                ? scores
+                : new Map([...candidates].filter(([id]) => scores.has(id)).map(([id, score]) => [id, score + scores.get(id)]));
+        });
+
+        if (candidates === null) {
+            candidates = new Map([...this.documents.keys()].map(id => [id, 0]));
+        }
+
+        const results = [];
+        candidates.forEach((score, noteId) => {
+            const indexed = this.documents.get(noteId);
+            if (!this.matchesFilters(indexed, parsed)) return;
+
+            const searchable = `${indexed.title}\n${indexed.text}`.toLowerCase();
+            if (!parsed.phrases.every(phrase => SearchIndex.findPhrase(searchable, phrase) !== -1)) return;
+
+            results.push({
+                noteId: noteId,
+                score: score + parsed.phrases.length * SearchIndex.TITLE_WEIGHT,
+                updatedAt: indexed.updatedAt,
+                titleRanges: SearchIndex.findMatches(indexed.title, parsed),
+                snippet: SearchIndex.buildSnippet(indexed.text, parsed)
+            });
+        });
+
+        // Best match first, most recently updated breaking ties
+        return results.sort((a, b) => b.score - a.score || new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    // TF-IDF style score of every note containing `word` (or a word starting with it)
+    scoreTerm(word, allowPrefix) {
+        const scores = new Map();
+        const total = Math.max(this.documents.size, 1);
+        const terms = allowPrefix ? this.termsStartingWith(word) : (this.postings.has(word) ? [word] : []);
+
+        terms.forEach(term => {
+            const hits = this.postings.get(term);
+            const exact = term === word;
+            const idf = Math.log(1 + total / hits.size);
+            const weight = exact ? 1 : SearchIndex.PREFIX_WEIGHT;
+            hits.forEach((entry, noteId) => {
+                const length = this.documents.get(noteId).length || 1;
+                const frequency = (entry.title * SearchIndex.TITLE_WEIGHT + entry.body) / Math.sqrt(length);
+                scores.set(noteId, Math.max(scores.get(noteId) || 0, frequency * idf * weight));
+            });
+        });
+
+        return scores;
+    }
+
+    // Indexed terms starting with `prefix` (the term itself included), found by binary
+    // search in the sorted terms
+    termsStartingWith(prefix) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = [...this.postings.keys()].sort();
+        }
+        const terms = this.sortedTerms;
+
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (terms[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const matches = [];
+        for (let index = low; index < terms.length && terms[index].startsWith(prefix); index++) {
+            matches.push(terms[index]);
+        }
+        return matches;
+    }
+
+    matchesFilters(indexed, parsed) {
+        const updatedAt = new Date(indexed.updatedAt);
+        return parsed.tags.every(tag => indexed.tags.includes(tag)) &&
+            (!parsed.before || updatedAt < parsed.before) &&
+            (!parsed.after || updatedAt >= parsed.after);
+    }
+
+    // Position of a phrase (a list of words) in lowercase text, or -1
+    static findPhrase(text, phrase) {
+        const pattern = new RegExp(phrase.map(SearchIndex.escapeRegExp).join('[^\\p{L}\\p{N}_]+'), 'u');
+        const match = pattern.exec(text);
+        return match ? match.index : -1;
+    }
+
+    // Global RegExp matching the words (as prefixes) and phrases of a query, or null
+    static buildPattern(query) {
+        const parsed = typeof query === 'string' ? SearchIndex.parseQuery(query) : query;
+        const patterns = [
+            ...parsed.phrases.map(phrase => phrase.map(SearchIndex.escapeRegExp).join('[^\\p{L}\\p{N}_]+')),
+            ...parsed.terms.map(term => `${SearchIndex.escapeRegExp(term)}[\\p{L}\\p{N}_]*`)
+        ];
+        if (patterns.length === 0) {
+            return null;
+        }
+
+        return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${patterns.join('|')})`, 'giu');
+    }
+
+    // Ranges ({ start, end }) in `text` matching the query's words and phrases
+    static findMatches(text, parsed) {
+        const pattern = SearchIndex.buildPattern(parsed);
+        if (!pattern) {
+            return [];
+        }
+
+        const ranges = [];
+        for (const match of (text || '').matchAll(pattern)) {
+            if (match[0].length > 0) {
+                ranges.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+        return ranges;
+    }
+
+    // A window of text around the first match, split into matching and plain parts
+    static buildSnippet(text, parsed) {
+        return SearchIndex.snippetAround(text, SearchIndex.findMatches(text, parsed));
+    }
+
+    // A window of text around the first of the given { start, end } ranges, split into
+    // highlighted and plain parts
+    static snippetAround(text, ranges) {
+        ranges = SearchIndex.mergeRanges(ranges);
+        const radius = SearchIndex.SNIPPET_RADIUS;
+        const first = ranges.length > 0 ? ranges[0].start : 0;
+
+        let start = Math.max(0, first - radius);
+        let end = Math.min(text.length, first + radius * 2);
+        // Don't cut words in half
+        while (start > 0 && /\S/.test(text[start - 1])) start--;
+        while (end < text.length && /\S/.test(text[end])) end++;
+
+        const parts = [];
+        let position = start;
+        ranges
+            .filter(range => range.start >= start && range.end <= end)
+            .forEach(range => {
+                if (range.start > position) {
+                    parts.push({ text: text.slice(position, range.start), match: false });
+                }
+                parts.push({ text: text.slice(range.start, range.end), match: true });
+                position = range.end;
+            });
+        if (position < end) {
+            parts.push({ text: text.slice(position, end), match: false });
+        }
+
+        if (start > 0) parts.unshift({ text: '…', match: false });
+        if (end < text.length) parts.push({ text: '…', match: false });
+
+        return parts.map(part => ({ ...part, text: part.text.replace(/\s+/g, ' ') }));
+    }
+
+    // Ranges in order, with overlapping and touching ones joined so no text is repeated
+    static mergeRanges(ranges) {
+        const merged = [];
+        [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ start: range.start, end: range.end });
+            }
+        });
+        return merged;
+    }
+
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
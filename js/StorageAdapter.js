@@ -0,0 +1,134 @@
+/**
+ * StorageAdapter.js
+ * Base interface for note storage backends used by NoteManager
+ */
+
+// Raised when the browser refuses to store any more note data
+class StorageQuotaError extends Error {
+    constructor(message = 'Local storage is full. Delete some notes or sign in to keep saving your changes.') {
+        super(message);
+        this.name = 'StorageQuotaError';
+    }
+}
+
+// Raised when a note changed on the server since we last loaded it.
+// `serverNote` is the current server copy, or null if the note was deleted there.
+class NoteConflictError extends Error {
+    constructor(serverNote) {
+        super('This note was changed on another device');
+        this.name = 'NoteConflictError';
+        this.serverNote = serverNote;
+    }
+}
+
+class StorageAdapter {
+    // List all stored notes, most recently created or updated first
+    async list() {
+        throw new Error(`${this.constructor.name} does not implement list()`);
+    }
+
+    // Read a single note by ID, or null if it doesn't exist
+    async read(id) {
+        throw new Error(`${this.constructor.name} does not implement read()`);
+    }
+
+    // Store a new note and return it (backends may assign their own ID)
+    async create(note) {
+        throw new Error(`${this.constructor.name} does not implement create()`);
+    }
+
+    // Apply updates to a note and return the stored result, or null if missing.
+    // Backends that support it reject the update with a NoteConflictError when
+    // `options.expectedUpdatedAt` no longer matches the stored note.
+    async update(id, updates, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement update()`);
+    }
+
+    // Delete a note, returning true if something was removed
+    async delete(id) {
+        throw new Error(`${this.constructor.name} does not implement delete()`);
+    }
+
+    // Insert or replace a single note as-is (used to keep a local backup in sync)
+    async put(note) {
+        throw new Error(`${this.constructor.name} does not implement put()`);
+    }
+
+    // Insert or replace several notes at once, leaving the other stored notes alone
+    // (used to keep a local backup in sync without touching notes only kept locally)
+    async putAll(notes) {
+        throw new Error(`${this.constructor.name} does not implement putAll()`);
+    }
+
+    // List saved revisions of a note, newest first
+    async listRevisions(noteId) {
+        throw new Error(`${this.constructor.name} does not implement listRevisions()`);
+    }
+
+    // Store a revision snapshot ({ id, noteId, title, content, words, createdAt }) and return it
+    async addRevision(revision) {
+        throw new Error(`${this.constructor.name} does not implement addRevision()`);
+    }
+
+    async deleteRevision(id) {
+        throw new Error(`${this.constructor.name} does not implement deleteRevision()`);
+    }
+
+    // List every folder ({ id, name, parentId, createdAt, updatedAt })
+    async listFolders() {
+        throw new Error(`${this.constructor.name} does not implement listFolders()`);
+    }
+
+    // Insert or replace a folder and return it
+    async putFolder(folder) {
+        throw new Error(`${this.constructor.name} does not implement putFolder()`);
+    }
+
+    async deleteFolder(id) {
+        throw new Error(`${this.constructor.name} does not implement deleteFolder()`);
+    }
+
+    // Listen for changes made to the stored notes by other clients.
+    // `onChange` receives { type: 'upsert', note } or { type: 'delete', noteId }.
+    // Returns a function that stops listening; backends without live updates never call it.
+    subscribe(onChange) {
+        return () => {};
+    }
+
+    // Active note ID persistence (kept in memory unless a backend overrides it)
+    getActiveId() {
+        return this.activeId || null;
+    }
+
+    setActiveId(id) {
+        this.activeId = id || null;
+    }
+
+    // Check whether a browser storage error means we ran out of space
+    static isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+
+    // Build the local and remote stores for the configured backend
+    static createStores(config = {}, auth = null) {
+        if (config.storageBackend === 'memory') {
+            return {
+                localStore: new MemoryStorageAdapter(),
+                remoteStore: new MemoryStorageAdapter(),
+                syncQueue: new SyncQueue(null),
+                channel: SyncChannel.create(config)
+            };
+        }
+
+        return {
+            localStore: IndexedDBStorageAdapter.isSupported() ? new IndexedDBStorageAdapter() : new LocalStorageAdapter(),
+            remoteStore: new SupabaseStorageAdapter(window.supabase, auth),
+            syncQueue: new SyncQueue(),
+            channel: SyncChannel.create(config)
+        };
+    }
+}
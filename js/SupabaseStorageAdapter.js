@@ -0,0 +1,288 @@
+/**
+ * SupabaseStorageAdapter.js
+ * Note storage backed by the Supabase `notes` table for the signed-in user,
+ * with revision snapshots in `note_revisions` (see supabase/migrations for the schema)
+ */
+
+class SupabaseStorageAdapter extends StorageAdapter {
+    constructor(client, auth) {
+        super();
+        this.client = client;
+        this.auth = auth;
+    }
+
+    getUserId() {
+        const user = this.auth && this.auth.getCurrentUser();
+        if (!user) {
+            throw new Error('User must be authenticated to access notes');
+        }
+        return user.id;
+    }
+
+    // Convert database format to local format
+    fromRow(row) {
+        return {
+            id: row.id,
+            title: row.title,
+            customTitle: !!row.custom_title,
+            content: row.content,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            deletedAt: row.deleted_at || null,
+            folderId: row.folder_id || null,
+            tags: row.tags || []
+        };
+    }
+
+    // Convert local format to database columns
+    toRow(note) {
+        const row = {};
+        if (note.title !== undefined) row.title = note.title;
+        if (note.customTitle !== undefined) row.custom_title = note.customTitle;
+        if (note.content !== undefined) row.content = note.content;
+        if (note.deletedAt !== undefined) row.deleted_at = note.deletedAt;
+        if (note.folderId !== undefined) row.folder_id = note.folderId;
+        if (note.tags !== undefined) row.tags = note.tags;
+        return row;
+    }
+
+    async list() {
+        const { data, error } = await this.client
+            .from('notes')
+            .select('*')
+            .eq('user_id', this.getUserId())
+            .order('updated_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data.map(row => this.fromRow(row));
+    }
+
+    async read(id) {
+        const { data, error } = await this.client
+            .from('notes')
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', this.getUserId())
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ? this.fromRow(data) : null;
+    }
+
+    async create(note) {
+        const { data, error } = await this.client
+            .from('notes')
+            .insert({
+                user_id: this.getUserId(),
+                ...this.toRow(note),
+                // Keep original timestamps, e.g. for notes migrated from this device
+                ...(note.createdAt && { created_at: note.createdAt }),
+                ...(note.updatedAt && { updated_at: note.updatedAt })
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return this.fromRow(data);
+    }
+
+    async update(id, updates, options = {}) {
+        let query = this.client
+            .from('notes')
+            .update({
+                ...this.toRow(updates),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .eq('user_id', this.getUserId());
+
+        // Only overwrite the version we loaded; anything newer is a conflict
+        if (options.expectedUpdatedAt) {
+            query = query.eq('updated_at', options.expectedUpdatedAt);
+        }
+
+        const { data, error } = await query.select();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data || data.length === 0) {
+            // Either the row changed since we loaded it or it no longer exists
+            throw new NoteConflictError(await this.read(id));
+        }
+
+        return this.fromRow(data[0]);
+    }
+
+    async delete(id) {
+        const { error } = await this.client
+            .from('notes')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', this.getUserId());
+
+        if (error) {
+            throw error;
+        }
+
+        return true;
+    }
+
+    async put(note) {
+        throw new Error('SupabaseStorageAdapter does not support storing notes as-is');
+    }
+
+    async putAll(notes) {
+        throw new Error('SupabaseStorageAdapter does not support storing notes as-is');
+    }
+
+    fromRevisionRow(row) {
+        return {
+            id: row.id,
+            noteId: row.note_id,
+            title: row.title,
+            content: row.content,
+            words: row.word_count,
+            createdAt: row.created_at
+        };
+    }
+
+    async listRevisions(noteId) {
+        const { data, error } = await this.client
+            .from('note_revisions')
+            .select('*')
+            .eq('note_id', noteId)
+            .eq('user_id', this.getUserId())
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data.map(row => this.fromRevisionRow(row));
+    }
+
+    async addRevision(revision) {
+        const { data, error } = await this.client
+            .from('note_revisions')
+            .insert({
+                user_id: this.getUserId(),
+                note_id: revision.noteId,
+                title: revision.title,
+                content: revision.content,
+                word_count: revision.words,
+                created_at: revision.createdAt
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return this.fromRevisionRow(data);
+    }
+
+    async deleteRevision(id) {
+        const { error } = await this.client
+            .from('note_revisions')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', this.getUserId());
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    fromFolderRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            parentId: row.parent_id || null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async listFolders() {
+        const { data, error } = await this.client
+            .from('folders')
+            .select('*')
+            .eq('user_id', this.getUserId());
+
+        if (error) {
+            throw error;
+        }
+
+        return data.map(row => this.fromFolderRow(row));
+    }
+
+    async putFolder(folder) {
+        const { data, error } = await this.client
+            .from('folders')
+            .upsert({
+                id: folder.id,
+                user_id: this.getUserId(),
+                name: folder.name,
+                parent_id: folder.parentId,
+                created_at: folder.createdAt,
+                updated_at: folder.updatedAt
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return this.fromFolderRow(data);
+    }
+
+    async deleteFolder(id) {
+        const { error } = await this.client
+            .from('folders')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', this.getUserId());
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    // Realtime changes to the user's notes. Deletes only carry the row's ID, and are
+    // only filtered by user when the table's replica identity is set to FULL.
+    subscribe(onChange) {
+        const userId = this.getUserId();
+        const channel = this.client
+            .channel(`notes-${userId}`)
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: 'notes',
+                filter: `user_id=eq.${userId}`
+            }, (payload) => {
+                if (payload.eventType === 'DELETE') {
+                    onChange({ type: 'delete', noteId: payload.old.id });
+                } else {
+                    onChange({ type: 'upsert', note: this.fromRow(payload.new) });
+                }
+            })
+            .subscribe();
+
+        return () => {
+            this.client.removeChannel(channel);
+        };
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * SyncChannel.js
+ * Base interface for channels that tell other open tabs about note changes
+ */
+
+class SyncChannel {
+    constructor(name = 'takenote-sync') {
+        this.name = name;
+        this.listeners = [];
+    }
+
+    // Send a message to every other tab on this channel
+    publish(message) {
+        throw new Error(`${this.constructor.name} does not implement publish()`);
+    }
+
+    // Listen for messages from other tabs; returns a function that stops listening
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(existing => existing !== listener);
+        };
+    }
+
+    close() {
+        this.listeners = [];
+    }
+
+    // Hand a received message to every listener
+    dispatch(message) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('Sync listener failed:', error);
+            }
+        });
+    }
+
+    // Build the channel for the configured backend
+    static create(config = {}) {
+        if (config.storageBackend === 'memory') {
+            return new MemorySyncChannel();
+        }
+        return new BroadcastSyncChannel();
+    }
+}
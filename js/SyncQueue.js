@@ -0,0 +1,109 @@
+/**
+ * SyncQueue.js
+ * Persistent outbox of note changes waiting to be sent to the remote store
+ */
+
+class SyncQueue {
+    constructor(storage = window.localStorage, key = 'takenote-outbox') {
+        this.storage = storage;
+        this.key = key;
+        this.operations = this.load();
+    }
+
+    load() {
+        try {
+            const saved = this.storage ? this.storage.getItem(this.key) : null;
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.warn('Failed to load pending changes:', error);
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.operations));
+        } catch (error) {
+            throw StorageAdapter.isQuotaError(error) ? new StorageQuotaError() : error;
+        }
+    }
+
+    // Pending operations for a user, oldest first
+    pending(userId) {
+        return this.operations.filter(operation => operation.userId === userId);
+    }
+
+    size(userId) {
+        return this.pending(userId).length;
+    }
+
+    // Queue a create/update/delete, folding it into earlier changes to the same note.
+    // `baseUpdatedAt` is the server version the change was made against.
+    enqueue(type, noteId, userId, data = null, baseUpdatedAt = null) {
+        const earlier = this.operations.filter(operation =>
+            operation.noteId === noteId && operation.userId === userId
+        );
+        const last = earlier[earlier.length - 1];
+
+        if (type === 'update' && last && last.type !== 'delete') {
+            // Merge into the pending create/update so only the latest content is sent
+            last.data = { ...last.data, ...data };
+            this.save();
+            return last;
+        }
+
+        if (type === 'delete') {
+            this.operations = this.operations.filter(operation => !earlier.includes(operation));
+
+            // A note that never reached the server doesn't need deleting there
+            if (earlier.some(operation => operation.type === 'create')) {
+                this.save();
+                return null;
+            }
+        }
+
+        const operation = {
+            id: 'op_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            type: type,
+            noteId: noteId,
+            userId: userId,
+            data: data,
+            baseUpdatedAt: baseUpdatedAt,
+            queuedAt: new Date().toISOString()
+        };
+
+        this.operations.push(operation);
+        this.save();
+        return operation;
+    }
+
+    // Remove and return the oldest pending operation for a user
+    take(userId) {
+        const operation = this.operations.find(operation => operation.userId === userId);
+        if (!operation) {
+            return null;
+        }
+
+        this.operations = this.operations.filter(existing => existing !== operation);
+        this.save();
+        return operation;
+    }
+
+    // Put an operation back at the front of the queue (e.g. after a failed replay)
+    restore(operation) {
+        this.operations.unshift(operation);
+        this.save();
+    }
+
+    // Point queued changes for a locally created note at its server ID
+    remapNoteId(oldId, newId) {
+        this.operations.forEach(operation => {
+            if (operation.noteId === oldId) {
+                operation.noteId = newId;
+            }
+        });
+        this.save();
+    }
+}
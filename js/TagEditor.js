@@ -0,0 +1,94 @@
+/**
+ * TagEditor.js
+ * Tag chips for the open note: explicit tags can be added and removed, inline #tags are shown read-only
+ */
+
+class TagEditor {
+    constructor() {
+        this.elements = {
+            container: document.getElementById('tag-editor'),
+            list: document.getElementById('tag-editor-list'),
+            input: document.getElementById('tag-editor-input'),
+            suggestions: document.getElementById('tag-suggestions')
+        };
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.elements.input?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.submit();
+            } else if (e.key === 'Backspace' && !this.elements.input.value) {
+                // Backspace in an empty input removes the last explicit tag
+                const chips = this.elements.list.querySelectorAll('.tag-chip:not(.inline)');
+                const last = chips[chips.length - 1];
+                if (last && this.onRemove) this.onRemove(last.dataset.tag);
+            }
+        });
+
+        this.elements.input?.addEventListener('blur', () => {
+            this.submit();
+        });
+    }
+
+    submit() {
+        const value = this.elements.input.value.trim();
+        this.elements.input.value = '';
+        if (value && this.onAdd) {
+            value.split(',').forEach(tag => {
+                if (tag.trim()) this.onAdd(tag);
+            });
+        }
+    }
+
+    // Show the tags of `note` (null hides the editor); `allTags` feeds the suggestions
+    render(note, inlineTags = [], allTags = []) {
+        if (!this.elements.container) return;
+
+        this.elements.container.style.display = note ? 'flex' : 'none';
+        this.elements.list.innerHTML = '';
+        if (!note) return;
+
+        const explicitTags = note.tags || [];
+        explicitTags.forEach(tag => this.elements.list.appendChild(this.createChip(tag, false)));
+        inlineTags
+            .filter(tag => !explicitTags.includes(tag))
+            .forEach(tag => this.elements.list.appendChild(this.createChip(tag, true)));
+
+        if (this.elements.suggestions) {
+            this.elements.suggestions.innerHTML = '';
+            allTags.forEach(tag => this.elements.suggestions.appendChild(new Option(tag.name)));
+        }
+    }
+
+    createChip(tag, inline) {
+        const chip = document.createElement('li');
+        chip.className = `tag-chip ${inline ? 'inline' : ''}`;
+        chip.dataset.tag = tag;
+
+        const label = document.createElement('span');
+        label.textContent = `#${tag}`;
+        chip.appendChild(label);
+
+        if (inline) {
+            chip.title = 'Written in the note. Remove it from the text to untag the note.';
+        } else {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'tag-chip-remove';
+            removeBtn.setAttribute('aria-label', `Remove tag ${tag}`);
+            removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+            removeBtn.addEventListener('click', () => {
+                if (this.onRemove) this.onRemove(tag);
+            });
+            chip.appendChild(removeBtn);
+        }
+
+        return chip;
+    }
+
+    // Event callbacks (set by external code)
+    onAdd = null;
+    onRemove = null;
+}
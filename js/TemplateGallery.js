@@ -0,0 +1,110 @@
+/**
+ * TemplateGallery.js
+ * Lets the user pick a template for a new note, and manage their saved templates
+ */
+
+class TemplateGallery {
+    constructor() {
+        this.elements = {
+            modal: document.getElementById('template-modal'),
+            closeBtn: document.getElementById('template-modal-close'),
+            list: document.getElementById('template-list'),
+            saveBtn: document.getElementById('template-save-current')
+        };
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.elements.closeBtn?.addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.elements.modal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) {
+                this.hide();
+            }
+        });
+
+        this.elements.saveBtn?.addEventListener('click', () => {
+            if (this.onSaveCurrent) this.onSaveCurrent();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.hide();
+            }
+        });
+    }
+
+    show(templates) {
+        this.render(templates);
+        this.elements.modal?.classList.add('active');
+    }
+
+    hide() {
+        this.elements.modal?.classList.remove('active');
+    }
+
+    isOpen() {
+        return !!this.elements.modal && this.elements.modal.classList.contains('active');
+    }
+
+    render(templates) {
+        this.elements.list.innerHTML = '';
+
+        templates.forEach(template => {
+            const item = document.createElement('li');
+            item.className = 'template-card';
+            item.tabIndex = 0;
+
+            const header = document.createElement('div');
+            header.className = 'template-card-header';
+
+            const name = document.createElement('span');
+            name.className = 'template-name';
+            name.textContent = template.name;
+            header.appendChild(name);
+
+            if (template.builtIn) {
+                const badge = document.createElement('span');
+                badge.className = 'template-badge';
+                badge.textContent = 'Built-in';
+                header.appendChild(badge);
+            } else {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'template-delete-btn';
+                deleteBtn.title = 'Delete template';
+                deleteBtn.setAttribute('aria-label', `Delete template ${template.name}`);
+                deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+                deleteBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    if (this.onDelete) this.onDelete(template.id, template.name);
+                });
+                header.appendChild(deleteBtn);
+            }
+
+            // Show placeholders filled with today's values, and {{title}} with the template name
+            const preview = document.createElement('div');
+            preview.className = 'template-preview';
+            preview.innerHTML = HtmlSanitizer.sanitize(TemplateManager.fill(template.content, { title: template.name }));
+
+            item.append(header, preview);
+
+            const select = () => {
+                if (this.onSelect) this.onSelect(template.id);
+            };
+            item.addEventListener('click', select);
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') select();
+            });
+
+            this.elements.list.appendChild(item);
+        });
+    }
+
+    // Event callbacks (set by external code)
+    onSelect = null;
+    onDelete = null;
+    onSaveCurrent = null;
+}
@@ -0,0 +1,125 @@
+/**
+ * TemplateManager.js
+ * Built-in and user-saved note templates, with {{placeholder}} filling
+ */
+
+class TemplateManager {
+    static BUILT_IN = [
+        {
+            id: 'builtin:meeting',
+            name: 'Meeting Notes',
+            content: '<h1>{{title}}</h1>' +
+                '<p><b>Date:</b> {{date}} {{time}}</p>' +
+                '<p><b>Attendees:</b> </p>' +
+                '<h2>Agenda</h2><ul><li><br></li></ul>' +
+                '<h2>Notes</h2><p><br></p>' +
+                '<h2>Action Items</h2><ul><li><br></li></ul>'
+        },
+        {
+            id: 'builtin:journal',
+            name: 'Daily Journal',
+            content: '<h1>{{weekday}}, {{date}}</h1>' +
+                '<h2>Grateful for</h2><ul><li><br></li></ul>' +
+                '<h2>Plans for today</h2><ul><li><br></li></ul>' +
+                '<h2>Reflections</h2><p><br></p>'
+        },
+        {
+            id: 'builtin:todo',
+            name: 'To-Do List',
+            content: '<h1>{{title}}</h1><ol><li><br></li></ol>'
+        }
+    ];
+
+    constructor(storage = window.localStorage, storageKey = 'takenote-templates') {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.userTemplates = this.loadTemplates();
+    }
+
+    // Built-in templates first, then the user's own by name
+    getTemplates() {
+        const builtIn = TemplateManager.BUILT_IN.map(template => ({ ...template, builtIn: true }));
+        const own = [...this.userTemplates].sort((a, b) => a.name.localeCompare(b.name));
+        return [...builtIn, ...own];
+    }
+
+    getTemplateById(id) {
+        return this.getTemplates().find(template => template.id === id);
+    }
+
+    getTemplateByName(name) {
+        const wanted = name.trim().toLowerCase();
+        return this.userTemplates.find(template => template.name.toLowerCase() === wanted);
+    }
+
+    // Save note content as a template, replacing a user template with the same name
+    saveTemplate(name, content) {
+        const existing = this.getTemplateByName(name);
+        const template = {
+            id: existing ? existing.id : `template-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name.trim(),
+            content: content,
+            builtIn: false,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.userTemplates = [...this.userTemplates.filter(other => other.id !== template.id), template];
+        this.persist();
+        return template;
+    }
+
+    deleteTemplate(id) {
+        this.userTemplates = this.userTemplates.filter(template => template.id !== id);
+        this.persist();
+    }
+
+    // Whether filling the template needs a {{title}}
+    static needsTitle(template) {
+        return /\{\{\s*title\s*\}\}/i.test(template.content);
+    }
+
+    // Template content with {{date}}, {{time}}, {{weekday}} and {{title}} filled in.
+    // Unknown placeholders are left as they are.
+    static fill(content, values = {}, now = new Date()) {
+        const filled = {
+            date: now.toLocaleDateString(),
+            time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+            weekday: now.toLocaleDateString([], { weekday: 'long' }),
+            ...values
+        };
+
+        return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+            const value = filled[name.toLowerCase()];
+            return value === undefined ? placeholder : TemplateManager.escapeHtml(String(value));
+        });
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    loadTemplates() {
+        try {
+            const saved = this.storage ? this.storage.getItem(this.storageKey) : null;
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.warn('Failed to load templates:', error);
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.userTemplates));
+            }
+        } catch (error) {
+            if (StorageAdapter.isQuotaError(error)) {
+                throw new StorageQuotaError('Not enough storage space to save the template.');
+            }
+            throw error;
+        }
+    }
+}
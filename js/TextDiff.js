@@ -0,0 +1,185 @@
+/**
+ * TextDiff.js
+ * Sequence diffing and merging helpers for note content
+ */
+
+class TextDiff {
+    static MAX_DIFF_ITEMS = 20000; // Longer inputs get a coarse diff
+    static MAX_EDITS = 2000; // So do inputs that differ in more places than this
+
+    // Diff two arrays, returning [{ type: 'equal' | 'insert' | 'delete', value }] in order
+    static diff(before, after) {
+        // Common leading and trailing items don't need diffing
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) {
+            start++;
+        }
+
+        let end = 0;
+        while (
+            end < before.length - start &&
+            end < after.length - start &&
+            before[before.length - 1 - end] === after[after.length - 1 - end]
+        ) {
+            end++;
+        }
+
+        const head = before.slice(0, start).map(value => ({ type: 'equal', value }));
+        const tail = before.slice(before.length - end).map(value => ({ type: 'equal', value }));
+        const middle = TextDiff.diffMiddle(
+            before.slice(start, before.length - end),
+            after.slice(start, after.length - end)
+        );
+
+        return head.concat(middle, tail);
+    }
+
+    // Myers' diff of the part that actually differs: time grows with the input size times
+    // the number of changes, not with the square of the input. Past MAX_DIFF_ITEMS items or
+    // MAX_EDITS changes it settles for a coarse diff that deletes everything and inserts it anew.
+    static diffMiddle(before, after) {
+        const rows = before.length;
+        const cols = after.length;
+        const coarse = () => [
+            ...before.map(value => ({ type: 'delete', value })),
+            ...after.map(value => ({ type: 'insert', value }))
+        ];
+        if (rows === 0 || cols === 0 || rows + cols > TextDiff.MAX_DIFF_ITEMS) {
+            return coarse();
+        }
+
+        // furthest[k + offset]: the furthest `i` reached on diagonal k (i - j) so far.
+        // Each step keeps its diagonals' values to walk the path back afterwards.
+        const maxEdits = Math.min(rows + cols, TextDiff.MAX_EDITS);
+        const offset = maxEdits + 1;
+        const furthest = new Int32Array(2 * offset + 1);
+        const trace = [];
+        let found = false;
+        for (let edits = 0; edits <= maxEdits && !found; edits++) {
+            for (let k = -edits; k <= edits; k += 2) {
+                // Come from the diagonal that got further: a delete moves down from k - 1,
+                // an insert moves right from k + 1
+                let i = k === -edits || (k !== edits && furthest[offset + k - 1] < furthest[offset + k + 1])
+                    ? furthest[offset + k + 1]
+                    : furthest[offset + k - 1] + 1;
+                let j = i - k;
+                while (i < rows && j < cols && before[i] === after[j]) {
+                    i++;
+                    j++;
+                }
+                furthest[offset + k] = i;
+                if (i >= rows && j >= cols) {
+                    found = true;
+                    break;
+                }
+            }
+            trace.push(furthest.slice(offset - edits, offset + edits + 1));
+        }
+        if (!found) {
+            return coarse();
+        }
+
+        const changes = [];
+        let i = rows;
+        let j = cols;
+        for (let edits = trace.length - 1; edits >= 0; edits--) {
+            const k = i - j;
+            const previous = edits > 0 ? trace[edits - 1] : null;
+            const at = diagonal => previous[diagonal + edits - 1];
+            const fromInsert = edits > 0 && (k === -edits || (k !== edits && at(k - 1) < at(k + 1)));
+            const startI = edits === 0 ? 0 : fromInsert ? at(k + 1) : at(k - 1) + 1;
+            const startJ = edits === 0 ? 0 : startI - k;
+
+            while (i > startI && j > startJ) {
+                changes.push({ type: 'equal', value: before[--i] });
+                j--;
+            }
+            if (edits > 0) {
+                if (fromInsert) {
+                    changes.push({ type: 'insert', value: after[--j] });
+                } else {
+                    changes.push({ type: 'delete', value: before[--i] });
+                }
+            }
+        }
+
+        return changes.reverse();
+    }
+
+    // Word-level diff of two HTML documents; whitespace is kept so the result can be displayed.
+    // Lines are diffed first and words only within the lines that changed, so an edit at
+    // either end of a long note doesn't diff every word in between.
+    static diffWords(beforeHtml, afterHtml) {
+        const toLines = html => TextDiff.toPlainText(html).split(/(?<=\n)/);
+        const toWords = lines => lines.join('').split(/(\s+)/).filter(token => token.length > 0);
+
+        const changes = [];
+        let deleted = [];
+        let inserted = [];
+        const flush = () => {
+            changes.push(...TextDiff.diff(toWords(deleted), toWords(inserted)));
+            deleted = [];
+            inserted = [];
+        };
+
+        TextDiff.diff(toLines(beforeHtml), toLines(afterHtml)).forEach(change => {
+            if (change.type === 'delete') {
+                deleted.push(change.value);
+            } else if (change.type === 'insert') {
+                inserted.push(change.value);
+            } else {
+                flush();
+                changes.push(...toWords([change.value]).map(value => ({ type: 'equal', value })));
+            }
+        });
+        flush();
+
+        return changes;
+    }
+
+    // Plain text of note HTML with a line break after each block
+    static toPlainText(html) {
+        const container = HtmlSanitizer.parse(html);
+
+        container.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li, br').forEach(element => {
+            element.after(document.createTextNode('\n'));
+        });
+
+        return container.textContent.replace(/\n{2,}/g, '\n').trim();
+    }
+
+    // Split note HTML into its top-level blocks (paragraphs, headings, lists...)
+    static toBlocks(html) {
+        const container = HtmlSanitizer.parse(html);
+
+        return Array.from(container.childNodes)
+            .map(node => node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : node.textContent)
+            .filter(block => block.trim().length > 0);
+    }
+
+    // Merge two versions of a note into [{ html, side }], keeping every block that
+    // appears in either one. Without the version both sides started from, a block only
+    // one side has may have been added there or deleted on the other side, so those
+    // blocks get `side` 'mine' or 'theirs' for the user to review; shared blocks get
+    // 'both'. Where both sides changed the same spot, our blocks come before theirs.
+    static mergeBlocks(mine, theirs) {
+        const merged = [];
+        let theirsOnly = [];
+
+        TextDiff.diff(TextDiff.toBlocks(mine), TextDiff.toBlocks(theirs)).forEach(change => {
+            if (change.type === 'insert') {
+                theirsOnly.push({ html: change.value, side: 'theirs' });
+                return;
+            }
+
+            if (change.type === 'equal') {
+                merged.push(...theirsOnly);
+                theirsOnly = [];
+            }
+            merged.push({ html: change.value, side: change.type === 'equal' ? 'both' : 'mine' });
+        });
+        merged.push(...theirsOnly);
+
+        return merged;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * TextFileReader.js
+ * Reads text files in chunks, detecting their encoding and normalizing line endings
+ */
+
+// Raised when a file is over the import size limit
+class FileTooLargeError extends Error {
+    constructor(size, limit) {
+        super(`This file is ${TextFileReader.formatSize(size)}. Files over ${TextFileReader.formatSize(limit)} can't be imported.`);
+        this.name = 'FileTooLargeError';
+        this.size = size;
+        this.limit = limit;
+    }
+}
+
+class TextFileReader {
+    static MAX_BYTES = 5 * 1024 * 1024;
+    static CHUNK_BYTES = 256 * 1024;
+    static CHUNK_LINES = 2000;
+
+    // Encodings that can be chosen instead of detecting one
+    static ENCODINGS = {
+        'auto': 'Auto-detect',
+        'utf-8': 'UTF-8',
+        'utf-16le': 'UTF-16 LE',
+        'utf-16be': 'UTF-16 BE',
+        'windows-1252': 'Windows-1252'
+    };
+
+    // Read a file as { text, encoding }, with CRLF and CR line endings turned into LF.
+    // With `encoding: 'auto'` a byte order mark decides, then a look for UTF-16, then
+    // UTF-8 if the bytes are valid UTF-8 and Windows-1252 if they aren't.
+    // Throws FileTooLargeError for files over `maxBytes`.
+    static async read(file, options = {}) {
+        const { encoding = 'auto', maxBytes = TextFileReader.MAX_BYTES, onProgress = null } = options;
+        if (file.size > maxBytes) {
+            throw new FileTooLargeError(file.size, maxBytes);
+        }
+
+        const head = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+        const chosen = encoding === 'auto' ? TextFileReader.detectEncoding(head) : encoding;
+
+        let text;
+        let used = chosen;
+        try {
+            // Only a guessed UTF-8 is checked strictly, so there's something to fall back to
+            text = await TextFileReader.decode(file, chosen, encoding === 'auto' && chosen === 'utf-8', onProgress);
+        } catch (error) {
+            if (!(error instanceof TypeError) || encoding !== 'auto') throw error;
+            used = 'windows-1252';
+            text = await TextFileReader.decode(file, used, false, onProgress);
+        }
+
+        return { text: TextFileReader.normalizeLineEndings(text), encoding: used };
+    }
+
+    // Best guess from the first bytes of a file
+    static detectEncoding(bytes) {
+        if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+        if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+        // UTF-16 without a BOM: mostly-ASCII text has a zero in every other byte
+        let evenZeros = 0;
+        let oddZeros = 0;
+        const length = bytes.length - (bytes.length % 2);
+        for (let i = 0; i < length; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+        const pairs = length / 2;
+        if (pairs >= 2) {
+            if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return 'utf-16le';
+            if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return 'utf-16be';
+        }
+
+        return 'utf-8';
+    }
+
+    // Decode a slice at a time, letting the page handle events between slices.
+    // A `fatal` decoder throws a TypeError on bytes that aren't valid in the encoding.
+    static async decode(file, encoding, fatal, onProgress) {
+        const decoder = new TextDecoder(encoding, { fatal: fatal });
+        const parts = [];
+
+        for (let offset = 0; offset < file.size; offset += TextFileReader.CHUNK_BYTES) {
+            const chunk = await file.slice(offset, offset + TextFileReader.CHUNK_BYTES).arrayBuffer();
+            parts.push(decoder.decode(chunk, { stream: true }));
+
+            if (onProgress) {
+                onProgress(Math.min(offset + TextFileReader.CHUNK_BYTES, file.size), file.size);
+            }
+            if (offset + TextFileReader.CHUNK_BYTES < file.size) {
+                await TextFileReader.yieldToBrowser();
+            }
+        }
+        parts.push(decoder.decode());
+
+        return parts.join('');
+    }
+
+    static normalizeLineEndings(text) {
+        return text.replace(/\r\n?/g, '\n');
+    }
+
+    // Plain text as one <p> per non-blank line, converted a batch of lines at a time
+    static async toParagraphs(text) {
+        const lines = text.split('\n');
+        const html = [];
+
+        for (let start = 0; start < lines.length; start += TextFileReader.CHUNK_LINES) {
+            lines.slice(start, start + TextFileReader.CHUNK_LINES).forEach(line => {
+                const trimmed = line.trim();
+                if (trimmed) {
+                    html.push(`<p>${TextFileReader.escapeHtml(trimmed)}</p>`);
+                }
+            });
+
+            if (start + TextFileReader.CHUNK_LINES < lines.length) {
+                await TextFileReader.yieldToBrowser();
+            }
+        }
+
+        return html.join('');
+    }
+
+    static yieldToBrowser() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    // Without the DOM round trip, which is slow for megabytes of text
+    static escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    static formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} bytes`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+    }
+}
@@ -9,7 +9,19 @@ class UI {
         this.elements = this.getElements();
         this.isMobile = window.innerWidth <= 768;
         this.sidebarOpen = false;
+        this.showingTrash = false;
+        this.selectedFolderId = null; // Folder new notes are created in
+        this.collapsedFolders = this.loadCollapsedFolders();
+        this.moveMenu = null;
+        this.exportMenu = null;
+        this.encodingMenu = null;
+        this.selectedTags = []; // Tags the notes list is filtered by
+        this.tagFilterMode = 'or';
+        this.searchQuery = '';
         
+        this.applyTheme(localStorage.getItem('takenote-theme') || 'light');
+        this.setExportFormat(localStorage.getItem('takenote-export-format') || 'markdown');
+        this.setImportEncoding(localStorage.getItem('takenote-import-encoding') || 'auto');
         this.bindEvents();
         this.updateResponsive();
     }
@@ -21,11 +33,26 @@ class UI {
             sidebarToggle: document.getElementById('sidebar-toggle'),
             sidebarOverlay: document.getElementById('sidebar-overlay'),
             newNoteBtn: document.getElementById('new-note-btn'),
+            newFolderBtn: document.getElementById('new-folder-btn'),
+            newFromTemplateBtn: document.getElementById('new-from-template-btn'),
             notesList: document.getElementById('notes-list'),
+            searchInput: document.getElementById('search-input'),
+            tagsList: document.getElementById('tags-list'),
+            tagFilterMode: document.getElementById('tag-filter-mode'),
+            tagFilterClear: document.getElementById('tag-filter-clear'),
+            trashToggleBtn: document.getElementById('trash-toggle-btn'),
+            backupBtn: document.getElementById('backup-btn'),
+            restoreBtn: document.getElementById('restore-btn'),
+            restoreInput: document.getElementById('restore-input'),
+            trashCount: document.getElementById('trash-count'),
             languageSelect: document.getElementById('language-select'),
             
             // Editor elements
             textEditor: document.getElementById('text-editor'),
+            noteTitleInput: document.getElementById('note-title-input'),
+            backlinksPanel: document.getElementById('backlinks-panel'),
+            backlinksList: document.getElementById('backlinks-list'),
+            backlinksCount: document.getElementById('backlinks-count'),
             editorContainer: document.getElementById('editor-container'),
             authRequired: document.getElementById('auth-required'),
             
@@ -42,14 +69,20 @@ class UI {
             redoBtn: document.getElementById('redo-btn'),
             
             // File action elements
+            historyBtn: document.getElementById('history-btn'),
             uploadBtn: document.getElementById('upload-btn'),
             uploadInput: document.getElementById('upload-input'),
+            uploadEncodingBtn: document.getElementById('upload-encoding-btn'),
+            uploadEncodingLabel: document.getElementById('upload-encoding-label'),
             downloadBtn: document.getElementById('download-btn'),
+            downloadFormatBtn: document.getElementById('download-format-btn'),
+            downloadFormatLabel: document.getElementById('download-format-label'),
             
             // Status elements
             wordCount: document.getElementById('word-count'),
             charCount: document.getElementById('char-count'),
-            sentenceCount: document.getElementById('sentence-count')
+            sentenceCount: document.getElementById('sentence-count'),
+            syncStatus: document.getElementById('sync-status')
         };
     }
 
@@ -67,6 +100,127 @@ class UI {
             if (this.onNewNote) this.onNewNote();
         });
         
+        this.elements.newFromTemplateBtn?.addEventListener('click', () => {
+            if (this.onNewFromTemplate) this.onNewFromTemplate();
+        });
+        
+        this.elements.newFolderBtn?.addEventListener('click', () => {
+            if (this.onNewFolder) this.onNewFolder(this.selectedFolderId);
+        });
+        
+        // Dropping onto a note moves things into that note's folder, or out of any folder
+        this.elements.notesList?.addEventListener('dragover', (e) => {
+            if (!this.showingTrash && this.isTakenoteDrag(e)) {
+                e.preventDefault();
+            }
+        });
+        
+        this.elements.notesList?.addEventListener('drop', (e) => {
+            if (!this.showingTrash && this.isTakenoteDrag(e)) {
+                e.preventDefault();
+                const folderItem = e.target.closest('.folder-item');
+                this.handleDrop(e, folderItem ? folderItem.dataset.folderId : null);
+            }
+        });
+        
+        // Files dropped anywhere on the sidebar become notes in the selected folder
+        this.elements.sidebar?.addEventListener('dragover', (e) => {
+            if (this.isFileDrag(e)) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                this.elements.sidebar.classList.add('file-drop-target');
+            }
+        });
+        
+        this.elements.sidebar?.addEventListener('dragleave', (e) => {
+            if (!this.elements.sidebar.contains(e.relatedTarget)) {
+                this.elements.sidebar.classList.remove('file-drop-target');
+            }
+        });
+        
+        this.elements.sidebar?.addEventListener('drop', (e) => {
+            this.elements.sidebar.classList.remove('file-drop-target');
+            if (this.isFileDrag(e)) {
+                e.preventDefault();
+                if (this.onFilesDrop) this.onFilesDrop(Array.from(e.dataTransfer.files), this.selectedFolderId);
+            }
+        });
+        
+        // Don't let files dropped elsewhere replace the app with the file
+        document.addEventListener('dragover', (e) => {
+            if (this.isFileDrag(e)) e.preventDefault();
+        });
+        
+        document.addEventListener('drop', (e) => {
+            if (this.isFileDrag(e)) e.preventDefault();
+        });
+        
+        this.elements.searchInput?.addEventListener('input', (e) => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => {
+                this.searchQuery = e.target.value.trim();
+                if (this.onSearch) this.onSearch(this.searchQuery);
+            }, 150);
+        });
+        
+        this.elements.searchInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.clearSearch();
+            } else if (e.key === 'Enter') {
+                // Open the top result
+                const first = this.elements.notesList.querySelector('.search-result');
+                if (first) first.click();
+            }
+        });
+        
+        this.elements.tagFilterMode?.addEventListener('change', (e) => {
+            this.tagFilterMode = e.target.value;
+            if (this.onTagFilterChange) this.onTagFilterChange();
+        });
+        
+        this.elements.tagFilterClear?.addEventListener('click', () => {
+            this.selectedTags = [];
+            if (this.onTagFilterChange) this.onTagFilterChange();
+        });
+        
+        this.elements.trashToggleBtn?.addEventListener('click', () => {
+            this.toggleTrash();
+        });
+        
+        this.elements.backupBtn?.addEventListener('click', () => {
+            if (this.onBackup) this.onBackup();
+        });
+        
+        this.elements.restoreBtn?.addEventListener('click', () => {
+            this.elements.restoreInput?.click();
+        });
+        
+        this.elements.restoreInput?.addEventListener('change', (e) => {
+            if (this.onRestore && e.target.files.length > 0) {
+                this.onRestore(e.target.files[0]);
+                e.target.value = ''; // Reset input
+            }
+        });
+        
+        // Title field: saved on Enter or when it loses focus, Escape puts it back
+        this.elements.noteTitleInput?.addEventListener('focus', (e) => {
+            this.titleBeforeEdit = e.target.value;
+        });
+        
+        this.elements.noteTitleInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.focusEditor();
+            } else if (e.key === 'Escape') {
+                e.target.value = this.titleBeforeEdit || '';
+                this.focusEditor();
+            }
+        });
+        
+        this.elements.noteTitleInput?.addEventListener('change', (e) => {
+            if (this.onTitleChange) this.onTitleChange(e.target.value);
+        });
+        
         // Toolbar events
         this.elements.headingSelect?.addEventListener('change', (e) => {
             if (this.onHeadingChange) this.onHeadingChange(e.target.value);
@@ -109,19 +263,41 @@ class UI {
         });
         
         // File action events
+        this.elements.historyBtn?.addEventListener('click', () => {
+            if (this.onShowHistory) this.onShowHistory();
+        });
+        
         this.elements.uploadBtn?.addEventListener('click', () => {
             this.elements.uploadInput?.click();
         });
         
         this.elements.uploadInput?.addEventListener('change', (e) => {
             if (this.onFileUpload && e.target.files.length > 0) {
-                this.onFileUpload(e.target.files[0]);
+                this.onFileUpload(Array.from(e.target.files));
                 e.target.value = ''; // Reset input
             }
         });
         
+        this.elements.uploadEncodingBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.encodingMenu) {
+                this.hideEncodingMenu();
+            } else {
+                this.showEncodingMenu(this.elements.uploadEncodingBtn);
+            }
+        });
+        
         this.elements.downloadBtn?.addEventListener('click', () => {
-            if (this.onFileDownload) this.onFileDownload();
+            if (this.onFileDownload) this.onFileDownload(this.exportFormat);
+        });
+        
+        this.elements.downloadFormatBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.exportMenu) {
+                this.hideExportMenu();
+            } else {
+                this.showExportMenu(this.elements.downloadFormatBtn);
+            }
         });
         
         // Responsive events
@@ -179,12 +355,12 @@ class UI {
     }
 
     // Notes list management
-    renderNotesList(notes, activeNoteId) {
+    renderNotesList(notes, activeNoteId, folders = []) {
         if (!this.elements.notesList) return;
         
         this.elements.notesList.innerHTML = '';
         
-        if (notes.length === 0) {
+        if (notes.length === 0 && folders.length === 0) {
             const emptyState = document.createElement('li');
             emptyState.className = 'empty-state';
             emptyState.innerHTML = `
@@ -197,35 +373,707 @@ class UI {
             return;
         }
         
-        notes.forEach(note => {
-            const listItem = document.createElement('li');
-            listItem.className = `note-item ${note.id === activeNoteId ? 'active' : ''}`;
-            listItem.dataset.noteId = note.id;
+        // Anything filed under a folder that no longer exists shows at the top level
+        const folderIds = new Set(folders.map(folder => folder.id));
+        const parentOf = (folder) => folderIds.has(folder.parentId) ? folder.parentId : null;
+        const folderOf = (note) => folderIds.has(note.folderId) ? note.folderId : null;
+        
+        if (!folderIds.has(this.selectedFolderId)) {
+            this.selectedFolderId = null;
+        }
+        
+        const countNotes = (folderId) => notes.filter(note => folderOf(note) === folderId).length +
+            folders.filter(folder => parentOf(folder) === folderId).reduce((sum, folder) => sum + countNotes(folder.id), 0);
+        
+        const renderLevel = (parentId, container) => {
+            folders
+                .filter(folder => parentOf(folder) === parentId)
+                .forEach(folder => {
+                    const folderItem = this.createFolderItem(folder, countNotes(folder.id));
+                    renderLevel(folder.id, folderItem.querySelector('.folder-children'));
+                    container.appendChild(folderItem);
+                });
             
-            listItem.innerHTML = `
-                <span class="note-title">${this.escapeHtml(note.title)}</span>
-                <button class="note-delete-btn" title="Delete note" aria-label="Delete note">
+            notes
+                .filter(note => folderOf(note) === parentId)
+                .forEach(note => container.appendChild(this.createNoteItem(note, activeNoteId, folders)));
+        };
+        
+        renderLevel(null, this.elements.notesList);
+    }
+
+    createFolderItem(folder, noteCount) {
+        const collapsed = this.collapsedFolders.has(folder.id);
+        
+        const folderItem = document.createElement('li');
+        folderItem.className = `folder-item ${collapsed ? 'collapsed' : ''}`;
+        folderItem.dataset.folderId = folder.id;
+        
+        folderItem.innerHTML = `
+            <div class="folder-header ${folder.id === this.selectedFolderId ? 'selected' : ''}" draggable="true">
+                <button class="folder-toggle-btn" aria-label="${collapsed ? 'Expand' : 'Collapse'} folder">
+                    <i class="fas fa-chevron-${collapsed ? 'right' : 'down'}"></i>
+                </button>
+                <i class="fas fa-folder${collapsed ? '' : '-open'} folder-icon"></i>
+                <span class="folder-name">${this.escapeHtml(folder.name)}</span>
+                <span class="folder-count">${noteCount}</span>
+                <button class="folder-action-btn folder-add-btn" title="New subfolder" aria-label="New subfolder">
+                    <i class="fas fa-folder-plus"></i>
+                </button>
+                <button class="folder-action-btn folder-rename-btn" title="Rename folder" aria-label="Rename folder">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="folder-action-btn folder-delete-btn" title="Delete folder" aria-label="Delete folder">
                     <i class="fas fa-trash"></i>
                 </button>
+            </div>
+            <ul class="folder-children"></ul>
+        `;
+        
+        const header = folderItem.querySelector('.folder-header');
+        
+        folderItem.querySelector('.folder-toggle-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleFolder(folder.id);
+        });
+        
+        // Selecting a folder makes it the target for new notes
+        folderItem.querySelector('.folder-name').addEventListener('click', () => {
+            this.selectedFolderId = this.selectedFolderId === folder.id ? null : folder.id;
+            this.elements.notesList.querySelectorAll('.folder-header').forEach(element => {
+                element.classList.toggle('selected', element === header && this.selectedFolderId === folder.id);
+            });
+        });
+        
+        folderItem.querySelector('.folder-add-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onNewFolder) this.onNewFolder(folder.id);
+        });
+        
+        folderItem.querySelector('.folder-rename-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onFolderRename) this.onFolderRename(folder.id, folder.name);
+        });
+        
+        folderItem.querySelector('.folder-delete-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onFolderDelete) this.onFolderDelete(folder.id, folder.name);
+        });
+        
+        // Drag-and-drop: folders can be dragged, and notes or folders dropped onto them
+        header.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            e.dataTransfer.setData('application/x-takenote-folder', folder.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        
+        header.addEventListener('dragover', (e) => {
+            if (this.isTakenoteDrag(e) || this.isFileDrag(e)) {
+                e.preventDefault();
+                e.stopPropagation();
+                header.classList.add('drop-target');
+            }
+        });
+        
+        header.addEventListener('dragleave', () => {
+            header.classList.remove('drop-target');
+        });
+        
+        header.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            header.classList.remove('drop-target');
+            this.elements.sidebar?.classList.remove('file-drop-target');
+            
+            // Files dropped on a folder become notes inside it
+            if (this.isFileDrag(e)) {
+                if (this.onFilesDrop) this.onFilesDrop(Array.from(e.dataTransfer.files), folder.id);
+            } else {
+                this.handleDrop(e, folder.id);
+            }
+        });
+        
+        return folderItem;
+    }
+
+    createNoteItem(note, activeNoteId, folders) {
+        const listItem = document.createElement('li');
+        listItem.className = `note-item ${note.id === activeNoteId ? 'active' : ''}`;
+        listItem.dataset.noteId = note.id;
+        listItem.draggable = true;
+        
+        listItem.innerHTML = `
+            <span class="note-title">${this.escapeHtml(note.title)}</span>
+            <button class="note-move-btn" title="Move to..." aria-label="Move to folder">
+                <i class="fas fa-folder-open"></i>
+            </button>
+            <button class="note-delete-btn" title="Delete note" aria-label="Delete note">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        
+        // Add click event for note selection
+        const titleSpan = listItem.querySelector('.note-title');
+        titleSpan.addEventListener('click', () => {
+            if (this.onNoteSelect) {
+                this.onNoteSelect(note.id);
+            }
+            if (this.isMobile) {
+                this.closeSidebar();
+            }
+        });
+        
+        titleSpan.addEventListener('dblclick', () => {
+            this.startInlineRename(listItem, titleSpan, note);
+        });
+        
+        const moveBtn = listItem.querySelector('.note-move-btn');
+        moveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showMoveMenu(moveBtn, note, folders);
+        });
+        
+        // Add click event for note deletion
+        const deleteBtn = listItem.querySelector('.note-delete-btn');
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onNoteDelete) {
+                this.onNoteDelete(note.id, note.title);
+            }
+        });
+        
+        listItem.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-takenote-note', note.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        
+        return listItem;
+    }
+
+    // Swap a note's title in the sidebar for a text box. Enter or leaving the box
+    // renames the note; Escape cancels. A blank title goes back to the first line.
+    startInlineRename(listItem, titleSpan, note) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'note-title-edit';
+        input.value = note.customTitle ? note.title : '';
+        input.placeholder = note.title;
+        input.setAttribute('aria-label', 'Note title');
+        
+        listItem.draggable = false;
+        titleSpan.replaceWith(input);
+        input.focus();
+        input.select();
+        
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            
+            input.replaceWith(titleSpan);
+            listItem.draggable = true;
+            if (save && input.value.trim() !== (note.customTitle ? note.title : '') && this.onNoteRename) {
+                this.onNoteRename(note.id, input.value);
+            }
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (e) => e.stopPropagation());
+    }
+
+    // Tag list with counts; selected tags filter the notes list
+    renderTagList(tags) {
+        if (!this.elements.tagsList) return;
+        
+        // Forget selections for tags that no longer exist
+        this.selectedTags = this.selectedTags.filter(selected => tags.some(tag => tag.name === selected));
+        
+        this.elements.tagsList.innerHTML = '';
+        if (this.elements.tagFilterClear) {
+            this.elements.tagFilterClear.style.display = this.selectedTags.length > 0 ? 'inline-block' : 'none';
+        }
+        
+        if (tags.length === 0) {
+            const emptyState = document.createElement('li');
+            emptyState.className = 'tags-empty';
+            emptyState.textContent = 'Type #tag in a note or use the tag bar to add tags.';
+            this.elements.tagsList.appendChild(emptyState);
+            return;
+        }
+        
+        tags.forEach(tag => {
+            const item = document.createElement('li');
+            item.className = `tag-item ${this.selectedTags.includes(tag.name) ? 'selected' : ''}`;
+            item.innerHTML = `
+                <span class="tag-name">#${this.escapeHtml(tag.name)}</span>
+                <span class="tag-count">${tag.count}</span>
+                <button class="tag-rename-btn" title="Rename or merge tag" aria-label="Rename tag">
+                    <i class="fas fa-pen"></i>
+                </button>
+            `;
+            
+            item.addEventListener('click', () => {
+                this.selectedTags = this.selectedTags.includes(tag.name)
+                    ? this.selectedTags.filter(selected => selected !== tag.name)
+                    : [...this.selectedTags, tag.name];
+                if (this.onTagFilterChange) this.onTagFilterChange();
+            });
+            
+            item.querySelector('.tag-rename-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.onTagRename) this.onTagRename(tag.name);
+            });
+            
+            this.elements.tagsList.appendChild(item);
+        });
+    }
+
+    // Folders
+    toggleFolder(folderId) {
+        if (this.collapsedFolders.has(folderId)) {
+            this.collapsedFolders.delete(folderId);
+        } else {
+            this.collapsedFolders.add(folderId);
+        }
+        
+        try {
+            localStorage.setItem('takenote-collapsed-folders', JSON.stringify([...this.collapsedFolders]));
+        } catch (error) {
+            console.warn('Failed to save folder state:', error);
+        }
+        
+        const folderItem = this.elements.notesList.querySelector(`.folder-item[data-folder-id="${CSS.escape(folderId)}"]`);
+        if (folderItem) {
+            const collapsed = this.collapsedFolders.has(folderId);
+            folderItem.classList.toggle('collapsed', collapsed);
+            folderItem.querySelector('.folder-toggle-btn i').className = `fas fa-chevron-${collapsed ? 'right' : 'down'}`;
+            folderItem.querySelector('.folder-icon').className = `fas fa-folder${collapsed ? '' : '-open'} folder-icon`;
+        }
+    }
+
+    expandFolder(folderId) {
+        if (this.collapsedFolders.has(folderId)) {
+            this.toggleFolder(folderId);
+        }
+    }
+
+    loadCollapsedFolders() {
+        try {
+            return new Set(JSON.parse(localStorage.getItem('takenote-collapsed-folders')) || []);
+        } catch (error) {
+            return new Set();
+        }
+    }
+
+    isTakenoteDrag(e) {
+        const types = Array.from(e.dataTransfer.types);
+        return types.includes('application/x-takenote-note') || types.includes('application/x-takenote-folder');
+    }
+
+    // Files dragged in from outside the browser
+    isFileDrag(e) {
+        return !!e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    }
+
+    // Move the dragged note or folder into `folderId` (null for the top level)
+    handleDrop(e, folderId) {
+        const noteId = e.dataTransfer.getData('application/x-takenote-note');
+        const draggedFolderId = e.dataTransfer.getData('application/x-takenote-folder');
+        
+        if (noteId && this.onNoteMove) {
+            this.onNoteMove(noteId, folderId);
+        } else if (draggedFolderId && draggedFolderId !== folderId && this.onFolderMove) {
+            this.onFolderMove(draggedFolderId, folderId);
+        }
+    }
+
+    // "Move to..." menu listing every folder
+    showMoveMenu(anchor, note, folders) {
+        this.hideMoveMenu();
+        
+        const menu = document.createElement('ul');
+        menu.className = 'move-menu';
+        
+        const addOption = (label, folderId, depth) => {
+            const option = document.createElement('li');
+            option.className = `move-menu-item ${(note.folderId || null) === folderId ? 'current' : ''}`;
+            option.style.paddingLeft = `${12 + depth * 16}px`;
+            option.textContent = label;
+            option.addEventListener('click', () => {
+                this.hideMoveMenu();
+                if (this.onNoteMove) this.onNoteMove(note.id, folderId);
+            });
+            menu.appendChild(option);
+        };
+        
+        addOption('No folder', null, 0);
+        const addFolders = (parentId, depth) => {
+            folders
+                .filter(folder => (folder.parentId || null) === parentId)
+                .forEach(folder => {
+                    addOption(folder.name, folder.id, depth);
+                    addFolders(folder.id, depth + 1);
+                });
+        };
+        addFolders(null, 0);
+        
+        const rect = anchor.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.left = `${rect.left}px`;
+        document.body.appendChild(menu);
+        this.moveMenu = menu;
+        
+        // Close when clicking anywhere else
+        setTimeout(() => {
+            document.addEventListener('click', () => this.hideMoveMenu(), { once: true });
+        }, 0);
+    }
+
+    hideMoveMenu() {
+        if (this.moveMenu) {
+            this.moveMenu.remove();
+            this.moveMenu = null;
+        }
+    }
+
+    // Download format picker; choosing a format remembers it and downloads straight away
+    showExportMenu(anchor) {
+        this.hideExportMenu();
+        
+        const menu = document.createElement('ul');
+        menu.className = 'move-menu export-menu';
+        menu.setAttribute('role', 'menu');
+        
+        Object.entries(NoteExporter.FORMATS).forEach(([format, type]) => {
+            const option = document.createElement('li');
+            option.className = `move-menu-item ${format === this.exportFormat ? 'current' : ''}`;
+            option.setAttribute('role', 'menuitem');
+            option.textContent = format === 'pdf' ? 'PDF (print)' : `${type.label} (${type.extension})`;
+            option.addEventListener('click', () => {
+                this.hideExportMenu();
+                this.setExportFormat(format, true);
+                if (this.onFileDownload) this.onFileDownload(format);
+            });
+            menu.appendChild(option);
+        });
+        
+        // Line the menu up with the right edge of the split button
+        const rect = anchor.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.right = `${document.documentElement.clientWidth - rect.right}px`;
+        document.body.appendChild(menu);
+        this.exportMenu = menu;
+        
+        setTimeout(() => {
+            document.addEventListener('click', () => this.hideExportMenu(), { once: true });
+        }, 0);
+    }
+
+    hideExportMenu() {
+        if (this.exportMenu) {
+            this.exportMenu.remove();
+            this.exportMenu = null;
+        }
+    }
+
+    setExportFormat(format, remember = false) {
+        this.exportFormat = NoteExporter.FORMATS[format] ? format : 'markdown';
+        const type = NoteExporter.FORMATS[this.exportFormat];
+
+        if (this.elements.downloadFormatLabel) {
+            this.elements.downloadFormatLabel.textContent = this.exportFormat === 'pdf' ? 'PDF' : type.extension;
+        }
+        if (this.elements.downloadBtn) {
+            this.elements.downloadBtn.title = `Download as ${type.label}`;
+        }
+        
+        if (remember) {
+            try {
+                localStorage.setItem('takenote-export-format', this.exportFormat);
+            } catch (error) {
+                console.warn('Failed to save export format:', error);
+            }
+        }
+    }
+
+    // Encoding picker for uploads, for files whose encoding is detected wrongly. Choosing
+    // one remembers it and opens the file picker.
+    showEncodingMenu(anchor) {
+        this.hideEncodingMenu();
+        
+        const menu = document.createElement('ul');
+        menu.className = 'move-menu export-menu';
+        menu.setAttribute('role', 'menu');
+        
+        Object.entries(TextFileReader.ENCODINGS).forEach(([encoding, label]) => {
+            const option = document.createElement('li');
+            option.className = `move-menu-item ${encoding === this.importEncoding ? 'current' : ''}`;
+            option.setAttribute('role', 'menuitem');
+            option.textContent = encoding === 'auto' ? `${label} encoding` : label;
+            option.addEventListener('click', () => {
+                this.hideEncodingMenu();
+                this.setImportEncoding(encoding, true);
+                this.elements.uploadInput?.click();
+            });
+            menu.appendChild(option);
+        });
+        
+        const rect = anchor.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.right = `${document.documentElement.clientWidth - rect.right}px`;
+        document.body.appendChild(menu);
+        this.encodingMenu = menu;
+        
+        setTimeout(() => {
+            document.addEventListener('click', () => this.hideEncodingMenu(), { once: true });
+        }, 0);
+    }
+
+    hideEncodingMenu() {
+        if (this.encodingMenu) {
+            this.encodingMenu.remove();
+            this.encodingMenu = null;
+        }
+    }
+
+    // 'auto' detects each file's encoding; anything else reads every file with it
+    setImportEncoding(encoding, remember = false) {
+        this.importEncoding = TextFileReader.ENCODINGS[encoding] ? encoding : 'auto';
+        
+        if (this.elements.uploadEncodingLabel) {
+            this.elements.uploadEncodingLabel.textContent = this.importEncoding === 'auto' ? '' : TextFileReader.ENCODINGS[this.importEncoding];
+            this.elements.uploadEncodingLabel.style.display = this.importEncoding === 'auto' ? 'none' : '';
+        }
+        if (this.elements.uploadBtn) {
+            this.elements.uploadBtn.title = this.importEncoding === 'auto'
+                ? 'Upload File'
+                : `Upload File (read as ${TextFileReader.ENCODINGS[this.importEncoding]})`;
+        }
+        
+        if (remember) {
+            try {
+                localStorage.setItem('takenote-import-encoding', this.importEncoding);
+            } catch (error) {
+                console.warn('Failed to save import encoding:', error);
+            }
+        }
+    }
+
+    // Search results with highlighted titles and snippets
+    renderSearchResults(results, activeNoteId) {
+        if (!this.elements.notesList) return;
+        
+        this.elements.notesList.innerHTML = '';
+        
+        if (results.length === 0) {
+            const emptyState = document.createElement('li');
+            emptyState.className = 'empty-state';
+            emptyState.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: #999; font-style: italic;">
+                    <p>No notes match your search</p>
+                </div>
             `;
+            this.elements.notesList.appendChild(emptyState);
+            return;
+        }
+        
+        results.forEach(result => {
+            const item = document.createElement('li');
+            item.className = `search-result ${result.noteId === activeNoteId ? 'active' : ''}`;
+            item.dataset.noteId = result.noteId;
+            
+            const title = document.createElement('span');
+            title.className = 'search-result-title';
+            this.appendHighlighted(title, result.note.title, result.titleRanges);
+            
+            const snippet = document.createElement('span');
+            snippet.className = 'search-result-snippet';
+            result.snippet.forEach(part => {
+                const node = part.match ? document.createElement('mark') : document.createTextNode(part.text);
+                if (part.match) node.textContent = part.text;
+                snippet.appendChild(node);
+            });
             
-            // Add click event for note selection
-            const titleSpan = listItem.querySelector('.note-title');
-            titleSpan.addEventListener('click', () => {
-                if (this.onNoteSelect) {
-                    this.onNoteSelect(note.id);
+            item.append(title, snippet);
+            item.addEventListener('click', () => {
+                if (this.onSearchResultSelect) {
+                    this.onSearchResultSelect(result.noteId, this.searchQuery);
                 }
                 if (this.isMobile) {
                     this.closeSidebar();
                 }
             });
             
-            // Add click event for note deletion
-            const deleteBtn = listItem.querySelector('.note-delete-btn');
-            deleteBtn.addEventListener('click', (e) => {
+            this.elements.notesList.appendChild(item);
+        });
+    }
+
+    // Append `text` to `element`, wrapping the given { start, end } ranges in <mark>
+    appendHighlighted(element, text, ranges) {
+        let position = 0;
+        ranges.forEach(range => {
+            if (range.start > position) {
+                element.appendChild(document.createTextNode(text.slice(position, range.start)));
+            }
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(range.start, range.end);
+            element.appendChild(mark);
+            position = range.end;
+        });
+        element.appendChild(document.createTextNode(text.slice(position)));
+    }
+
+    clearSearch() {
+        if (this.elements.searchInput) {
+            this.elements.searchInput.value = '';
+        }
+        this.searchQuery = '';
+        if (this.onSearch) this.onSearch('');
+    }
+
+    // Show the open note's own title, or its first line as a placeholder when it has none.
+    // Left alone while the user is typing in it.
+    setNoteTitle(note) {
+        const input = this.elements.noteTitleInput;
+        if (!input || document.activeElement === input) return;
+        
+        input.disabled = !note;
+        input.value = note && note.customTitle ? note.title : '';
+        input.placeholder = note && !note.customTitle ? note.title : 'Untitled Note';
+    }
+
+    focusTitle() {
+        this.elements.noteTitleInput?.focus();
+        this.elements.noteTitleInput?.select();
+    }
+
+    // Notes linking to the open note, from NoteManager.getBacklinks
+    renderBacklinks(backlinks) {
+        if (!this.elements.backlinksList) return;
+        
+        this.elements.backlinksList.innerHTML = '';
+        this.elements.backlinksCount.textContent = backlinks.length;
+        this.elements.backlinksPanel.style.display = backlinks.length > 0 ? 'block' : 'none';
+        
+        backlinks.forEach(backlink => {
+            const item = document.createElement('li');
+            item.className = 'backlink-item';
+            
+            const title = document.createElement('span');
+            title.className = 'backlink-title';
+            title.textContent = backlink.note.title;
+            
+            const snippet = document.createElement('span');
+            snippet.className = 'backlink-snippet';
+            backlink.snippet.forEach(part => {
+                const node = part.match ? document.createElement('mark') : document.createTextNode(part.text);
+                if (part.match) node.textContent = part.text;
+                snippet.appendChild(node);
+            });
+            
+            item.append(title, snippet);
+            item.addEventListener('click', () => {
+                if (this.onBacklinkSelect) this.onBacklinkSelect(backlink.note.id);
+            });
+            
+            this.elements.backlinksList.appendChild(item);
+        });
+    }
+
+    // Theme
+    applyTheme(theme) {
+        this.theme = theme;
+        document.body.classList.toggle('dark-theme', theme === 'dark');
+    }
+
+    toggleTheme() {
+        this.applyTheme(this.theme === 'dark' ? 'light' : 'dark');
+        try {
+            localStorage.setItem('takenote-theme', this.theme);
+        } catch (error) {
+            console.warn('Failed to save theme:', error);
+        }
+    }
+
+    // Trash view
+    toggleTrash() {
+        this.showingTrash = !this.showingTrash;
+        this.elements.trashToggleBtn?.classList.toggle('active', this.showingTrash);
+        if (this.onTrashToggle) this.onTrashToggle(this.showingTrash);
+    }
+
+    updateTrashCount(count) {
+        if (this.elements.trashCount) {
+            this.elements.trashCount.textContent = count;
+            this.elements.trashCount.style.display = count > 0 ? 'inline-block' : 'none';
+        }
+    }
+
+    renderTrashList(notes, retentionDays) {
+        if (!this.elements.notesList) return;
+        
+        this.elements.notesList.innerHTML = '';
+        
+        const header = document.createElement('li');
+        header.className = 'trash-header';
+        header.innerHTML = `
+            <p class="trash-info">Notes in the trash are deleted forever after ${retentionDays} days.</p>
+            <button class="trash-empty-btn" ${notes.length === 0 ? 'disabled' : ''}>Empty trash</button>
+        `;
+        header.querySelector('.trash-empty-btn').addEventListener('click', () => {
+            if (this.onEmptyTrash) this.onEmptyTrash();
+        });
+        this.elements.notesList.appendChild(header);
+        
+        if (notes.length === 0) {
+            const emptyState = document.createElement('li');
+            emptyState.className = 'empty-state';
+            emptyState.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: #999; font-style: italic;">
+                    <p>Trash is empty</p>
+                </div>
+            `;
+            this.elements.notesList.appendChild(emptyState);
+            return;
+        }
+        
+        notes.forEach(note => {
+            const listItem = document.createElement('li');
+            listItem.className = 'note-item trashed';
+            listItem.dataset.noteId = note.id;
+            
+            listItem.innerHTML = `
+                <span class="note-title">
+                    ${this.escapeHtml(note.title)}
+                    <small class="note-deleted-at">Deleted ${new Date(note.deletedAt).toLocaleDateString()}</small>
+                </span>
+                <button class="note-restore-btn" title="Restore note" aria-label="Restore note">
+                    <i class="fas fa-undo"></i>
+                </button>
+                <button class="note-delete-btn" title="Delete forever" aria-label="Delete forever">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+            
+            listItem.querySelector('.note-restore-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.onNoteRestore) {
+                    this.onNoteRestore(note.id);
+                }
+            });
+            
+            listItem.querySelector('.note-delete-btn').addEventListener('click', (e) => {
                 e.stopPropagation();
-                if (this.onNoteDelete) {
-                    this.onNoteDelete(note.id, note.title);
+                if (this.onNoteDeleteForever) {
+                    this.onNoteDeleteForever(note.id, note.title);
                 }
             });
             
@@ -236,7 +1084,7 @@ class UI {
     // Editor management
     setEditorContent(content) {
         if (this.elements.textEditor) {
-            this.elements.textEditor.innerHTML = content || '<p><br></p>';
+            this.elements.textEditor.innerHTML = HtmlSanitizer.sanitize(content) || '<p><br></p>';
         }
     }
 
@@ -294,9 +1142,27 @@ class UI {
         }
     }
 
+    updatePendingChanges(count) {
+        if (!this.elements.syncStatus) return;
+        
+        if (count > 0) {
+            this.elements.syncStatus.textContent = `${count} pending ${count === 1 ? 'change' : 'changes'}`;
+            this.elements.syncStatus.title = 'These changes will sync when you are back online';
+            this.elements.syncStatus.style.display = 'inline';
+        } else {
+            this.elements.syncStatus.textContent = '';
+            this.elements.syncStatus.style.display = 'none';
+        }
+    }
+
     // File handling UI
-    showFileUploadFeedback(filename) {
-        this.showToast(`File "${filename}" uploaded successfully!`, 'success');
+    showFileUploadFeedback(filename, encoding = 'utf-8') {
+        if (encoding === 'utf-8') {
+            this.showToast(`File "${filename}" uploaded successfully!`, 'success');
+        } else {
+            // Worth knowing in case the guess was wrong and the text looks garbled
+            this.showToast(`File "${filename}" uploaded (read as ${TextFileReader.ENCODINGS[encoding]})`, 'success');
+        }
     }
 
     showFileDownloadFeedback(filename) {
@@ -307,7 +1173,16 @@ class UI {
         this.showToast(message, 'error');
     }
 
-    showToast(message, type = 'info') {
+    showStorageError(error) {
+        if (error instanceof StorageQuotaError) {
+            this.showErrorMessage(error.message);
+        } else {
+            this.showErrorMessage('Failed to save your changes locally.');
+        }
+    }
+
+    // `action` adds a button to the toast, e.g. { label: 'Undo', onClick }
+    showToast(message, type = 'info', action = null) {
         const toast = document.createElement('div');
         toast.className = `toast toast-${type}`;
         toast.textContent = message;
@@ -337,6 +1212,19 @@ class UI {
             word-wrap: break-word;
         `;
         
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                toast.style.opacity = '0';
+                toast.style.pointerEvents = 'none';
+                action.onClick();
+            });
+            toast.appendChild(button);
+            toast.style.pointerEvents = 'auto';
+        }
+        
         document.body.appendChild(toast);
         
         // Animate in
@@ -354,7 +1242,7 @@ class UI {
                     document.body.removeChild(toast);
                 }
             }, 300);
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     // Authentication UI updates
@@ -377,8 +1265,24 @@ class UI {
 
     // Event callbacks (to be set by external code)
     onNewNote = null;
+    onNewFromTemplate = null;
     onNoteSelect = null;
     onNoteDelete = null;
+    onNoteRename = null;
+    onTitleChange = null;
+    onNoteMove = null;
+    onSearch = null;
+    onSearchResultSelect = null;
+    onTagFilterChange = null;
+    onTagRename = null;
+    onNewFolder = null;
+    onFolderRename = null;
+    onFolderDelete = null;
+    onFolderMove = null;
+    onNoteRestore = null;
+    onNoteDeleteForever = null;
+    onEmptyTrash = null;
+    onTrashToggle = null;
     onHeadingChange = null;
     onBoldToggle = null;
     onItalicToggle = null;
@@ -388,5 +1292,10 @@ class UI {
     onUndo = null;
     onRedo = null;
     onFileUpload = null;
+    onFilesDrop = null;
     onFileDownload = null;
+    onBackup = null;
+    onRestore = null;
+    onShowHistory = null;
+    onBacklinkSelect = null;
 }
\ No newline at end of file
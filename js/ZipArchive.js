@@ -0,0 +1,207 @@
+/**
+ * ZipArchive.js
+ * Reads and writes ZIP archives, deflating with the browser's CompressionStream
+ */
+
+// Raised when a file isn't a ZIP archive we can read
+class ZipFormatError extends Error {
+    constructor(message = 'This file isn\'t a valid ZIP archive.') {
+        super(message);
+        this.name = 'ZipFormatError';
+    }
+}
+
+class ZipArchive {
+    static LOCAL_HEADER = 0x04034b50;
+    static CENTRAL_HEADER = 0x02014b50;
+    static END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+    static STORED = 0;
+    static DEFLATED = 8;
+    static UTF8_NAMES = 0x0800; // General purpose flag: names are UTF-8
+
+    static crcTable = null;
+
+    // Build an archive from [{ name, content, date }], where content is a string or
+    // Uint8Array. Returns a Blob.
+    static async create(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = ZipArchive.crc32(data);
+            const { time, date } = ZipArchive.toDosTime(file.date ? new Date(file.date) : new Date());
+
+            // Keep the deflated copy only when it's actually smaller
+            let method = ZipArchive.STORED;
+            let stored = data;
+            if (typeof CompressionStream !== 'undefined' && data.length > 0) {
+                const deflated = await ZipArchive.transform(data, new CompressionStream('deflate-raw'));
+                if (deflated.length < data.length) {
+                    method = ZipArchive.DEFLATED;
+                    stored = deflated;
+                }
+            }
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, ZipArchive.LOCAL_HEADER, true);
+            header.setUint16(4, 20, true); // Version needed to extract
+            header.setUint16(6, ZipArchive.UTF8_NAMES, true);
+            header.setUint16(8, method, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, stored.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true); // Extra field length
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, ZipArchive.CENTRAL_HEADER, true);
+            entry.setUint16(4, 20, true); // Version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, ZipArchive.UTF8_NAMES, true);
+            entry.setUint16(10, method, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, stored.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true); // Where the local header starts
+
+            parts.push(header, name, stored);
+            central.push(entry, name);
+            offset += 30 + name.length + stored.length;
+        }
+
+        const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, ZipArchive.END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+
+    // Read an archive (Blob or ArrayBuffer) into [{ name, date, data }], where data is a
+    // Uint8Array. Folder entries are left out.
+    static async read(source) {
+        const buffer = typeof source.arrayBuffer === 'function' ? await source.arrayBuffer() : source;
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder();
+
+        // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === ZipArchive.END_OF_CENTRAL_DIRECTORY) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new ZipFormatError();
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+        if (position === 0xffffffff || count === 0xffff) {
+            throw new ZipFormatError('ZIP64 archives aren\'t supported.');
+        }
+
+        const files = [];
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > buffer.byteLength || view.getUint32(position, true) !== ZipArchive.CENTRAL_HEADER) {
+                throw new ZipFormatError();
+            }
+
+            const flags = view.getUint16(position + 8, true);
+            const method = view.getUint16(position + 10, true);
+            const time = view.getUint16(position + 12, true);
+            const date = view.getUint16(position + 14, true);
+            const crc = view.getUint32(position + 16, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+            if (flags & 0x0001) {
+                throw new ZipFormatError(`"${name}" is encrypted.`);
+            }
+            if (localOffset + 30 > buffer.byteLength || view.getUint32(localOffset, true) !== ZipArchive.LOCAL_HEADER) {
+                throw new ZipFormatError();
+            }
+
+            // The local header's name and extra field can differ in length from the central copy
+            const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const compressed = bytes.subarray(start, start + compressedSize);
+
+            let data;
+            if (method === ZipArchive.STORED) {
+                data = compressed;
+            } else if (method === ZipArchive.DEFLATED && typeof DecompressionStream !== 'undefined') {
+                data = await ZipArchive.transform(compressed, new DecompressionStream('deflate-raw'));
+            } else {
+                throw new ZipFormatError(`"${name}" uses a compression method that isn't supported.`);
+            }
+
+            if (ZipArchive.crc32(data) !== crc) {
+                throw new ZipFormatError(`"${name}" is damaged.`);
+            }
+
+            files.push({ name: name, date: ZipArchive.fromDosTime(time, date), data: data });
+        }
+
+        return files;
+    }
+
+    static async transform(data, stream) {
+        const output = new Blob([data]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    static crc32(data) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipArchive.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipArchive.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // ZIP stores local time in MS-DOS format, to two-second precision, from 1980 on
+    static toDosTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static fromDosTime(time, date) {
+        return new Date(
+            (date >> 9) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+            time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+        );
+    }
+}
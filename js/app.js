@@ -5,9 +5,17 @@
 
 class TakenoteApp {
     constructor() {
-        this.auth = new Auth();
-        this.noteManager = new NoteManager(this.auth);
+        this.auth = Auth.create(window.TAKENOTE_CONFIG);
+        this.noteManager = new NoteManager(this.auth, StorageAdapter.createStores(window.TAKENOTE_CONFIG, this.auth), window.TAKENOTE_CONFIG);
         this.ui = new UI(this.auth);
+        this.conflictDialog = new ConflictDialog();
+        this.historyPanel = new HistoryPanel();
+        this.migrationDialog = new MigrationDialog();
+        this.importDialog = new ImportDialog();
+        this.tagEditor = new TagEditor();
+        this.commandPalette = new CommandPalette();
+        this.templateManager = new TemplateManager();
+        this.templateGallery = new TemplateGallery();
         this.editor = null;
         
         this.currentNoteId = null;
@@ -22,10 +30,14 @@ class TakenoteApp {
         
         // Initialize editor only after auth is ready
         this.editor = new Editor(this.ui.elements.textEditor);
+        this.linkAutocomplete = new LinkAutocomplete(this.editor);
         
         this.bindEvents();
         this.updateUI();
         
+        // Local notes found while signing in during startup
+        this.offerMigration();
+        
         console.log('takenote app initialized');
     }
 
@@ -47,8 +59,29 @@ class TakenoteApp {
     bindEvents() {
         // UI event callbacks
         this.ui.onNewNote = () => this.createNewNote();
+        this.ui.onNewFromTemplate = () => this.showTemplates();
+        this.templateGallery.onSelect = (templateId) => this.createNoteFromTemplate(templateId);
+        this.templateGallery.onDelete = (templateId, name) => this.deleteTemplate(templateId, name);
+        this.templateGallery.onSaveCurrent = () => this.saveAsTemplate();
         this.ui.onNoteSelect = (noteId) => this.switchToNote(noteId);
         this.ui.onNoteDelete = (noteId, title) => this.deleteNote(noteId, title);
+        this.ui.onNoteRename = (noteId, title) => this.renameNote(noteId, title);
+        this.ui.onTitleChange = (title) => this.renameNote(this.currentNoteId, title);
+        this.ui.onNoteMove = (noteId, folderId) => this.moveNote(noteId, folderId);
+        this.ui.onSearch = () => this.updateUI();
+        this.ui.onSearchResultSelect = (noteId, query) => this.openSearchResult(noteId, query);
+        this.ui.onTagFilterChange = () => this.updateUI();
+        this.ui.onTagRename = (tag) => this.renameTag(tag);
+        this.tagEditor.onAdd = (tag) => this.addTag(tag);
+        this.tagEditor.onRemove = (tag) => this.removeTag(tag);
+        this.ui.onNewFolder = (parentId) => this.createFolder(parentId);
+        this.ui.onFolderRename = (folderId, name) => this.renameFolder(folderId, name);
+        this.ui.onFolderDelete = (folderId, name) => this.deleteFolder(folderId, name);
+        this.ui.onFolderMove = (folderId, parentId) => this.moveFolder(folderId, parentId);
+        this.ui.onNoteRestore = (noteId) => this.restoreNote(noteId);
+        this.ui.onNoteDeleteForever = (noteId, title) => this.deleteNoteForever(noteId, title);
+        this.ui.onEmptyTrash = () => this.emptyTrash();
+        this.ui.onTrashToggle = () => this.updateUI();
         
         // Toolbar event callbacks
         if (this.editor) {
@@ -63,34 +96,148 @@ class TakenoteApp {
         }
         
         // File handling callbacks
-        this.ui.onFileUpload = (file) => this.handleFileUpload(file);
-        this.ui.onFileDownload = () => this.handleFileDownload();
+        this.ui.onFileUpload = (files) => this.handleFileUpload(files);
+        this.ui.onFilesDrop = (files, folderId) => this.handleFileUpload(files, folderId);
+        this.ui.onFileDownload = (format) => this.handleFileDownload(format);
+        this.ui.onBackup = () => this.handleBackup();
+        this.ui.onRestore = (file) => this.handleRestore(file);
+        
+        // History callbacks
+        this.ui.onShowHistory = () => this.showHistory();
+        this.historyPanel.onRestore = (revisionId) => this.restoreRevision(revisionId);
         
         // Editor event callbacks
         if (this.editor) {
             this.editor.onContentChange = (content) => this.handleContentChange(content);
             this.editor.onToolbarStateChange = (state) => this.ui.updateToolbarState(state);
+            this.editor.onLinkClick = (title) => this.openLink(title);
+            this.editor.onLinkQuery = (linkQuery) => this.linkAutocomplete.update(linkQuery);
+            this.editor.onFilesDrop = (files) => this.insertFiles(files);
+            this.editor.linkExists = (title) => !!this.noteManager.findNoteByTitle(title);
+            this.linkAutocomplete.getTitles = () => [...new Set(this.noteManager.getAllNotes()
+                .filter(note => note.id !== this.currentNoteId)
+                .map(note => note.title))];
+            this.ui.onBacklinkSelect = (noteId) => this.openBacklink(noteId);
         }
         
         // Note manager callbacks
         this.noteManager.onNotesChange = () => this.updateUI();
+        this.noteManager.onStorageError = (error) => this.ui.showStorageError(error);
+        this.noteManager.onPendingChange = (count) => this.ui.updatePendingChanges(count);
+        this.noteManager.onNoteIdChange = (oldId, newId) => {
+            if (this.currentNoteId === oldId) {
+                this.currentNoteId = newId;
+            }
+        };
+        this.noteManager.onConflict = (conflict) => this.handleConflict(conflict);
+        this.noteManager.onExternalChange = () => {
+            // The note being edited was deleted or trashed in another tab or device
+            if (this.noteManager.activeNoteId !== this.currentNoteId) {
+                this.loadActiveNote();
+            }
+        };
+        
+        // Conflicts found while the app was starting up
+        this.noteManager.getConflicts().forEach(conflict => this.handleConflict(conflict));
+        
+        // Command palette
+        this.commandPalette.getNotes = () => this.noteManager.getAllNotes();
+        this.commandPalette.onNoteSelect = (noteId) => this.switchToNote(noteId);
+        this.registerCommands();
         
         // Auth callbacks
         this.auth.onUserChange = (user) => this.handleUserChange(user);
     }
 
-    handleUserChange(user) {
+    // Everything the command palette can run, with the shortcut that also does it
+    registerCommands() {
+        const editorCommand = (run) => () => {
+            if (this.editor) run(this.editor);
+        };
+        const signedIn = () => this.auth.isAuthenticated();
+        
+        this.commandPalette.registerCommands([
+            { id: 'new-note', title: 'New Note', icon: 'fa-plus', run: () => this.createNewNote() },
+            { id: 'new-from-template', title: 'New Note from Template', icon: 'fa-file-alt', run: () => this.showTemplates() },
+            { id: 'save-template', title: 'Save Note as Template', icon: 'fa-save', run: () => this.saveAsTemplate() },
+            { id: 'rename', title: 'Rename Note', icon: 'fa-i-cursor', run: () => this.ui.focusTitle() },
+            { id: 'new-folder', title: 'New Folder', icon: 'fa-folder-plus', run: () => this.createFolder(this.ui.selectedFolderId) },
+            { id: 'bold', title: 'Bold', shortcut: 'Mod+B', icon: 'fa-bold', run: editorCommand(editor => editor.toggleBold()) },
+            { id: 'italic', title: 'Italic', shortcut: 'Mod+I', icon: 'fa-italic', run: editorCommand(editor => editor.toggleItalic()) },
+            { id: 'heading-1', title: 'Heading 1', icon: 'fa-heading', run: editorCommand(editor => editor.setHeading('h1')) },
+            { id: 'heading-2', title: 'Heading 2', icon: 'fa-heading', run: editorCommand(editor => editor.setHeading('h2')) },
+            { id: 'normal-text', title: 'Normal Text', icon: 'fa-paragraph', run: editorCommand(editor => editor.setHeading('div')) },
+            { id: 'align-left', title: 'Align Left', icon: 'fa-align-left', run: editorCommand(editor => editor.setTextAlign('left')) },
+            { id: 'align-center', title: 'Align Center', icon: 'fa-align-center', run: editorCommand(editor => editor.setTextAlign('center')) },
+            { id: 'align-right', title: 'Align Right', icon: 'fa-align-right', run: editorCommand(editor => editor.setTextAlign('right')) },
+            { id: 'bullet-list', title: 'Bullet List', icon: 'fa-list-ul', run: editorCommand(editor => editor.insertBulletList()) },
+            { id: 'number-list', title: 'Numbered List', icon: 'fa-list-ol', run: editorCommand(editor => editor.insertNumberList()) },
+            { id: 'undo', title: 'Undo', shortcut: 'Mod+Z', icon: 'fa-undo', run: editorCommand(editor => editor.undo()) },
+            { id: 'redo', title: 'Redo', shortcut: 'Mod+Shift+Z', icon: 'fa-redo', run: editorCommand(editor => editor.redo()) },
+            { id: 'upload', title: 'Upload File', icon: 'fa-upload', run: () => this.ui.elements.uploadInput?.click() },
+            { id: 'download', title: 'Download Note', icon: 'fa-download', run: () => this.handleFileDownload() },
+            { id: 'export-markdown', title: 'Export as Markdown', icon: 'fa-file-alt', run: () => this.handleFileDownload('markdown') },
+            { id: 'export-html', title: 'Export as HTML', icon: 'fa-file-code', run: () => this.handleFileDownload('html') },
+            { id: 'export-pdf', title: 'Export as PDF', icon: 'fa-file-pdf', run: () => this.handleFileDownload('pdf') },
+            { id: 'export-text', title: 'Export as Plain Text', icon: 'fa-file', run: () => this.handleFileDownload('text') },
+            { id: 'backup', title: 'Export All Notes (ZIP)', icon: 'fa-file-archive', run: () => this.handleBackup() },
+            { id: 'restore', title: 'Restore from Backup', icon: 'fa-box-open', run: () => this.ui.elements.restoreInput?.click() },
+            { id: 'history', title: 'Show Version History', icon: 'fa-history', run: () => this.showHistory() },
+            { id: 'search', title: 'Search Notes', icon: 'fa-search', run: () => this.ui.elements.searchInput?.focus() },
+            { id: 'trash', title: 'Toggle Trash', icon: 'fa-trash', run: () => this.ui.toggleTrash() },
+            { id: 'theme', title: 'Toggle Dark Theme', icon: 'fa-moon', run: () => this.ui.toggleTheme() },
+            { id: 'sign-in', title: 'Sign In', icon: 'fa-sign-in-alt', isAvailable: () => !signedIn(), run: () => this.auth.showAuthModal('login') },
+            { id: 'sign-out', title: 'Sign Out', icon: 'fa-sign-out-alt', isAvailable: signedIn, run: () => this.auth.signOut() }
+        ]);
+    }
+
+    async handleUserChange(user) {
         console.log('User changed:', user?.email || 'signed out');
         
         // Update authentication UI (but always show editor)
         this.ui.updateAuthenticationUI(!!user);
         
+        // Switch stores and load the user's notes
+        await this.noteManager.handleUserChange(user);
+        this.loadActiveNote();
+        this.updateUI();
+        
         if (user) {
-            // User signed in - their notes will be loaded via NoteManager
-            this.loadActiveNote();
+            await this.offerMigration();
         }
+    }
+
+    // Let the user bring notes written on this device into their account
+    async offerMigration() {
+        const candidates = this.noteManager.getMigrationCandidates();
+        if (candidates.length === 0) return;
         
-        this.updateUI();
+        const selectedIds = await this.migrationDialog.choose(candidates);
+        this.noteManager.declineMigration(
+            candidates.filter(note => !selectedIds.includes(note.id)).map(note => note.id)
+        );
+        if (selectedIds.length === 0) return;
+        
+        try {
+            const selected = candidates.filter(note => selectedIds.includes(note.id));
+            const summary = await this.noteManager.migrateToDatabase(selected, (done, total) => {
+                this.migrationDialog.setProgress(done, total);
+            });
+            
+            const parts = [`${summary.imported} imported`];
+            if (summary.duplicates > 0) {
+                parts.push(`${summary.duplicates} ${summary.duplicates === 1 ? 'duplicate' : 'duplicates'} skipped`);
+            }
+            if (summary.failed > 0) {
+                parts.push(`${summary.failed} failed`);
+            }
+            this.ui.showToast(parts.join(', '), summary.failed > 0 ? 'error' : 'success');
+        } catch (error) {
+            console.error('Failed to import local notes:', error);
+            this.ui.showErrorMessage('Failed to import notes from this device');
+        } finally {
+            this.migrationDialog.hide();
+        }
     }
 
     async loadActiveNote() {
@@ -104,34 +251,130 @@ class TakenoteApp {
     updateUI() {
         const notes = this.noteManager.getAllNotes();
         const activeNoteId = this.noteManager.activeNoteId;
+        const trashedNotes = this.noteManager.getTrashedNotes();
+        const tags = this.noteManager.getAllTags();
         
-        this.ui.renderNotesList(notes, activeNoteId);
+        this.ui.renderTagList(tags);
+        const selectedTags = this.ui.selectedTags;
+        
+        if (this.ui.showingTrash) {
+            this.ui.renderTrashList(trashedNotes, this.noteManager.trashRetentionDays);
+        } else if (this.ui.searchQuery) {
+            const results = this.noteManager.search(this.ui.searchQuery);
+            const matching = this.noteManager.filterNotesByTags(results.map(result => result.note), selectedTags, this.ui.tagFilterMode);
+            this.ui.renderSearchResults(results.filter(result => matching.includes(result.note)), activeNoteId);
+        } else if (selectedTags.length > 0) {
+            // Filtered results are shown as a flat list
+            const filtered = this.noteManager.filterNotesByTags(notes, selectedTags, this.ui.tagFilterMode);
+            this.ui.renderNotesList(filtered, activeNoteId);
+        } else {
+            this.ui.renderNotesList(notes, activeNoteId, this.noteManager.getFolders());
+        }
+        this.ui.updateTrashCount(trashedNotes.length);
+        
+        const activeNote = this.noteManager.getActiveNote();
+        this.tagEditor.render(
+            activeNote,
+            activeNote ? this.noteManager.getNoteText(activeNote).inlineTags : [],
+            tags
+        );
+        this.ui.setNoteTitle(activeNote);
+        this.ui.renderBacklinks(activeNote ? this.noteManager.getBacklinks(activeNote.id) : []);
+        
+        // Links may point at notes that were just created, renamed or deleted
+        if (this.editor) {
+            this.editor.highlightLinks();
+        }
         
         // Update status counters
-        if (this.editor && this.auth.isAuthenticated()) {
+        if (this.editor) {
             const content = this.editor.getContent();
             const stats = this.noteManager.getNoteStats(content);
             this.ui.updateStatusCounters(stats);
         } else {
-            // Clear counters when not authenticated
             this.ui.updateStatusCounters({ words: 0, characters: 0, sentences: 0 });
         }
     }
 
-    async createNewNote() {
+    async createNewNote(title = 'Untitled Note', content = '') {
         try {
-            const newNote = await this.noteManager.createNote();
+            // New notes go into the folder selected in the sidebar
+            const newNote = await this.noteManager.createNote(title, content, this.ui.selectedFolderId);
             this.currentNoteId = newNote.id;
             
             if (this.editor) {
-                this.editor.setContent('<p><br></p>');
+                this.editor.setContent(content || '<p><br></p>');
                 this.editor.focus();
             }
             
             this.ui.showToast('New note created!', 'success');
         } catch (error) {
             console.error('Failed to create note:', error);
-            this.ui.showErrorMessage('Failed to create note');
+            this.ui.showErrorMessage(error instanceof StorageQuotaError ? error.message : 'Failed to create note');
+        }
+    }
+
+    showTemplates() {
+        this.templateGallery.show(this.templateManager.getTemplates());
+    }
+
+    // Create a note from a template, asking for a title if the template uses {{title}}
+    async createNoteFromTemplate(templateId) {
+        const template = this.templateManager.getTemplateById(templateId);
+        if (!template) return;
+        
+        const values = {};
+        if (TemplateManager.needsTitle(template)) {
+            const title = window.prompt('Title for the new note:', template.name);
+            if (title === null) return;
+            values.title = title.trim() || template.name;
+        }
+        
+        this.templateGallery.hide();
+        
+        // Keep what's in the editor before it's replaced
+        await this.saveCurrentNote();
+        
+        const content = TemplateManager.fill(template.content, values);
+        await this.createNewNote(this.noteManager.buildTitle(content), content);
+    }
+
+    async saveAsTemplate() {
+        const note = this.getCurrentNote();
+        if (!note || !this.editor) {
+            this.ui.showErrorMessage('No note selected.');
+            return;
+        }
+        
+        const name = window.prompt('Template name:', note.title);
+        if (!name || !name.trim()) return;
+        
+        if (this.templateManager.getTemplateByName(name) &&
+            !window.confirm(`Replace the template "${name.trim()}"?`)) {
+            return;
+        }
+        
+        try {
+            this.templateManager.saveTemplate(name, this.editor.getContent());
+            this.ui.showToast(`Saved template "${name.trim()}"`, 'success');
+            if (this.templateGallery.isOpen()) {
+                this.showTemplates();
+            }
+        } catch (error) {
+            console.error('Failed to save template:', error);
+            this.ui.showErrorMessage(error instanceof StorageQuotaError ? error.message : 'Failed to save template');
+        }
+    }
+
+    deleteTemplate(templateId, name) {
+        if (!window.confirm(`Delete the template "${name}"?`)) return;
+        
+        try {
+            this.templateManager.deleteTemplate(templateId);
+            this.showTemplates();
+        } catch (error) {
+            console.error('Failed to delete template:', error);
+            this.ui.showErrorMessage('Failed to delete template');
         }
     }
 
@@ -156,10 +399,9 @@ class TakenoteApp {
     }
 
     async deleteNote(noteId, title) {
-        const confirmMessage = `Are you sure you want to delete "${title}"? This action cannot be undone.`;
-        
-        if (!window.confirm(confirmMessage)) {
-            return;
+        // Save pending edits so they're kept in the trash
+        if (noteId === this.currentNoteId) {
+            await this.saveCurrentNote();
         }
         
         try {
@@ -177,18 +419,272 @@ class TakenoteApp {
                     } else {
                         // No notes left, create a new one
                         await this.createNewNote();
-                        return;
                     }
                 }
                 
-                this.ui.showToast('Note deleted successfully!', 'success');
+                this.ui.showToast(`"${title}" moved to trash`, 'success', {
+                    label: 'Undo',
+                    onClick: () => this.restoreNote(noteId)
+                });
+            }
+        } catch (error) {
+            console.error('Failed to delete note:', error);
+            this.ui.showErrorMessage('Failed to delete note');
+        }
+    }
+
+    async moveNote(noteId, folderId) {
+        const note = this.noteManager.getNoteById(noteId);
+        if (!note || (note.folderId || null) === folderId) return;
+        
+        // Save pending edits so the move doesn't drop them
+        if (noteId === this.currentNoteId) {
+            await this.saveCurrentNote();
+        }
+        
+        try {
+            await this.noteManager.moveNote(noteId, folderId);
+            if (folderId) {
+                this.ui.expandFolder(folderId);
+            }
+            const folder = folderId && this.noteManager.getFolderById(folderId);
+            this.ui.showToast(folder ? `Moved to "${folder.name}"` : 'Moved out of folder', 'success');
+        } catch (error) {
+            console.error('Failed to move note:', error);
+            this.ui.showErrorMessage('Failed to move note');
+        }
+    }
+
+    // Open a search result and highlight the matches in the editor
+    async openSearchResult(noteId, query) {
+        await this.switchToNote(noteId);
+        if (this.editor) {
+            this.editor.highlightMatches(SearchIndex.buildPattern(query));
+        }
+    }
+
+    // Set a note's own title; a blank one names it after its first line again
+    async renameNote(noteId, title) {
+        if (!noteId) return;
+        
+        try {
+            // The fallback title comes from the saved content
+            if (noteId === this.currentNoteId) {
+                await this.saveCurrentNote();
+            }
+            await this.noteManager.renameNote(noteId, title);
+        } catch (error) {
+            console.error('Failed to rename note:', error);
+            this.ui.showErrorMessage('Failed to rename note');
+        }
+        
+        this.updateUI();
+    }
+
+    // Open the note a [[link]] points at, creating it if there isn't one yet
+    async openLink(title) {
+        let note = this.noteManager.findNoteByTitle(title);
+        
+        if (!note) {
+            try {
+                note = await this.noteManager.createNote(title, '', this.ui.selectedFolderId, { customTitle: true });
+                this.ui.showToast(`Created "${title}"`, 'success');
+            } catch (error) {
+                console.error('Failed to create linked note:', error);
+                this.ui.showErrorMessage(error instanceof StorageQuotaError ? error.message : 'Failed to create note');
+                return;
+            }
+        }
+        
+        await this.switchToNote(note.id);
+    }
+
+    // Open a note linking to the current one, with the links highlighted
+    async openBacklink(noteId) {
+        const target = this.getCurrentNote();
+        await this.switchToNote(noteId);
+        if (this.editor && target) {
+            this.editor.highlightMatches(new RegExp(`\\[\\[\\s*${SearchIndex.escapeRegExp(target.title.trim())}\\s*\\]\\]`, 'gi'));
+        }
+    }
+
+    async addTag(tag) {
+        if (!this.currentNoteId) return;
+        
+        try {
+            await this.noteManager.addTag(this.currentNoteId, tag);
+        } catch (error) {
+            console.error('Failed to add tag:', error);
+            this.ui.showErrorMessage('Failed to add tag');
+        }
+    }
+
+    async removeTag(tag) {
+        if (!this.currentNoteId) return;
+        
+        try {
+            await this.noteManager.removeTag(this.currentNoteId, tag);
+        } catch (error) {
+            console.error('Failed to remove tag:', error);
+            this.ui.showErrorMessage('Failed to remove tag');
+        }
+    }
+
+    async renameTag(tag) {
+        const input = window.prompt(`Rename #${tag} to:`, tag);
+        const newName = input && NoteManager.normalizeTag(input);
+        if (!newName || newName === tag) return;
+        
+        const exists = this.noteManager.getAllTags().some(existing => existing.name === newName);
+        if (exists && !window.confirm(`#${newName} already exists. Merge #${tag} into it?`)) {
+            return;
+        }
+        
+        // Inline tags in the open note are rewritten too, so save it first
+        await this.saveCurrentNote();
+        
+        // Keep filtering by the tag under its new name
+        this.ui.selectedTags = [...new Set(this.ui.selectedTags.map(selected => selected === tag ? newName : selected))];
+        
+        try {
+            const count = await this.noteManager.renameTag(tag, newName);
+            
+            const activeNote = this.noteManager.getActiveNote();
+            if (activeNote && this.editor && activeNote.content !== this.editor.getContent()) {
+                this.editor.setContent(activeNote.content);
+            }
+            
+            this.updateUI();
+            this.ui.showToast(`${exists ? 'Merged' : 'Renamed'} #${tag} on ${count} ${count === 1 ? 'note' : 'notes'}`, 'success');
+        } catch (error) {
+            console.error('Failed to rename tag:', error);
+            this.ui.showErrorMessage('Failed to rename tag');
+        }
+    }
+
+    async createFolder(parentId) {
+        const name = window.prompt('Folder name:');
+        if (!name || !name.trim()) return;
+        
+        try {
+            await this.noteManager.createFolder(name.trim(), parentId);
+            if (parentId) {
+                this.ui.expandFolder(parentId);
+            }
+        } catch (error) {
+            console.error('Failed to create folder:', error);
+            this.ui.showErrorMessage('Failed to create folder');
+        }
+    }
+
+    async renameFolder(folderId, currentName) {
+        const name = window.prompt('Rename folder:', currentName);
+        if (!name || !name.trim() || name.trim() === currentName) return;
+        
+        try {
+            await this.noteManager.renameFolder(folderId, name.trim());
+        } catch (error) {
+            console.error('Failed to rename folder:', error);
+            this.ui.showErrorMessage('Failed to rename folder');
+        }
+    }
+
+    async deleteFolder(folderId, name) {
+        if (!window.confirm(`Delete the folder "${name}"? Its notes and subfolders will be moved up a level.`)) {
+            return;
+        }
+        
+        try {
+            await this.noteManager.deleteFolder(folderId);
+            this.ui.showToast('Folder deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete folder:', error);
+            this.ui.showErrorMessage('Failed to delete folder');
+        }
+    }
+
+    async moveFolder(folderId, parentId) {
+        try {
+            await this.noteManager.moveFolder(folderId, parentId);
+            if (parentId) {
+                this.ui.expandFolder(parentId);
+            }
+        } catch (error) {
+            console.error('Failed to move folder:', error);
+            this.ui.showErrorMessage(error.message);
+        }
+    }
+
+    async restoreNote(noteId) {
+        try {
+            const note = await this.noteManager.restoreNote(noteId);
+            if (note) {
+                await this.switchToNote(note.id);
+                this.ui.showToast('Note restored', 'success');
             }
+        } catch (error) {
+            console.error('Failed to restore note:', error);
+            this.ui.showErrorMessage('Failed to restore note');
+        }
+    }
+
+    async deleteNoteForever(noteId, title) {
+        const confirmMessage = `Permanently delete "${title}"? This action cannot be undone.`;
+        
+        if (!window.confirm(confirmMessage)) {
+            return;
+        }
+        
+        try {
+            await this.noteManager.deleteNoteForever(noteId);
+            this.ui.showToast('Note deleted forever', 'success');
         } catch (error) {
             console.error('Failed to delete note:', error);
             this.ui.showErrorMessage('Failed to delete note');
         }
     }
 
+    async emptyTrash() {
+        const count = this.noteManager.getTrashedNotes().length;
+        if (!window.confirm(`Permanently delete ${count} ${count === 1 ? 'note' : 'notes'} in the trash? This action cannot be undone.`)) {
+            return;
+        }
+        
+        try {
+            await this.noteManager.emptyTrash();
+            this.ui.showToast('Trash emptied', 'success');
+        } catch (error) {
+            console.error('Failed to empty trash:', error);
+            this.ui.showErrorMessage('Failed to empty trash');
+        }
+    }
+
+    async handleConflict(conflict) {
+        const choice = await this.conflictDialog.resolve(conflict);
+        
+        try {
+            const note = await this.noteManager.resolveConflict(conflict.noteId, choice.resolution, choice.content);
+            
+            // Show the outcome if the conflicting note is open
+            if (conflict.noteId === this.currentNoteId) {
+                if (note) {
+                    this.noteManager.setActiveNote(note.id);
+                    this.currentNoteId = note.id;
+                    if (this.editor) {
+                        this.editor.setContent(note.content);
+                    }
+                } else {
+                    await this.loadActiveNote();
+                }
+            }
+            
+            this.ui.showToast('Conflict resolved', 'success');
+        } catch (error) {
+            console.error('Failed to resolve conflict:', error);
+            this.ui.showErrorMessage('Failed to resolve conflict');
+        }
+    }
+
     handleContentChange(content) {
         // Update live counters
         const stats = this.noteManager.getNoteStats(content);
@@ -211,46 +707,216 @@ class TakenoteApp {
         }
     }
 
-    async handleFileUpload(file) {
-        if (!file) return;
+    async showHistory() {
+        if (!this.currentNoteId) {
+            this.ui.showErrorMessage('No note selected.');
+            return;
+        }
         
-        // Check file type
-        const allowedTypes = ['text/plain', 'text/markdown'];
-        const allowedExtensions = ['.txt', '.md'];
+        // Save current content first so it can be compared against
+        await this.saveCurrentNote();
         
-        const hasValidType = allowedTypes.includes(file.type);
-        const hasValidExtension = allowedExtensions.some(ext => 
-            file.name.toLowerCase().endsWith(ext)
-        );
+        try {
+            const note = this.noteManager.getNoteById(this.currentNoteId);
+            const revisions = await this.noteManager.getRevisions(this.currentNoteId);
+            this.historyPanel.show(note, revisions);
+        } catch (error) {
+            console.error('Failed to load note history:', error);
+            this.ui.showErrorMessage('Failed to load note history');
+        }
+    }
+
+    async restoreRevision(revisionId) {
+        try {
+            const restored = await this.noteManager.restoreRevision(this.currentNoteId, revisionId);
+            if (!restored) {
+                this.ui.showErrorMessage('That version is no longer available');
+                return;
+            }
+            
+            if (this.editor) {
+                this.editor.setContent(restored.content);
+            }
+            
+            this.historyPanel.hide();
+            this.updateUI();
+            this.ui.showToast('Version restored', 'success');
+        } catch (error) {
+            console.error('Failed to restore version:', error);
+            this.ui.showErrorMessage('Failed to restore version');
+        }
+    }
+
+    // Import files picked with Upload or dropped on the sidebar. Text and Markdown files
+    // become notes straight away; exports from other apps are previewed first.
+    async handleFileUpload(files, folderId = this.ui.selectedFolderId) {
+        if (files.length === 0) return;
         
-        if (!hasValidType && !hasValidExtension) {
-            this.ui.showErrorMessage('Please select a text file (.txt) or markdown file (.md).');
+        const textFiles = files.filter(file => this.isTextFile(file));
+        const appFiles = files.filter(file => !textFiles.includes(file) && NoteImporter.canImport(file.name));
+        const results = {
+            imported: [],
+            errors: files
+                .filter(file => !textFiles.includes(file) && !appFiles.includes(file))
+                .map(file => ({ file: file.name, message: 'This file type can\'t be imported.' })),
+            firstId: null
+        };
+        
+        // A single text file opens straight away, with progress shown only if it's big
+        if (files.length === 1 && textFiles.length === 1) {
+            const file = files[0];
+            const large = file.size > TextFileReader.CHUNK_BYTES * 4 && file.size <= TextFileReader.MAX_BYTES;
+            if (large) {
+                this.importDialog.showProgress(1);
+            }
+            try {
+                const { text, encoding } = await this.readTextFile(file, large);
+                const newNote = await this.noteManager.importTextContent(text, file.name, folderId);
+                await this.switchToNote(newNote.id);
+                this.importDialog.hide();
+                this.ui.showFileUploadFeedback(file.name, encoding);
+            } catch (error) {
+                this.importDialog.hide();
+                if (error instanceof FileTooLargeError) {
+                    this.ui.showErrorMessage(`Couldn't import "${file.name}". ${error.message}`);
+                } else {
+                    console.error('File upload error:', error);
+                    this.ui.showErrorMessage('Failed to upload file. Please try again.');
+                }
+            }
             return;
         }
         
-        const reader = new FileReader();
+        if (textFiles.length > 0) {
+            this.importDialog.showProgress(textFiles.length);
+            for (const [index, file] of textFiles.entries()) {
+                try {
+                    const { text, encoding } = await this.readTextFile(file, true);
+                    const note = await this.noteManager.importTextContent(text, file.name, folderId);
+                    results.imported.push(encoding === 'utf-8' ? file.name : `${file.name} (read as ${TextFileReader.ENCODINGS[encoding]})`);
+                    results.firstId = results.firstId || note.id;
+                } catch (error) {
+                    if (error instanceof FileTooLargeError) {
+                        results.errors.push({ file: file.name, message: error.message });
+                    } else {
+                        console.error('File upload error:', file.name, error);
+                        results.errors.push({ file: file.name, message: 'This file couldn\'t be imported.' });
+                    }
+                }
+                this.importDialog.setProgress(index + 1, textFiles.length);
+            }
+        }
+        
+        if (appFiles.length > 0) {
+            await this.importFromApps(appFiles, folderId, results);
+        } else {
+            await this.finishImport(results);
+        }
+    }
+
+    // Read a text file in the encoding chosen under Upload, or the detected one. With
+    // `showProgress` the import dialog shows how much of the file has been read.
+    async readTextFile(file, showProgress = false) {
+        return await TextFileReader.read(file, {
+            encoding: this.ui.importEncoding,
+            onProgress: showProgress && file.size > TextFileReader.CHUNK_BYTES
+                ? (done, total) => this.importDialog.setProgress(done, total, `Reading ${file.name}... ${Math.round(done / total * 100)}%`)
+                : null
+        });
+    }
+
+    isTextFile(file) {
+        const allowedTypes = ['text/plain', 'text/markdown', 'text/x-markdown'];
+        const allowedExtensions = ['.txt', '.md', '.markdown'];
+        
+        return allowedTypes.includes(file.type) ||
+            allowedExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
+    }
+
+    // Preview notes from other apps' exports and import the chosen ones. `results` carries
+    // files already imported in the same batch so they're reported together.
+    async importFromApps(files, folderId = this.ui.selectedFolderId, results = { imported: [], errors: [], firstId: null }) {
+        const preview = await NoteImporter.parse(files, this.ui.importEncoding);
+        results.errors.push(...preview.errors);
         
-        reader.onload = async (e) => {
+        const selected = await this.importDialog.choose({ notes: preview.notes, errors: results.errors });
+        if (selected.length > 0) {
             try {
-                const content = e.target.result;
-                const newNote = await this.noteManager.importTextContent(content, file.name);
+                const summary = await this.noteManager.importNotes(selected, folderId, (done, total) => {
+                    this.importDialog.setProgress(done, total);
+                });
                 
-                await this.switchToNote(newNote.id);
-                this.ui.showFileUploadFeedback(file.name);
+                results.imported.push(...summary.titles);
+                results.errors.push(...summary.errors);
+                results.firstId = results.firstId || summary.firstId;
             } catch (error) {
-                console.error('File upload error:', error);
-                this.ui.showErrorMessage('Failed to upload file. Please try again.');
+                console.error('Import error:', error);
+                this.importDialog.hide();
+                this.ui.showErrorMessage('Failed to import notes. Please try again.');
+                return;
             }
-        };
+        }
         
-        reader.onerror = () => {
-            this.ui.showErrorMessage('Failed to read file. Please try again.');
-        };
+        if (selected.length > 0 || results.imported.length > 0) {
+            await this.finishImport(results);
+        }
+    }
+
+    // Open the first imported note and sum up the import: a toast when a single note came
+    // in cleanly, otherwise a report listing every file
+    async finishImport(results) {
+        if (results.firstId) {
+            await this.switchToNote(results.firstId);
+        }
         
-        reader.readAsText(file);
+        const count = results.imported.length;
+        const message = `${count} ${count === 1 ? 'note' : 'notes'} imported`;
+        if (results.errors.length === 0 && count <= 1) {
+            this.importDialog.hide();
+            this.ui.showToast(message, 'success');
+        } else {
+            const problems = results.errors.length;
+            this.importDialog.showReport(
+                problems > 0 ? `${message}, ${problems} ${problems === 1 ? 'problem' : 'problems'}.` : `${message}.`,
+                results.errors,
+                results.imported
+            );
+        }
     }
 
-    async handleFileDownload() {
+    // Insert files dropped on the editor at the caret
+    async insertFiles(files) {
+        const parts = [];
+        const failed = [];
+        
+        for (const file of files) {
+            try {
+                parts.push(await NoteImporter.toHtml(file, this.ui.importEncoding));
+            } catch (error) {
+                if (error instanceof FileTooLargeError) {
+                    failed.push(`${file.name} (${TextFileReader.formatSize(error.size)}, the limit is ${TextFileReader.formatSize(error.limit)})`);
+                    continue;
+                }
+                if (!(error instanceof ImportFormatError)) {
+                    console.error('Failed to insert file:', file.name, error);
+                }
+                failed.push(file.name);
+            }
+        }
+        
+        if (parts.length > 0) {
+            this.editor.insertHTML(parts.join(''));
+        }
+        
+        if (failed.length === 0) {
+            this.ui.showToast(`Inserted ${parts.length} ${parts.length === 1 ? 'file' : 'files'}`, 'success');
+        } else {
+            this.ui.showToast(`Inserted ${parts.length} of ${files.length} files. Couldn't insert ${failed.join(', ')}`, 'error');
+        }
+    }
+
+    // Download the current note as 'markdown', 'html' or 'text', or print it for 'pdf'
+    async handleFileDownload(format = this.ui.exportFormat) {
         if (!this.currentNoteId) {
             this.ui.showErrorMessage('No note to download.');
             return;
@@ -259,27 +925,31 @@ class TakenoteApp {
         // Save current content first
         await this.saveCurrentNote();
         
-        const exportData = this.noteManager.exportNoteAsText(this.currentNoteId);
+        if (format === 'pdf') {
+            const note = this.noteManager.getNoteById(this.currentNoteId);
+            try {
+                NoteExporter.print(note);
+                this.ui.showToast('Choose "Save as PDF" in the print dialog to keep a copy.', 'info');
+            } catch (error) {
+                console.error('Print error:', error);
+                this.ui.showErrorMessage('Failed to open the print dialog. Please try again.');
+            }
+            return;
+        }
+        
+        let exportData;
+        try {
+            exportData = this.noteManager.exportNote(this.currentNoteId, format);
+        } catch (error) {
+            console.error('Export error:', error);
+        }
         if (!exportData) {
             this.ui.showErrorMessage('Failed to export note.');
             return;
         }
         
         try {
-            const blob = new Blob([exportData.content], { type: 'text/plain;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = exportData.filename;
-            link.style.display = 'none';
-            
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            URL.revokeObjectURL(url);
-            
+            this.downloadBlob(new Blob([exportData.content], { type: exportData.mimeType }), exportData.filename);
             this.ui.showFileDownloadFeedback(exportData.filename);
         } catch (error) {
             console.error('Download error:', error);
@@ -287,6 +957,78 @@ class TakenoteApp {
         }
     }
 
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        URL.revokeObjectURL(url);
+    }
+
+    // Download every note as a ZIP, in HTML if that's the chosen export format and Markdown otherwise
+    async handleBackup() {
+        await this.saveCurrentNote();
+        
+        try {
+            const blob = await this.noteManager.createBackup(this.ui.exportFormat === 'html' ? 'html' : 'markdown');
+            const filename = `takenote-backup-${new Date().toISOString().slice(0, 10)}.zip`;
+            this.downloadBlob(blob, filename);
+            this.ui.showFileDownloadFeedback(filename);
+        } catch (error) {
+            console.error('Backup error:', error);
+            this.ui.showErrorMessage('Failed to create the backup. Please try again.');
+        }
+    }
+
+    async handleRestore(file) {
+        if (!file) return;
+        
+        let backup;
+        try {
+            backup = await this.noteManager.readBackup(file);
+        } catch (error) {
+            console.error('Failed to read backup:', error);
+            this.ui.showErrorMessage(error instanceof ZipFormatError ? error.message : 'Failed to read the backup file.');
+            return;
+        }
+        
+        if (backup.notes.length === 0) {
+            this.ui.showErrorMessage('This backup doesn\'t contain any notes.');
+            return;
+        }
+        
+        const made = backup.exportedAt ? ` made on ${new Date(backup.exportedAt).toLocaleString()}` : '';
+        const count = `${backup.notes.length} ${backup.notes.length === 1 ? 'note' : 'notes'}`;
+        if (!window.confirm(`Restore ${count} from the backup${made}? Notes you already have are skipped.`)) {
+            return;
+        }
+        
+        await this.saveCurrentNote();
+        
+        try {
+            const summary = await this.noteManager.restoreBackup(backup);
+            
+            const parts = [`${summary.imported} restored`];
+            if (summary.duplicates > 0) {
+                parts.push(`${summary.duplicates} ${summary.duplicates === 1 ? 'duplicate' : 'duplicates'} skipped`);
+            }
+            if (summary.failed > 0) {
+                parts.push(`${summary.failed} failed`);
+            }
+            this.ui.showToast(parts.join(', '), summary.failed > 0 ? 'error' : 'success');
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.ui.showErrorMessage('Failed to restore the backup. Please try again.');
+        }
+    }
+
     // Public methods for external access
     getCurrentNote() {
         return this.noteManager.getActiveNote();
@@ -311,7 +1053,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Handle beforeunload to save current note
     window.addEventListener('beforeunload', async () => {
-        if (window.takenoteApp && window.takenoteApp.getCurrentUser()) {
+        if (window.takenoteApp) {
             await window.takenoteApp.saveCurrentNote();
         }
     });
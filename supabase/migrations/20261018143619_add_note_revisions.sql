@@ -0,0 +1,32 @@
+-- Revision snapshots of notes, for the history panel.
+-- The app deletes revisions it prunes; the rest go with their note.
+
+create table if not exists public.note_revisions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    note_id uuid not null references public.notes (id) on delete cascade,
+    title text not null default '',
+    content text not null default '',
+    word_count integer not null default 0,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists note_revisions_note_id_created_at_idx
+    on public.note_revisions (note_id, created_at desc);
+
+alter table public.note_revisions enable row level security;
+
+create policy "Users can read their own note revisions"
+    on public.note_revisions for select
+    using (auth.uid() = user_id);
+
+create policy "Users can add revisions of their own notes"
+    on public.note_revisions for insert
+    with check (
+        auth.uid() = user_id
+        and exists (select 1 from public.notes where notes.id = note_id and notes.user_id = auth.uid())
+    );
+
+create policy "Users can delete their own note revisions"
+    on public.note_revisions for delete
+    using (auth.uid() = user_id);
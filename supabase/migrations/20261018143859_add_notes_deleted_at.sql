@@ -0,0 +1,8 @@
+-- Soft delete: trashed notes keep their row until they're restored or purged.
+
+alter table public.notes
+    add column if not exists deleted_at timestamptz;
+
+create index if not exists notes_user_id_deleted_at_idx
+    on public.notes (user_id, deleted_at)
+    where deleted_at is not null;
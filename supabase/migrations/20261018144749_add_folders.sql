@@ -0,0 +1,37 @@
+-- Nested folders. IDs are made by the app so folders can be created offline.
+-- Parent and note folder references have no foreign keys: folders and notes sync
+-- independently and can arrive in any order, and the app moves children up before
+-- it deletes a folder.
+
+create table if not exists public.folders (
+    id text primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null,
+    parent_id text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists folders_user_id_idx on public.folders (user_id);
+
+alter table public.folders enable row level security;
+
+create policy "Users can read their own folders"
+    on public.folders for select
+    using (auth.uid() = user_id);
+
+create policy "Users can create their own folders"
+    on public.folders for insert
+    with check (auth.uid() = user_id);
+
+create policy "Users can update their own folders"
+    on public.folders for update
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
+
+create policy "Users can delete their own folders"
+    on public.folders for delete
+    using (auth.uid() = user_id);
+
+alter table public.notes
+    add column if not exists folder_id text;
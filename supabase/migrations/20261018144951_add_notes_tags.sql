@@ -0,0 +1,6 @@
+-- Tags, stored lowercase without the leading #.
+
+alter table public.notes
+    add column if not exists tags text[] not null default '{}';
+
+create index if not exists notes_tags_idx on public.notes using gin (tags);
@@ -0,0 +1,4 @@
+-- Whether a note's title was set by the user rather than taken from its first line.
+
+alter table public.notes
+    add column if not exists custom_title boolean not null default false;
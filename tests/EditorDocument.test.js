@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./loadScripts');
+
+const { window, EditorDocument, EditorTransaction, MarkdownParser } = loadScripts([
+    'HtmlSanitizer.js', 'EditorDocument.js', 'EditorTransaction.js', 'TextFileReader.js', 'MarkdownParser.js'
+]);
+
+const roundTrip = html => EditorDocument.toHtml(EditorDocument.fromHtml(html));
+const caret = (block, offset) => ({ from: { block, offset }, to: { block, offset } });
+const range = (fromBlock, fromOffset, toBlock, toOffset) => ({
+    from: { block: fromBlock, offset: fromOffset },
+    to: { block: toBlock, offset: toOffset }
+});
+const transaction = (html, selection) => new EditorTransaction(EditorDocument.fromHtml(html), selection);
+const htmlOf = tr => EditorDocument.toHtml(tr.doc);
+// Objects made in the jsdom window have its prototypes, which deepEqual tells apart
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Paste `html` at `selection` in a note holding `noteHtml`
+function paste(noteHtml, selection, html) {
+    const tr = transaction(noteHtml, selection);
+    tr.replaceSelection(EditorDocument.fromHtml(html).blocks);
+    return tr;
+}
+
+test('round trips keep the editor\'s own HTML as it is', () => {
+    [
+        '<p>a <b>b</b> <b><i>c</i></b></p>',
+        '<h2 style="text-align: center;">T</h2><ul><li>a<ul><li>b</li></ul></li></ul><ol start="3"><li>x</li></ol>',
+        '<blockquote><p>q</p></blockquote><hr><pre>code</pre>',
+        '<ul class="task-list"><li class="task-list-item"><input type="checkbox" checked=""> t</li></ul>',
+        '<p>a<br>b<img src="a.png"></p>'
+    ].forEach(html => assert.equal(roundTrip(html), html));
+});
+
+test('round trips settle other HTML after one pass', () => {
+    ['<p>a <i><b>c</b></i></p>', 'loose <b>text</b><p>p</p>', '<div>d</div><p><strong>s</strong></p>'].forEach(html => {
+        const once = roundTrip(html);
+        assert.equal(roundTrip(once), once);
+    });
+    assert.equal(roundTrip('loose <b>text</b><p>p</p>'), '<p>loose <b>text</b></p><p>p</p>');
+});
+
+test('keeps link titles', () => {
+    const html = '<p><a href="http://x.com" title="Tip">x</a> <a href="http://x.com">y</a></p>';
+    assert.equal(roundTrip(html), html);
+});
+
+test('reads only the given top-level nodes', () => {
+    const root = window.document.createElement('div');
+    root.innerHTML = '<p>one</p><h2>two</h2><p>three</p>';
+    const doc = EditorDocument.fromDom(root, [root.childNodes[1]]);
+    assert.deepEqual(plain(doc.blocks.map(block => block.type)), ['heading']);
+
+    const text = root.childNodes[1].firstChild;
+    assert.deepEqual(plain(doc.positionAt(text, 2)), { block: 0, offset: 2 });
+});
+
+test('toggleMark adds a mark, removes it again and sets link values', () => {
+    const note = '<p>hello world</p><p>second</p>';
+    assert.equal(htmlOf(transaction(note, range(0, 0, 0, 5)).toggleMark('bold')), '<p><b>hello</b> world</p><p>second</p>');
+    assert.equal(htmlOf(transaction(note, range(0, 0, 0, 5)).toggleMark('bold').toggleMark('bold')), note);
+    assert.equal(
+        htmlOf(transaction(note, range(0, 0, 0, 5)).toggleMark('link', { href: 'http://a.com', title: 'A' })),
+        '<p><a href="http://a.com" title="A">hello</a> world</p><p>second</p>'
+    );
+    assert.equal(
+        htmlOf(transaction('<p><b>bold</b> plain</p>', range(0, 0, 0, 10)).toggleMark('bold')),
+        '<p><b>bold plain</b></p>'
+    );
+});
+
+test('block transactions change every selected block', () => {
+    const note = '<p>hello world</p><p>second</p>';
+    assert.equal(htmlOf(transaction(note, range(0, 2, 1, 2)).setBlockType('heading', 2)), '<h2>hello world</h2><h2>second</h2>');
+    assert.equal(
+        htmlOf(transaction(note, range(0, 2, 1, 2)).setAlign('center')),
+        '<p style="text-align: center;">hello world</p><p style="text-align: center;">second</p>'
+    );
+    assert.equal(htmlOf(transaction(note, range(0, 2, 1, 2)).toggleList('bullet')), '<ul><li>hello world</li><li>second</li></ul>');
+    assert.equal(htmlOf(transaction(note, range(0, 2, 1, 2)).toggleList('bullet').toggleList('bullet')), note);
+    assert.equal(htmlOf(transaction('<ul><li>a</li></ul>', caret(0, 0)).toggleList('ordered')), '<ol><li>a</li></ol>');
+});
+
+test('deleteSelection joins the blocks at either end', () => {
+    const tr = transaction('<p>hello world</p><p>second</p>', range(0, 5, 1, 3)).deleteSelection();
+    assert.equal(htmlOf(tr), '<p>helloond</p>');
+    assert.deepEqual(plain(tr.selection), caret(0, 5));
+});
+
+test('insertText types with the given marks', () => {
+    const tr = transaction('<p>hello world</p>', caret(0, 5)).insertText('!', { italic: true });
+    assert.equal(htmlOf(tr), '<p>hello<i>!</i> world</p>');
+    assert.deepEqual(plain(tr.selection), caret(0, 6));
+});
+
+test('pasting a Markdown list on an empty line keeps it a list', () => {
+    const tr = paste('<p></p>', caret(0, 0), MarkdownParser.parse('- a\n- b\n- c').html);
+    assert.equal(htmlOf(tr), '<ul><li>a</li><li>b</li><li>c</li></ul>');
+    assert.deepEqual(plain(tr.selection), caret(2, 1));
+});
+
+test('pasting headings keeps them headings', () => {
+    assert.equal(htmlOf(paste('<p>x</p><p></p>', caret(1, 0), '<h1>Title</h1><p>body</p>')), '<p>x</p><h1>Title</h1><p>body</p>');
+    assert.equal(htmlOf(paste('<p></p>', caret(0, 0), '<h2>Sub</h2>')), '<h2>Sub</h2>');
+    assert.equal(htmlOf(paste('<p>ab</p>', caret(0, 1), '<h2>H</h2>')), '<p>a</p><h2>H</h2><p>b</p>');
+});
+
+test('pasting inline content merges it into the paragraph', () => {
+    const tr = paste('<p>hello world</p>', caret(0, 6), '<b>big</b> ');
+    assert.equal(htmlOf(tr), '<p>hello <b>big</b> world</p>');
+    assert.deepEqual(plain(tr.selection), caret(0, 10));
+});
+
+test('pasting list items into a list adds them at the caret\'s depth', () => {
+    assert.equal(
+        htmlOf(paste('<ul><li>one</li></ul>', caret(0, 3), '<ul><li>x</li><li>y</li></ul>')),
+        '<ul><li>one</li><li>x</li><li>y</li></ul>'
+    );
+    assert.equal(
+        htmlOf(paste('<ul><li>a<ul><li>b</li></ul></li></ul>', caret(1, 1), '<ul><li>x</li></ul>')),
+        '<ul><li>a<ul><li>b</li><li>x</li></ul></li></ul>'
+    );
+});
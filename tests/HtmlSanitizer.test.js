@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./loadScripts');
+
+const { window, HtmlSanitizer } = loadScripts(['HtmlSanitizer.js']);
+const { sanitize } = HtmlSanitizer;
+
+// Nothing in sanitized output may run script, load a non-image data: URL or style the app
+function assertInert(html) {
+    const page = new window.DOMParser().parseFromString(`<body>${html}`, 'text/html');
+    page.body.querySelectorAll('*').forEach(element => {
+        assert.ok(
+            !['script', 'style', 'iframe', 'object', 'embed', 'svg', 'math', 'noscript', 'template', 'form', 'link', 'meta'].includes(element.localName),
+            `<${element.localName}> in ${html}`
+        );
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            assert.ok(!name.startsWith('on'), `${name} handler in ${html}`);
+            if (name === 'href' || name === 'src') {
+                const scheme = value.replace(/[\u0000- ]/g, '').toLowerCase();
+                assert.ok(!/^(javascript|vbscript):/.test(scheme), `${name}="${value}" in ${html}`);
+                assert.ok(!scheme.startsWith('data:') || /^data:image\/(png|jpe?g|gif|webp|bmp|avif);/.test(scheme), `${name}="${value}" in ${html}`);
+            }
+            if (name === 'style') {
+                assert.match(value, /^text-align: (left|center|right|justify);$/);
+            }
+        });
+    });
+}
+
+const PAYLOADS = [
+    '<img src=x onerror=alert(1)>',
+    '<script>alert(1)</script><p>ok</p>',
+    '<body onload=alert(1)><p>b</p>',
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href=" JaVaScRiPt:alert(1)">x</a>',
+    '<a href="java\tscript:alert(1)">x</a>',
+    '<a href="&#106;avascript:alert(1)">x</a>',
+    '<a href="&#x6A;&#x61;&#x76;&#x61;&#x73;&#x63;&#x72;&#x69;&#x70;&#x74;&#x3A;alert(1)">x</a>',
+    '<a href="javascript&colon;alert(1)">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+    '<img src="data:image/svg+xml;base64,PHN2Zz4=">',
+    '<img src="data:text/html;base64,PHNjcmlwdD4=">',
+    '<svg><script>alert(1)</script></svg>',
+    '<svg onload=alert(1)>',
+    '<svg><p><style><img src=x onerror=alert(1)></style></p></svg>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<math><mi><a href="javascript:alert(1)">x</a></mi></math>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+    '<noscript><style></noscript><img src=x onerror=alert(1)></style></noscript>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<object data="x"></object><embed src="x">',
+    '<form action="javascript:alert(1)"><button>go</button></form>',
+    '<input type="text" value="x" onfocus=alert(1) autofocus>',
+    '<details open ontoggle=alert(1)>d</details>',
+    '<template><img src=x onerror=alert(1)></template>',
+    '<textarea><img src=x onerror=alert(1)></textarea>',
+    '<div style="background:url(javascript:alert(1))">s</div>',
+    '<p style="color: red; text-align: center; position: fixed">c</p>',
+    '<style>*{display:none}</style><link rel=stylesheet href=x>',
+    '<meta http-equiv=refresh content="0;url=javascript:alert(1)">',
+    '<p class="modal active">borrowed styles</p>',
+    '<isindex action=javascript:alert(1)>'
+];
+
+test('known XSS payloads come out inert', () => {
+    PAYLOADS.forEach(payload => assertInert(sanitize(payload)));
+});
+
+test('sanitizing twice changes nothing', () => {
+    PAYLOADS.forEach(payload => assert.equal(sanitize(sanitize(payload)), sanitize(payload)));
+});
+
+test('drops script-capable URLs, entity-encoded ones included', () => {
+    assert.equal(sanitize('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitize('<a href="&#106;avascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitize('<a href="java\tscript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitize('<a href="javascript&colon;alert(1)">x</a>'), '<a>x</a>');
+});
+
+test('keeps ordinary links', () => {
+    assert.equal(
+        sanitize('<a href="https://example.com" target="_blank" title="t">a</a><a href="#top">b</a><a href="mailto:a@b.c">c</a>'),
+        '<a href="https://example.com" title="t">a</a><a href="#top">b</a><a href="mailto:a@b.c">c</a>'
+    );
+});
+
+test('drops on* handlers', () => {
+    assert.equal(sanitize('<p onclick="x()" onmouseover="y()">p</p>'), '<p>p</p>');
+    assert.equal(sanitize('<img src="a.png" onerror="x()">'), '<img src="a.png">');
+});
+
+test('allows data: URLs for raster images only', () => {
+    assert.equal(sanitize('<img src="data:image/png;base64,iVBORw0=">'), '<img src="data:image/png;base64,iVBORw0=">');
+    assert.equal(sanitize('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '<img>');
+    assert.equal(sanitize('<a href="data:image/png;base64,iVBORw0=">x</a>'), '<a>x</a>');
+});
+
+test('removes svg, math and noscript with their content', () => {
+    assert.equal(sanitize('<svg><text>t</text></svg><math><mi>x</mi></math><p>after</p>'), '<p>after</p>');
+    assert.equal(sanitize('<noscript><p title="</noscript><img src=x onerror=alert(1)>">'), '');
+});
+
+test('keeps only text alignment from style attributes', () => {
+    assert.equal(sanitize('<p style="color: red; TEXT-ALIGN: Center">c</p>'), '<p style="text-align: center;">c</p>');
+    assert.equal(sanitize('<p style="background: url(javascript:alert(1))">s</p>'), '<p>s</p>');
+});
+
+test('keeps only the app\'s own classes', () => {
+    assert.equal(
+        sanitize('<ul class="task-list modal"><li class="task-list-item active"><input type="checkbox" checked> t</li></ul>'),
+        '<ul class="task-list"><li class="task-list-item"><input type="checkbox" checked=""> t</li></ul>'
+    );
+    assert.equal(sanitize('<pre><code class="language-js hljs">x</code></pre>'), '<pre><code class="language-js">x</code></pre>');
+    assert.equal(sanitize('<p class="toast">p</p>'), '<p>p</p>');
+});
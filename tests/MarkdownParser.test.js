@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./loadScripts');
+
+const { MarkdownParser, NoteExporter } = loadScripts([
+    'HtmlSanitizer.js', 'TextDiff.js', 'MarkdownParser.js', 'NoteExporter.js'
+]);
+
+const toHtml = markdown => MarkdownParser.parse(markdown).html;
+
+test('links bare URLs', () => {
+    assert.equal(toHtml('see http://a.com.'), '<p>see <a href="http://a.com">http://a.com</a>.</p>');
+    assert.equal(toHtml('www.x.com'), '<p><a href="http://www.x.com">www.x.com</a></p>');
+    assert.equal(toHtml('<https://b.com>'), '<p><a href="https://b.com">https://b.com</a></p>');
+});
+
+test('does not link URLs again inside link text', () => {
+    assert.equal(toHtml('[http://auto.com](http://auto.com)'), '<p><a href="http://auto.com">http://auto.com</a></p>');
+    assert.equal(toHtml('[<http://b.com>](http://c.com)'), '<p><a href="http://c.com">&lt;http://b.com&gt;</a></p>');
+    assert.equal(toHtml('[a [b](x) c](y)'), '<p><a href="y">a [b](x) c</a></p>');
+});
+
+test('keeps images inside links', () => {
+    assert.equal(
+        toHtml('[![logo](http://i.png)](http://l.com)'),
+        '<p><a href="http://l.com"><img src="http://i.png" alt="logo"></a></p>'
+    );
+});
+
+test('exported links come back as the same single links', () => {
+    const notes = [
+        '<p>Visit <a href="http://auto.com">http://auto.com</a> now</p>',
+        '<p><a href="https://example.com/a_b">https://example.com/a_b</a></p>',
+        '<ul><li><a href="https://x.org">site</a> and <a href="mailto:me@x.org">mailto:me@x.org</a></li></ul>'
+    ];
+
+    notes.forEach(html => {
+        const imported = toHtml(NoteExporter.htmlToMarkdown(html));
+        assert.equal(imported, html);
+        assert.doesNotMatch(imported, /<a [^>]*>[^<]*<a /);
+    });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./loadScripts');
+
+const {
+    window, NoteManager, MemoryStorageAdapter, SyncQueue, MemorySyncChannel, TextDiff
+} = loadScripts([
+    'StorageAdapter.js', 'LocalStorageAdapter.js', 'MemoryStorageAdapter.js', 'SupabaseStorageAdapter.js',
+    'SyncQueue.js', 'SyncChannel.js', 'BroadcastSyncChannel.js', 'MemorySyncChannel.js', 'HtmlSanitizer.js',
+    'TextDiff.js', 'TextFileReader.js', 'MarkdownParser.js', 'NoteExporter.js', 'ZipArchive.js',
+    'SearchIndex.js', 'NoteManager.js'
+]);
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const openGuestTab = () => new NoteManager(null, {
+    localStore: new MemoryStorageAdapter(),
+    remoteStore: new MemoryStorageAdapter(),
+    syncQueue: new SyncQueue(null),
+    channel: new MemorySyncChannel('guest')
+});
+
+// Count the note HTML parsed while `run` runs
+function countParses(run) {
+    const toPlainText = TextDiff.toPlainText;
+    let parses = 0;
+    TextDiff.toPlainText = html => {
+        parses++;
+        return toPlainText(html);
+    };
+    try {
+        run();
+    } finally {
+        TextDiff.toPlainText = toPlainText;
+    }
+    return parses;
+}
+
+// NoteManager schedules trash purges on the window's timers
+test.after(() => window.close());
+
+test('a change another tab broadcasts before realtime delivers it is not a conflict', async () => {
+    const user = { id: 'user-1', email: 'a@example.com' };
+    const auth = { isAuthenticated: () => true, getCurrentUser: () => user };
+
+    // Realtime events arrive well after the other tab's broadcast
+    const remote = new MemoryStorageAdapter();
+    const notify = remote.notify.bind(remote);
+    remote.notify = change => setTimeout(() => notify(change), 30);
+
+    const openTab = () => new NoteManager(auth, {
+        localStore: new MemoryStorageAdapter(),
+        remoteStore: remote,
+        syncQueue: new SyncQueue(null),
+        channel: new MemorySyncChannel('broadcast-before-realtime')
+    });
+    const first = openTab();
+    await first.handleUserChange(user);
+    const note = await first.createNote('Shared', '<p>one</p>');
+    await sleep(50);
+
+    // The second tab loads the note from the server, and is busy with another one
+    const second = openTab();
+    await second.handleUserChange(user);
+    await second.createNote('Other', '<p>other</p>');
+    await sleep(50);
+
+    let conflicts = 0;
+    second.onConflict = () => conflicts++;
+
+    await first.updateNote(note.id, { content: '<p>two</p>' });
+    await sleep(80);
+    assert.equal(second.getNoteById(note.id).content, '<p>two</p>');
+
+    second.setActiveNote(note.id);
+    await second.updateNote(note.id, { content: '<p>two, then three</p>' });
+    assert.equal(conflicts, 0);
+    assert.equal((await remote.read(note.id)).content, '<p>two, then three</p>');
+});
+
+test('reads inline tags again only from notes whose content changed', async () => {
+    const manager = openGuestTab();
+    await sleep(20);
+    const recipes = await manager.createNote('Recipes', '<p>Soup #cooking #winter</p>');
+    await manager.createNote('Trip', '<p>Pack #travel</p>');
+    manager.getAllTags();
+
+    const readTags = () => {
+        manager.getAllTags();
+        manager.filterNotesByTags(manager.getAllNotes(), ['cooking']);
+    };
+    assert.equal(countParses(readTags), 0);
+
+    await manager.updateNote(recipes.id, { content: '<p>Soup #cooking</p>' });
+    assert.equal(countParses(readTags), 0);
+    assert.deepEqual(plain(manager.getNoteTags(manager.getNoteById(recipes.id))), ['cooking']);
+    assert.deepEqual(plain(manager.getAllTags().map(tag => tag.name)), ['cooking', 'travel']);
+});
+
+test('finds backlinks without parsing every note again', async () => {
+    const manager = openGuestTab();
+    await sleep(20);
+    const target = await manager.createNote('Garden', '<p>Plans</p>');
+    await manager.createNote('Spring', '<p>Dig the [[garden]] beds</p>');
+    await manager.createNote('Autumn', '<p>Nothing linked</p>');
+    manager.getBacklinks(target.id);
+
+    let backlinks;
+    assert.equal(countParses(() => {
+        backlinks = manager.getBacklinks(target.id);
+    }), 0);
+    assert.deepEqual(plain(backlinks.map(backlink => backlink.note.title)), ['Spring']);
+    assert.ok(backlinks[0].snippet.some(part => part.match && part.text === '[[garden]]'));
+});
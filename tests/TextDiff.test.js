@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./loadScripts');
+
+const { TextDiff } = loadScripts(['HtmlSanitizer.js', 'TextDiff.js']);
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const changed = changes => changes.filter(change => change.type !== 'equal');
+const words = count => Array.from({ length: count }, (_, index) => `w${index % 97}`).join(' ');
+
+test('diffs give back both sides and change as little as possible', () => {
+    const before = 'a b c a b b a'.split(' ');
+    const after = 'c b a b a c'.split(' ');
+    const changes = TextDiff.diff(before, after);
+
+    assert.deepEqual(plain(changes.filter(change => change.type !== 'insert').map(change => change.value)), before);
+    assert.deepEqual(plain(changes.filter(change => change.type !== 'delete').map(change => change.value)), after);
+    assert.equal(changed(changes).length, 5);
+});
+
+test('diffWords compares words within the lines that changed', () => {
+    assert.deepEqual(plain(TextDiff.diffWords('<p>one two</p><p>three</p>', '<p>one too</p><p>three</p>')), [
+        { type: 'equal', value: 'one' },
+        { type: 'equal', value: ' ' },
+        { type: 'delete', value: 'two' },
+        { type: 'insert', value: 'too' },
+        { type: 'equal', value: '\n' },
+        { type: 'equal', value: 'three' }
+    ]);
+});
+
+test('long notes edited at both ends diff quickly', () => {
+    const started = Date.now();
+    const changes = TextDiff.diffWords(`<p>start ${words(4000)} end</p>`, `<p>begin ${words(4000)} finish</p>`);
+    assert.equal(changed(changes).length, 4);
+    assert.ok(Date.now() - started < 2000);
+});
+
+test('falls back to replacing everything past the size cap', () => {
+    const before = Array.from({ length: TextDiff.MAX_DIFF_ITEMS }, (_, index) => `a${index}`);
+    const after = ['x', ...before.slice(1)];
+    const changes = TextDiff.diffMiddle(before, after);
+    assert.equal(changes.length, before.length + after.length);
+    assert.ok(changes.every(change => change.type !== 'equal'));
+});
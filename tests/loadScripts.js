@@ -0,0 +1,24 @@
+/**
+ * loadScripts.js
+ * Runs app scripts from js/ in a jsdom window, the way index.html's <script> tags do
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'js');
+
+// Evaluate `files` in order in one global scope. Returns { window, ...classes }, with
+// the class each file declares under the file's name. The files are run as one script
+// because class declarations in separate evals can't see each other.
+function loadScripts(files, html = '<!DOCTYPE html><body></body>') {
+    const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only' });
+    const names = files.map(file => path.basename(file, '.js'));
+    const source = files.map(file => fs.readFileSync(path.join(SCRIPT_DIR, file), 'utf8'));
+
+    const classes = dom.window.eval(`${source.join('\n;\n')}\n;\n({ ${names.join(', ')} })`);
+    return { window: dom.window, ...classes };
+}
+
+module.exports = { loadScripts };